@@ -0,0 +1,181 @@
+/*
+* <license header>
+*/
+
+/**
+ * Record cache of the data-provider action.
+ *
+ * Upstream records are cached in two tiers:
+ * - an in-memory LRU that lives as long as the warm container, and
+ * - App Builder state storage (see `actions/state.js`), shared by all invocations.
+ *
+ * Each data source has a cache policy, configurable with a `cache` object in its configuration:
+ * - `ttl`: seconds a record is fresh and served without calling the upstream. 0 disables caching.
+ * - `staleWhileRevalidate`: seconds after that in which the stale record is still served while it is refreshed in
+ *   the background. The refresh is best effort: it finishes if the container stays warm long enough, otherwise the
+ *   next request for the page refreshes it.
+ * The outcome is reported as `hit`, `miss` or `stale` (the `x-byom-cache` response header).
+ *
+ * Only records and deletions are cached, never "not found" results or fallbacks, so a failing upstream is retried on
+ * every request.
+ */
+const crypto = require('crypto')
+const { toNumber } = require('../utils')
+
+const MAX_MEMORY_ENTRIES = 100
+
+const DEFAULT_CACHE_POLICIES = {
+  // Users are seeded by their path and never change, so they can be kept for long.
+  randomuser: { ttl: 3600, staleWhileRevalidate: 86400 },
+  rest: { ttl: 300, staleWhileRevalidate: 3600 },
+  // Listing pages follow the query index, which changes with every publish.
+  index: { ttl: 300, staleWhileRevalidate: 3600 },
+  // Bundled files are read from disk faster than from state storage.
+  static: { ttl: 0, staleWhileRevalidate: 0 }
+}
+
+/**
+ * Creates an in-memory LRU cache.
+ *
+ * @param {number} maxEntries - Number of entries kept; the least recently used entry is evicted first.
+ * @returns {{get: Function, set: Function, clear: Function, size: Function}}
+ */
+function createLruCache(maxEntries) {
+  const entries = new Map()
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        return undefined
+      }
+      // Re-insert to mark the entry as most recently used.
+      const value = entries.get(key)
+      entries.delete(key)
+      entries.set(key, value)
+      return value
+    },
+    set(key, value) {
+      entries.delete(key)
+      entries.set(key, value)
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+    clear() {
+      entries.clear()
+    },
+    size() {
+      return entries.size
+    }
+  }
+}
+
+// Survives between invocations of a warm container.
+const memoryCache = createLruCache(MAX_MEMORY_ENTRIES)
+
+/**
+ * Reads the cache policy of a data source.
+ *
+ * @param {Object} config - Source configuration with a `type` and an optional `cache` object.
+ * @returns {{ttl: number, staleWhileRevalidate: number}} Durations in seconds.
+ */
+function resolveCachePolicy(config) {
+  const defaults = DEFAULT_CACHE_POLICIES[config && config.type] || { ttl: 0, staleWhileRevalidate: 0 }
+  const custom = (config && config.cache) || {}
+  return {
+    ttl: Math.max(0, toNumber(custom.ttl, defaults.ttl)),
+    staleWhileRevalidate: Math.max(0, toNumber(custom.staleWhileRevalidate, defaults.staleWhileRevalidate))
+  }
+}
+
+/**
+ * Builds the cache key of a record. The source configuration is part of the key, so changing it invalidates the
+ * cached records.
+ *
+ * @param {Object} config - Source configuration.
+ * @param {string} path - Page path.
+ * @param {string} [nationality] - Nationality filter.
+ * @returns {string} A key that is valid for App Builder state storage.
+ */
+function cacheKey(config, path, nationality) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify([config, path, nationality || ''])).digest('hex')
+  return `record-${hash}`
+}
+
+/**
+ * Returns a cached value, loading it from the upstream on a miss.
+ *
+ * @param {string} key - Cache key.
+ * @param {{ttl: number, staleWhileRevalidate: number}} policy - Cache policy.
+ * @param {Function} load - Loads the value from the upstream; null or undefined results are not cached.
+ * @param {Object} options - Cache options.
+ * @param {Object} [options.store] - State store; without one only the in-memory tier is used.
+ * @param {Object} options.logger - Structured logger instance.
+ * @param {number} [options.now] - Current time in milliseconds, for tests.
+ * @returns {Promise<{value: *, status: 'hit'|'miss'|'stale', refresh?: Promise}>} `refresh` is the background
+ *   refresh of a stale value.
+ */
+async function cachedFetch(key, policy, load, options) {
+  const { store, logger, now = Date.now() } = options
+  if (!policy.ttl) {
+    return { value: await load(), status: 'miss' }
+  }
+
+  const entry = await readEntry(key, store, logger, now)
+  if (entry && now < entry.freshUntil) {
+    return { value: entry.value, status: 'hit' }
+  }
+  if (entry && now < entry.staleUntil) {
+    logger.debug(`Serving stale ${key} while refreshing it`)
+    const refresh = loadAndStore(key, policy, load, store, logger, now)
+      .catch((error) => logger.warn(`Refreshing ${key} failed: ${error.message}`))
+    return { value: entry.value, status: 'stale', refresh }
+  }
+  return { value: await loadAndStore(key, policy, load, store, logger, now), status: 'miss' }
+}
+
+async function readEntry(key, store, logger, now) {
+  let entry = memoryCache.get(key)
+  if (!entry && store) {
+    try {
+      const stored = await store.get(key)
+      entry = stored && stored.value ? JSON.parse(stored.value) : undefined
+      if (entry) {
+        memoryCache.set(key, entry)
+      }
+    } catch (error) {
+      logger.warn(`Reading ${key} from state failed: ${error.message}`)
+    }
+  }
+  return entry && now < entry.staleUntil ? entry : undefined
+}
+
+async function loadAndStore(key, policy, load, store, logger, now) {
+  const value = await load()
+  if (value === null || value === undefined) {
+    return value
+  }
+
+  const entry = {
+    value,
+    freshUntil: now + policy.ttl * 1000,
+    staleUntil: now + (policy.ttl + policy.staleWhileRevalidate) * 1000
+  }
+  memoryCache.set(key, entry)
+  if (store) {
+    try {
+      await store.put(key, JSON.stringify(entry), { ttl: policy.ttl + policy.staleWhileRevalidate })
+    } catch (error) {
+      logger.warn(`Writing ${key} to state failed: ${error.message}`)
+    }
+  }
+  return value
+}
+
+module.exports = {
+  DEFAULT_CACHE_POLICIES,
+  memoryCache,
+  createLruCache,
+  resolveCachePolicy,
+  cacheKey,
+  cachedFetch
+}
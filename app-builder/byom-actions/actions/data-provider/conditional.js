@@ -0,0 +1,68 @@
+/*
+* <license header>
+*/
+
+/**
+ * Conditional responses of the data-provider action.
+ *
+ * Every page carries validators so Helix can tell whether it changed since the last preview:
+ * - `ETag`: a hash of the rendered HTML. Rendering is deterministic (seeded records, no render timestamp), so the
+ *   same record renders to the same ETag.
+ * - `Last-Modified`: the modification date of the source record, for sources that know it.
+ * A request whose `If-None-Match` matches the ETag, or, without `If-None-Match`, whose `If-Modified-Since` is not older
+ * than the record, gets a 304 without a body.
+ */
+const crypto = require('crypto')
+
+/**
+ * Computes the ETag of a response body.
+ *
+ * @param {string} body - Rendered body.
+ * @returns {string} A quoted strong ETag.
+ */
+function computeEtag(body) {
+  return `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`
+}
+
+/**
+ * Formats a date as HTTP date, e.g. `Wed, 21 Oct 2015 07:28:00 GMT`.
+ *
+ * @param {Date} [date] - The date.
+ * @returns {string|undefined}
+ */
+function toHttpDate(date) {
+  return date ? date.toUTCString() : undefined
+}
+
+/**
+ * Decides whether a request can be answered with 304 Not Modified.
+ *
+ * @param {Object} headers - Lower-cased request headers.
+ * @param {{etag: string, lastModified?: Date}} validators - Validators of the current representation.
+ * @returns {boolean}
+ */
+function isNotModified(headers, validators) {
+  const ifNoneMatch = headers['if-none-match']
+  if (ifNoneMatch) {
+    // If-None-Match takes precedence over If-Modified-Since and uses the weak comparison (RFC 9110, 13.1.2).
+    const etag = stripWeak(validators.etag)
+    return ifNoneMatch.split(',').map((candidate) => candidate.trim()).some((candidate) => candidate === '*' || stripWeak(candidate) === etag)
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'])
+  if (!validators.lastModified || Number.isNaN(ifModifiedSince)) {
+    return false
+  }
+  // HTTP dates have a precision of one second.
+  return Math.floor(validators.lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000)
+}
+
+function stripWeak(etag) {
+  return etag.startsWith('W/') ? etag.slice(2) : etag
+}
+
+module.exports = {
+  computeEtag,
+  toHttpDate,
+  isNotModified
+}
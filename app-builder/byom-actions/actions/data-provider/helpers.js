@@ -0,0 +1,148 @@
+/*
+* <license header>
+*/
+
+/**
+ * Handlebars helpers available to all data-provider templates. Formatting follows the locale of the page (see
+ * `i18n.js`); the examples are for `en-US`, the default.
+ *
+ * - `{{formatDate value}}` / `{{formatDate value "short"}}`: an ISO date as `January 1, 1989` (styles: full, long,
+ *   medium, short). Values that are not dates are rendered unchanged.
+ * - `{{formatNumber value}}` / `{{formatNumber value 1}}`: a number with grouping, e.g. `83,200,000`, optionally
+ *   with at most the given number of fraction digits.
+ * - `{{countryName code}}`: a country name for an ISO 3166 code, e.g. `GB` → `United Kingdom`.
+ * - `{{concat a b ...}}`: joins its arguments, mainly to build partial parameters like page titles.
+ * - `{{jsonLd value}}`: a value as JSON that is safe to embed in a `<script>` element.
+ * - `{{t "key" name=value}}`: a string of the page's dictionary with `{name}` placeholders filled in.
+ * - `{{genderLabel value}}`: a gender (`male`, `Female`, ...) as label in the page's language.
+ * - `{{media url}}` / `{{media url 1200}}`: the first-party media path of an upstream image (see `media.js`),
+ *   optionally of a width variant. Templates use it for images that are not part of the record.
+ */
+const { translate } = require('./i18n')
+const { mediaPath } = require('./media')
+
+const DEFAULT_LOCALE = 'en-US'
+const DATE_STYLES = ['full', 'long', 'medium', 'short']
+
+/**
+ * Formats a date.
+ *
+ * @param {string|number|Date} value - Date or ISO date string.
+ * @param {string} [style] - `full`, `long` (default), `medium` or `short`.
+ * @param {string} [locale] - `Intl` locale, defaults to `en-US`.
+ * @returns {string}
+ */
+function formatDate(value, style, locale = DEFAULT_LOCALE) {
+  const date = value instanceof Date ? value : new Date(value)
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    return value === undefined || value === null ? '' : String(value)
+  }
+  const dateStyle = DATE_STYLES.includes(style) ? style : 'long'
+  return date.toLocaleDateString(locale, { dateStyle, timeZone: 'UTC' })
+}
+
+/**
+ * Formats a number with grouping separators.
+ *
+ * @param {number|string} value - The number.
+ * @param {number} [fractionDigits] - Maximum number of fraction digits.
+ * @param {string} [locale] - `Intl` locale, defaults to `en-US`.
+ * @returns {string}
+ */
+function formatNumber(value, fractionDigits, locale = DEFAULT_LOCALE) {
+  const number = Number(value)
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+    return value === undefined || value === null ? '' : String(value)
+  }
+  const options = typeof fractionDigits === 'number' ? { maximumFractionDigits: fractionDigits } : {}
+  return new Intl.NumberFormat(locale, options).format(number)
+}
+
+/**
+ * Returns the name of a country.
+ *
+ * @param {string} code - ISO 3166-1 alpha-2 code.
+ * @param {string} [locale] - `Intl` locale of the name, defaults to `en-US`.
+ * @returns {string} The name, or the code itself if it is unknown.
+ */
+function countryName(code, locale = DEFAULT_LOCALE) {
+  if (typeof code !== 'string' || !/^[A-Za-z]{2}$/.test(code)) {
+    return code === undefined || code === null ? '' : String(code)
+  }
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region', fallback: 'code' }).of(code.toUpperCase())
+  } catch (error) {
+    return code
+  }
+}
+
+/**
+ * Joins all helper arguments into one string.
+ *
+ * @param {...*} args - Values followed by the Handlebars options object.
+ * @returns {string}
+ */
+function concat(...args) {
+  return args.slice(0, -1).filter((value) => value !== undefined && value !== null).join('')
+}
+
+/**
+ * Serializes a value as JSON for a `<script type="application/ld+json">` element. Characters that could close the
+ * element or start markup are escaped, so record data cannot break out of it.
+ *
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+function jsonLd(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
+/**
+ * Returns the label of a gender in a dictionary.
+ *
+ * @param {string} value - Gender, e.g. `male` or `Female`.
+ * @param {Object} dictionary - Dictionary of the page (see `i18n.js`).
+ * @returns {string} The label, or the value itself if the dictionary has none.
+ */
+function genderLabel(value, dictionary) {
+  const key = String(value === undefined || value === null ? '' : value).toLowerCase()
+  const label = dictionary && dictionary.gender ? dictionary.gender[key] : undefined
+  return typeof label === 'string' ? label : (value === undefined || value === null ? '' : String(value))
+}
+
+/**
+ * Registers all helpers with a Handlebars instance.
+ *
+ * @param {Object} handlebars - Handlebars instance.
+ * @param {{locale?: string, dictionary?: Object, mediaUrl?: string}} [i18n] - `Intl` locale and dictionary of the
+ *   page, defaults to `en-US` without dictionary, and the origin media is served under (root-relative without).
+ */
+function registerHelpers(handlebars, i18n = {}) {
+  const { locale = DEFAULT_LOCALE, dictionary = {}, mediaUrl = '' } = i18n
+  // Handlebars appends an options object to every call; drop it so optional arguments stay optional.
+  const withoutOptions = (helper) => (...args) => helper(...args.slice(0, -1))
+  handlebars.registerHelper('formatDate', withoutOptions((value, style) => formatDate(value, style, locale)))
+  handlebars.registerHelper('formatNumber', withoutOptions((value, fractionDigits) => formatNumber(value, fractionDigits, locale)))
+  handlebars.registerHelper('countryName', withoutOptions((code) => countryName(code, locale)))
+  handlebars.registerHelper('concat', concat)
+  handlebars.registerHelper('t', (key, options) => translate(dictionary, key, options.hash))
+  handlebars.registerHelper('genderLabel', withoutOptions((value) => genderLabel(value, dictionary)))
+  handlebars.registerHelper('media', withoutOptions((url, width) => `${String(mediaUrl).replace(/\/+$/, '')}${mediaPath(url, width)}`))
+  // Already escaped for its context, so it must not be HTML-escaped again.
+  handlebars.registerHelper('jsonLd', (value) => new handlebars.SafeString(jsonLd(value)))
+}
+
+module.exports = {
+  formatDate,
+  formatNumber,
+  countryName,
+  concat,
+  jsonLd,
+  genderLabel,
+  registerHelpers
+}
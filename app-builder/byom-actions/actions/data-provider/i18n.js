@@ -0,0 +1,126 @@
+/*
+* <license header>
+*/
+
+/**
+ * Localization of the data-provider pages.
+ *
+ * The locale of a page comes from a locale segment right after the overlay root (`/byom-page/de/users/jane`) or,
+ * without one, from the `Accept-Language` header. The segment is removed before routing, so every locale of a page
+ * shows the same record (same seed, same cache entry).
+ *
+ * Template copy lives in per-locale dictionaries in `locales/<lang>.json`, read with the `{{t "key" name=value}}`
+ * helper; missing keys fall back to the English dictionary. Dates, numbers, country names and gender labels are
+ * formatted for the locale by the helpers in `helpers.js`.
+ */
+const fs = require('fs')
+const path = require('path')
+const { negotiateLanguage } = require('./negotiation')
+const { OVERLAY_ROOT } = require('./paths')
+
+const LOCALES_DIR = path.join(__dirname, 'locales')
+
+// Primary language → locale used for `Intl` formatting.
+const LOCALES = {
+  en: 'en-US',
+  de: 'de-DE',
+  fr: 'fr-FR'
+}
+const DEFAULT_LANGUAGE = 'en'
+
+/**
+ * Resolves the locale of a request.
+ *
+ * @param {string} pagePath - Overlay path, possibly with a locale segment.
+ * @param {string} [acceptLanguage] - The `Accept-Language` request header.
+ * @returns {{lang: string, tag: string, path: string, fromPath: boolean}} The language, its `Intl` locale and the page
+ *   path without the locale segment.
+ */
+function resolveLocale(pagePath, acceptLanguage) {
+  const match = new RegExp(`^${OVERLAY_ROOT}/([a-z]{2})(/.+)$`).exec(pagePath)
+  if (match && LOCALES[match[1]]) {
+    return { lang: match[1], tag: LOCALES[match[1]], path: `${OVERLAY_ROOT}${match[2]}`, fromPath: true }
+  }
+  const lang = negotiateLanguage(acceptLanguage, Object.keys(LOCALES), DEFAULT_LANGUAGE)
+  return { lang, tag: LOCALES[lang], path: pagePath, fromPath: false }
+}
+
+/**
+ * Returns the path of a page in a language.
+ *
+ * @param {string} pagePath - Page path without locale segment.
+ * @param {string} lang - Language; the default language has no segment.
+ * @returns {string}
+ */
+function localizePath(pagePath, lang) {
+  return lang === DEFAULT_LANGUAGE ? pagePath : pagePath.replace(OVERLAY_ROOT, `${OVERLAY_ROOT}/${lang}`)
+}
+
+/**
+ * Lists the language versions of a page for `<link rel="alternate" hreflang>`.
+ *
+ * @param {string} pagePath - Page path without locale segment.
+ * @param {string} [siteUrl] - Origin of the site, e.g. `https://main--site--org.aem.live`; without one the links are
+ *   root-relative.
+ * @returns {Array<{hreflang: string, href: string}>} One entry per language plus `x-default`.
+ */
+function buildAlternates(pagePath, siteUrl) {
+  const origin = String(siteUrl || '').replace(/\/+$/, '')
+  const alternates = Object.keys(LOCALES).map((lang) => ({ hreflang: lang, href: `${origin}${localizePath(pagePath, lang)}` }))
+  return [...alternates, { hreflang: 'x-default', href: `${origin}${pagePath}` }]
+}
+
+/**
+ * Loads the dictionary of a language, completed with the English strings.
+ *
+ * @param {string} lang - Language.
+ * @returns {Object} Nested dictionary.
+ */
+function loadDictionary(lang) {
+  const fallback = readDictionary(DEFAULT_LANGUAGE)
+  return lang === DEFAULT_LANGUAGE ? fallback : mergeDeep(fallback, readDictionary(lang))
+}
+
+function readDictionary(lang) {
+  const file = path.join(LOCALES_DIR, `${path.basename(lang)}.json`)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {}
+}
+
+function mergeDeep(base, override) {
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = value && typeof value === 'object' && base[key] && typeof base[key] === 'object'
+      ? mergeDeep(base[key], value)
+      : value
+  }
+  return merged
+}
+
+/**
+ * Looks up a dictionary string and fills in its `{name}` placeholders.
+ *
+ * @param {Object} dictionary - Nested dictionary.
+ * @param {string} key - Dotted key, e.g. `userProfile.contact`.
+ * @param {Object} [values] - Placeholder values.
+ * @returns {string} The string, or the key itself if the dictionary has no string for it.
+ */
+function translate(dictionary, key, values) {
+  const text = String(key).split('.').reduce((entry, part) => (entry && typeof entry === 'object' ? entry[part] : undefined), dictionary)
+  if (typeof text !== 'string') {
+    return String(key)
+  }
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = values ? values[name] : undefined
+    return value === undefined || value === null ? '' : String(value)
+  })
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LANGUAGE,
+  resolveLocale,
+  localizePath,
+  buildAlternates,
+  loadDictionary,
+  translate
+}
@@ -9,19 +9,69 @@
  *          for a newly generated `/byom-page/<timestamp>` path.
  *
  * How it works:
- * - Validates that the requested `__ow_path` is an overlay path (`/byom-page/*`). If not, returns 404.
+ * - Parses the requested `__ow_path` strictly (see `paths.js`): paths outside `/byom-page` and paths the
+ *   `ALLOWED_PATHS`/`DENIED_PATHS` patterns exclude return 404, malformed ones 400. A trailing slash is ignored, and
+ *   `.plain.html` returns the page content only.
  * - Reads the optional nationality value from the `x-content-source-location` header. This header is set by the
  *   webhook action when calling the Helix Admin API, and is forwarded here by Helix.
- * - Calls the Random User API (`https://randomuser.me/api/`) and, if a nationality is present, adds `?nat=<value>`.
- * - Maps the API response to a simple data model and renders `templates/user-profile.html` using Handlebars.
- * - Returns `text/html` with the rendered user profile. If the API call fails, returns a deterministic fallback user.
+ * - Reads the locale from a locale segment (`/byom-page/de/...`, see `i18n.js`) or the `Accept-Language` header and
+ *   removes the segment from the path; dates, numbers and template copy follow the locale.
+ * - Matches the path against the route table (see `routes.js`), which picks a template and a data source per page
+ *   type, e.g. `/byom-page/users/:id`, `/byom-page/teams/:id`, `/byom-page/countries/:code` and the listing pages
+ *   under `/byom-page/directory`. Group pages (`/byom-page/rosters/:id`, `/byom-page/countries/:code/cohort`) render
+ *   several users of one Random User API call, each with a `record-metadata` block the index reads.
+ * - Other paths use the data source configured for their prefix (see `sources/index.js`) and the user profile
+ *   template. By default they are served by the Random User API (`https://randomuser.me/api/`), called with
+ *   `?seed=<seed>` and, if a nationality is present, `&nat=<value>`.
+ * - The seed is derived from the path (see `seed.js`), so preview, live and later re-renders of a path show the same
+ *   user.
+ * - Maps the source record to a simple data model (`record` in the templates), sanitizes it (see `sanitize.js`) and
+ *   renders the template using Handlebars, with the shared partials in `templates/partials/` and the helpers in
+ *   `helpers.js`.
+ * - Validates the record and its view model against the schemas of the data source (see `sources/schema.js`):
+ *   missing optional fields get defaults, missing required fields make the record unusable.
+ * - Returns `text/html` with the rendered user profile. If the Random User API fails or returns an unusable user,
+ *   returns a fallback user generated from the same seed; sources without a fallback return 404 for unknown records
+ *   and 502 for invalid ones. Records deleted upstream return 410, so Helix drops them from the index.
+ * - Logs every line with the correlation ID the webhook forwards as `x-content-source-correlation-id` (or the
+ *   caller's `x-correlation-id`, or a new one) and returns it as `x-correlation-id` (see `actions/errors.js`). Errors
+ *   are `application/problem+json` documents with a `code`, e.g. `NOT_FOUND`, `GONE` or `UPSTREAM_TIMEOUT`.
+ * - Every page embeds a schema.org JSON-LD block built from the same view model (see `structured-data.js`).
+ * - Images are never hotlinked: image fields of the view model point to `/byom-media/...` paths that this action
+ *   serves from the upstream image, after checking its host and content type (see `media.js`).
+ * - Tokens, API keys, cookies and credentials are masked as `<hidden>` in logs and in the served view model, including
+ *   fields of upstream records (see `actions/redact.js`).
  *
  * Inputs:
- * - params.__ow_path (string): Request path; must start with `/byom-page`.
+ * - params.__ow_path (string): Request path; must be `/byom-page` or below it.
  * - params.__ow_headers['x-content-source-location'] (string, optional): Nationality filter forwarded from webhook.
+ * - params.__ow_headers.accept (string, optional): `application/json` for the view model instead of HTML.
+ * - params.DATA_SOURCES (object or JSON string, optional): Path prefix → data source configuration, e.g.
+ *   `{ "/byom-page/team/": { "type": "static", "file": "users.json" }, "/byom-page/": { "type": "randomuser" } }`.
+ *   Source types are `randomuser`, `static` (JSON bundled in `data/`) and `rest` (any JSON endpoint with a field
+ *   mapping).
+ * - params.ALLOWED_URL_HOSTS (string or array, optional): Hosts that record URLs (pictures, links) may point to,
+ *   replacing the defaults `randomuser.me` and `images.unsplash.com`. Only `https` URLs are allowed.
+ * - params.__ow_headers['accept-language'] (string, optional): Language of pages without locale segment.
+ * - params.SITE_URL (string, optional): Origin of the site, e.g. `https://main--site--org.aem.live`, for the absolute
+ *   URLs of the hreflang alternates and listing page links, and to read the query index of the listing pages.
+ * - params.MEDIA_URL (string, optional): Public origin of this action, e.g.
+ *   `https://<ns>.adobeioruntime.net/api/v1/web/byom-actions/data-provider`, for absolute media URLs in metadata and
+ *   the index. Without it media paths are root-relative.
+ * - params.ROUTES (array or JSON string, optional): Route table `[{ pattern, template, source }]` replacing the default
+ *   routes.
+ * - params.ALLOWED_PATHS, params.DENIED_PATHS (string or array, optional): Path patterns (`*` within a segment, `**`
+ *   across segments) of the pages served and of those never served, e.g. `/byom-page/users/**`.
+ * - params.REDACT_KEYS (string or array, optional): Further key and header names to mask, added to the defaults.
  *
  * Output:
- * - HTML page (Content-Type: text/html) suitable for indexing/publishing by Helix.
+ * - HTML page (Content-Type: text/html) suitable for indexing/publishing by Helix, with an `ETag` (hash of the HTML)
+ *   and, if the source knows when the record changed, `Last-Modified` (see `conditional.js`).
+ * - With `Accept: application/json` (see `negotiation.js`), the template data instead: `record` (the view model),
+ *   `route` and `structuredData`.
+ * - 304 without a body if `If-None-Match` or `If-Modified-Since` show that the caller already has this version.
+ * - All of them carry `Content-Language`, `Vary: Accept, Accept-Language` and `x-byom-cache: hit|miss|stale`, telling
+ *   whether the record came from the record cache (see `cache.js`).
  *
  * Local/Direct testing example (deployed action URL shape may vary):
  *   curl "https://<runtime-host>/api/v1/web/<ns>/<pkg>/data-provider/byom-page/123" \
@@ -29,154 +79,284 @@
  *
  * Related:
  * - Orchestrating action: `actions/webhook/index.js`
- * - Template: `actions/data-provider/templates/user-profile.html`
+ * - Templates: `actions/data-provider/templates/` (`user-profile.html`, `team.html`, `country.html`, `directory.html`,
+ *   `roster.html`, `cohort.html`)
  */
-const fetch = require('node-fetch')
-const { Core } = require('@adobe/aio-sdk')
-const { errorResponse } = require('../utils')
-const Handlebars = require('handlebars')
-const fs = require('fs')
+const { createLogger, errorResponse } = require('../utils')
+const { CORRELATION_HEADER, isTimeoutError, resolveCorrelationId } = require('../errors')
+const { DELETED_RECORD, resolveDataSources, createDataSource, selectDataSource } = require('./sources')
+const { resolveSchemas, validateRecord, describeErrors } = require('./sources/schema')
+const { resolveRoutes, matchRoute } = require('./routes')
+const { renderTemplate } = require('./render')
+const { seedFromPath } = require('./seed')
+const { computeEtag, toHttpDate, isNotModified } = require('./conditional')
+const { resolveCachePolicy, cacheKey, cachedFetch } = require('./cache')
+const { negotiateMediaType } = require('./negotiation')
+const { buildStructuredData } = require('./structured-data')
+const { resolveUrlPolicy, sanitizeViewModel, pickHeaders } = require('./sanitize')
+const { resolveLocale, buildAlternates, loadDictionary } = require('./i18n')
+const { isMediaPath, serveMedia, rehostImages } = require('./media')
+const { parseOverlayPath, resolvePathRules, isPathAllowed, toPlainHtml } = require('./paths')
+const { getStateStore } = require('../state')
+const { createRedactor, redact } = require('../redact')
 
-const RANDOM_API_ENDPOINT = 'https://randomuser.me/api/'
+const DEFAULT_TEMPLATE = 'user-profile'
 
 async function main(params) {
-  const logger = Core.Logger('data-provider', { level: params.LOG_LEVEL || 'debug' })
+  const correlationId = resolveCorrelationId(params.__ow_headers)
+  const logger = createLogger('data-provider', params, { level: 'debug', correlationId })
 
   try {
     logger.info('Invoked data-provider action')
-    logger.info(params.__ow_headers)
+    // Only harmless headers are logged; forwarded credentials stay out of the logs
+    logger.debug(`Request headers: ${JSON.stringify(pickHeaders(params.__ow_headers))}`)
 
-    // check for overlay paths
-    let path = params.__ow_path;
-    if (!path.startsWith("/")) {
-      path = "/" + path;
+    // First-party copies of upstream images, referenced by the rendered pages (see `media.js`)
+    const requestPath = `/${String(params.__ow_path || '').replace(/^\/+/, '')}`
+    if (isMediaPath(requestPath)) {
+      const request = { path: requestPath, headers: params.__ow_headers || {}, query: params.__ow_query }
+      return await serveMedia(request, resolveUrlPolicy(params), logger)
     }
-    if (!path.startsWith("/byom-page")) {
-      return errorResponse(404, `${path} is not an overlay path`, logger);
+
+    // check for overlay paths
+    const parsed = parseOverlayPath(params.__ow_path)
+    if (parsed.status) {
+      return errorResponse(parsed.status, parsed.message, logger, { instance: params.__ow_path })
     }
+    const { path } = parsed
 
     // Get nationality from custom header if provided
     const nationality = params.__ow_headers?.['x-content-source-location']
 
-    // Build API URL with optional nationality parameter
-    let apiUrl = RANDOM_API_ENDPOINT
-    if (nationality) {
-      apiUrl = `${RANDOM_API_ENDPOINT}?nat=${nationality}`
-      logger.info(`Fetching user with nationality filter: ${nationality}`)
+    // A locale segment (`/byom-page/de/...`) or else Accept-Language picks the language. Routing and the record use the
+    // path without the segment, so all language versions of a page show the same record
+    const locale = resolveLocale(path, params.__ow_headers?.['accept-language'])
+    const recordPath = locale.path
+    if (!isPathAllowed(recordPath, resolvePathRules(params))) {
+      return errorResponse(404, `${path} is not served`, logger)
+    }
+
+    // Pick the route for this path, or else the data source configured for its prefix with the user profile template
+    let source
+    let sourceConfig
+    let id
+    let templateName = DEFAULT_TEMPLATE
+    let routeParams = {}
+    const match = matchRoute(recordPath, resolveRoutes(params))
+    if (match) {
+      sourceConfig = match.route.source || { type: 'randomuser' }
+      source = createDataSource(sourceConfig)
+      id = match.id
+      templateName = match.route.template
+      routeParams = match.params
     } else {
-      logger.warn(`Invalid nationality format: ${nationality}. Using default.`)
-    }
-
-
-    // Fetch user data from Random User API
-    logger.info(`Fetching user data from Random User API: ${apiUrl}`)
-    const apiRes = await fetch(apiUrl)
-
-    let userData = null
-
-    if (apiRes.ok) {
-      const apiData = await apiRes.json()
-      logger.debug(`Fetched ${apiData.results?.length || 0} user records from API`)
-
-      // Transform the user data for the template
-      if (apiData.results && apiData.results.length > 0) {
-        const user = apiData.results[0]
-        const fullName = `${user.name.title} ${user.name.first} ${user.name.last}`
-        const address = `${user.location.street.number} ${user.location.street.name}`
-        const dobDate = new Date(user.dob.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
-        const registeredDate = new Date(user.registered.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
-
-        userData = {
-          fullName,
-          username: user.login.username,
-          email: user.email,
-          phone: user.phone,
-          cell: user.cell,
-          picture: user.picture.large,
-          address,
-          city: user.location.city,
-          state: user.location.state,
-          country: user.location.country,
-          postcode: user.location.postcode,
-          gender: user.gender.charAt(0).toUpperCase() + user.gender.slice(1),
-          age: user.dob.age,
-          dob: dobDate,
-          registered: registeredDate,
-          nationality: user.nat,
-          uuid: user.login.uuid,
-          idName: user.id.name || 'ID',
-          idValue: user.id.value || 'N/A',
-          timezone: `${user.location.timezone.offset} - ${user.location.timezone.description}`,
-          path: path,
-          nationality_header: nationality,
-          timestamp: new Date().toISOString(),
-          headers: JSON.stringify(params.__ow_headers, null, 2)
-        }
+      const selection = selectDataSource(recordPath, resolveDataSources(params))
+      if (!selection) {
+        return errorResponse(404, `no data source configured for ${path}`, logger)
       }
-    } else {
-      logger.warn(`Failed to fetch from Random User API: ${apiRes.status} ${apiRes.statusText}`)
-    }
-
-    // If API fails, use fallback data
-    if (!userData) {
-      userData = {
-        fullName: 'John Doe',
-        username: 'johndoe',
-        email: 'john.doe@example.com',
-        phone: '(555) 123-4567',
-        cell: '(555) 987-6543',
-        picture: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=400',
-        address: '123 Main Street',
-        city: 'San Francisco',
-        state: 'California',
-        country: 'United States',
-        postcode: '94102',
-        gender: 'Male',
-        age: 35,
-        dob: 'January 1, 1989',
-        registered: 'March 15, 2020',
-        nationality: 'US',
-        uuid: '00000000-0000-0000-0000-000000000000',
-        idName: 'SSN',
-        idValue: 'XXX-XX-1234',
-        timezone: 'UTC-8:00 - Pacific Time',
-        path,
-        nationality_header: nationality,
-        timestamp: new Date().toISOString()
+      ({ source, id, config: sourceConfig } = selection)
+    }
+    // Pages whose source lacks a setting, like listings without `SITE_URL`, are unavailable rather than failing
+    const missingInputs = (source.requires || []).filter((name) => !params[name])
+    if (missingInputs.length > 0) {
+      return errorResponse(503, `${path} needs the ${missingInputs.join(', ')} input`, logger, { code: 'NOT_CONFIGURED', instance: path })
+    }
+    // Every render of a path uses the same seed, so preview, live and re-renders show the same record
+    const context = {
+      path: recordPath,
+      id,
+      nationality,
+      params: routeParams,
+      seed: seedFromPath(recordPath),
+      locale: locale.tag,
+      lang: locale.lang,
+      siteUrl: params.SITE_URL
+    }
+    logger.info(`Using ${source.type} data source and ${templateName} template for ${path}`)
+
+    // Records are validated against the source schemas, then cached with their modification date, so cache hits keep
+    // the Last-Modified validator
+    const schemas = resolveSchemas(source, sourceConfig)
+    const cached = await fetchCached(source, sourceConfig, context, schemas.raw, logger)
+    if (cached.value && cached.value.deleted) {
+      // No fallback: the page must disappear rather than show made-up data
+      return errorResponse(410, `${path} was deleted upstream`, logger, { code: 'GONE', instance: path })
+    }
+    const { record, lastModified } = cached.value || { record: null, lastModified: null }
+
+    let viewModel = null
+    let errors = cached.errors
+    if (record) {
+      // The view model is served as JSON too, so it must not echo the request headers
+      const checked = checkRecord(source.toViewModel(record, context), schemas.view, 'view model', path, logger)
+      viewModel = checked.valid ? checked.record : null
+      errors = checked.valid ? null : checked.errors
+    }
+    if (!viewModel && source.fallback) {
+      // If the source has no usable record, use its fallback data
+      viewModel = source.fallback(context)
+    }
+    if (!viewModel) {
+      if (errors) {
+        return errorResponse(502, `record for ${path} is invalid: ${describeErrors(errors)}`, logger, { code: 'UPSTREAM_ERROR', instance: path })
       }
+      return errorResponse(404, `no record found for ${path}`, logger, { code: 'NOT_FOUND', instance: path })
     }
+    // Upstream data is untrusted: drop disallowed URLs and malformed values before rendering or serving it
+    viewModel = sanitizeViewModel(viewModel, resolveUrlPolicy(params), logger)
+    // Published pages must not hotlink image hosts
+    viewModel = rehostImages(viewModel, params.MEDIA_URL)
+
+    // The timestamp is the record's modification date rather than the render time, so unchanged records render
+    // identically and keep their ETag
+    viewModel = {
+      ...viewModel,
+      path,
+      nationality_header: nationality,
+      timestamp: lastModified || undefined
+    }
+    // Pages and JSON are public: tokens, keys and credentials that upstream records carry are masked like in the logs
+    viewModel = redact(viewModel, createRedactor(params))
 
     const pageData = {
-      user: userData
+      record: viewModel,
+      route: { path, params: routeParams },
+      locale: { lang: locale.lang, tag: locale.tag },
+      alternates: buildAlternates(recordPath, params.SITE_URL),
+      structuredData: buildStructuredData(templateName, viewModel, locale.tag)
     }
 
     logger.debug(`Page data: ${JSON.stringify(pageData)}`)
 
-    // Load and compile the template
-    const templateContent = fs.readFileSync(__dirname + '/templates/user-profile.html', 'utf-8')
-    logger.debug(`Template content: ${templateContent}`)
-    const template = Handlebars.compile(templateContent)
-
-    logger.debug(`Template: ${template}`)
+    // Serve the view model itself to clients asking for JSON, otherwise render the template with its partials and
+    // helpers
+    const mediaType = negotiateMediaType(params.__ow_headers?.accept)
+    let body
+    if (mediaType === 'application/json') {
+      body = JSON.stringify(pageData)
+    } else {
+      logger.info(`Rendering ${templateName} template in ${locale.tag}`)
+      body = renderTemplate(templateName, pageData, {
+        locale: locale.tag,
+        dictionary: loadDictionary(locale.lang),
+        mediaUrl: params.MEDIA_URL
+      })
+      if (parsed.plain) {
+        body = toPlainHtml(body)
+      }
+    }
 
-    // Render the template with the data
-    logger.info('Rendering HTML template with sample data')
-    const html = template(pageData)
+    const modifiedAt = lastModified ? new Date(lastModified) : null
+    const validators = { ETag: computeEtag(body) }
+    if (modifiedAt) {
+      validators['Last-Modified'] = toHttpDate(modifiedAt)
+    }
+    const headers = {
+      ...validators,
+      'Content-Language': locale.lang,
+      Vary: 'Accept, Accept-Language',
+      'x-byom-cache': cached.status,
+      [CORRELATION_HEADER]: correlationId
+    }
+    if (isNotModified(params.__ow_headers || {}, { etag: validators.ETag, lastModified: modifiedAt })) {
+      logger.info(`304: ${path} not modified (cache ${cached.status})`)
+      return {
+        statusCode: 304,
+        headers
+      }
+    }
 
     const response = {
       statusCode: 200,
-      body: html,
+      body: mediaType === 'application/json' ? pageData : body,
       headers: {
-        'Content-Type': 'text/html'
+        'Content-Type': mediaType,
+        ...headers
       }
     }
 
-    logger.info(`${response.statusCode}: HTML rendered successfully`)
+    logger.info(`${response.statusCode}: ${mediaType === 'application/json' ? 'JSON' : 'HTML'} rendered successfully`)
     return response
   } catch (error) {
     logger.error(error)
-    return errorResponse(500, 'server error', logger)
+    if (isTimeoutError(error)) {
+      return errorResponse(504, 'data source timed out', logger, { code: 'UPSTREAM_TIMEOUT' })
+    }
+    // Malformed inputs like `ALLOWED_PATHS`, `DATA_SOURCES` or `ROUTES` (see `configError` in `../errors.js`)
+    if (error.code === 'CONFIG_INVALID') {
+      return errorResponse(500, error.message, logger, { code: 'CONFIG_INVALID' })
+    }
+    return errorResponse(500, 'server error', logger, { code: 'INTERNAL_ERROR' })
+  }
+}
+
+/**
+ * Fetches the record of a page through the record cache (see `cache.js`). Records failing their raw schema are not
+ * cached; deletions are, so deleted records keep answering 410 without calling the upstream.
+ *
+ * @param {Object} source - Data source.
+ * @param {Object} config - Source configuration, for the cache policy and key.
+ * @param {Object} context - Record context (`path`, `id`, `nationality`, ...).
+ * @param {Object} rawSchema - Schema of the raw records.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{value: {record: Object, lastModified: string|null}|{deleted: true}|null, status: string,
+ *   errors?: Array}>}
+ *   `errors` lists the failing fields if the fetched record was invalid.
+ */
+async function fetchCached(source, config, context, rawSchema, logger) {
+  const policy = resolveCachePolicy(config)
+  let store
+  if (policy.ttl) {
+    try {
+      store = await getStateStore()
+    } catch (error) {
+      // Without state storage, the in-memory tier still works
+      logger.warn(`State storage unavailable, caching in memory only: ${error.message}`)
+    }
+  }
+
+  let errors
+  const load = async () => {
+    const record = await source.fetchRecord(context, logger)
+    if (!record) {
+      return null
+    }
+    if (record === DELETED_RECORD) {
+      logger.info(`Record for ${context.path} was deleted upstream`)
+      return { deleted: true }
+    }
+    const lastModified = source.lastModified ? source.lastModified(record) : null
+    const checked = checkRecord(record, rawSchema, 'record', context.path, logger)
+    if (!checked.valid) {
+      errors = checked.errors
+      return null
+    }
+    return { record: checked.record, lastModified: lastModified ? lastModified.toISOString() : null }
+  }
+  const key = cacheKey(config, context.path, context.nationality)
+  const cached = await cachedFetch(key, policy, load, { store, logger })
+  logger.info(`Record cache ${cached.status} for ${context.path}`)
+  return errors ? { ...cached, errors } : cached
+}
+
+/**
+ * Validates a record or view model and logs its failing fields.
+ *
+ * @param {Object} record - Record or view model.
+ * @param {Object} schema - Schema to validate against.
+ * @param {string} label - What is validated, for the logs.
+ * @param {string} path - Page path, for the logs.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {{valid: boolean, record: Object, errors: Array}} See `validateRecord`.
+ */
+function checkRecord(record, schema, label, path, logger) {
+  const checked = validateRecord(record, schema)
+  if (!checked.valid) {
+    logger.warn(`Invalid ${label} for ${path}: ${describeErrors(checked.errors)}`)
+  } else if (checked.errors.length > 0) {
+    logger.info(`Partial ${label} for ${path}: ${describeErrors(checked.errors)}`)
   }
+  return checked
 }
 
 exports.main = main
@@ -0,0 +1,188 @@
+/*
+* <license header>
+*/
+
+/**
+ * First-party media of the data-provider action.
+ *
+ * Published pages must not hotlink image hosts: third-party URLs bypass the Edge Delivery media pipeline, so
+ * `createOptimizedPicture` cannot resize or convert them. Instead, image fields of the view model (`picture`, `image`,
+ * `photo`, `avatar`, …) point to `/byom-media/<token>.<ext>`, which this action serves itself. Helix ingests the images
+ * of a page from there into its media bus on preview, and the page is published with first-party image URLs.
+ *
+ * - The token is the upstream URL, base64url-encoded, so the route needs no storage. It is checked against the URL
+ *   policy (see `sanitize.js`) on every request, so only images of allowed hosts are served; this is no open proxy.
+ * - `/byom-media/w<width>/<token>.<ext>` serves a width variant for the widths in `MEDIA_WIDTHS`, picked from the
+ *   variants the upstream offers (Random User portrait sizes, Unsplash's `w` parameter). The `?width=` parameter
+ *   `createOptimizedPicture` adds picks the next larger width; other formats than the upstream's are not produced.
+ * - Upstream responses must be JPEG, PNG, WebP or GIF, both by `Content-Type` and by their leading bytes, and at most
+ *   5 MB. Redirects are not followed, so an allowed host cannot bounce the request elsewhere.
+ */
+const fetch = require('node-fetch')
+const { errorResponse } = require('../utils')
+const { sanitizeUrl } = require('./sanitize')
+const { computeEtag, isNotModified } = require('./conditional')
+
+const MEDIA_PATH_PREFIX = '/byom-media/'
+const MEDIA_WIDTHS = [48, 72, 128, 200, 400, 750, 1200, 2000]
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024
+const FETCH_TIMEOUT = 10000
+const MEDIA_CACHE_CONTROL = 'public, max-age=604800'
+
+const MEDIA_PATH_PATTERN = /^\/byom-media\/(?:w(\d+)\/)?([A-Za-z0-9_-]+)\.(jpg|png|webp|gif)$/
+const IMAGE_FIELD_PATTERN = /^(picture|image|photo|avatar)$|(Image|Picture|Photo|Avatar)$/
+
+// Content types served, by the leading bytes of their data.
+const IMAGE_SIGNATURES = {
+  'image/jpeg': (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/png': (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP',
+  'image/gif': (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6))
+}
+
+/**
+ * Returns whether a path is a media path.
+ *
+ * @param {string} path - Request path.
+ * @returns {boolean}
+ */
+function isMediaPath(path) {
+  return path.startsWith(MEDIA_PATH_PREFIX)
+}
+
+/**
+ * Builds the first-party path of an upstream image.
+ *
+ * @param {string} url - Absolute upstream image URL.
+ * @param {number} [width] - Width variant, one of `MEDIA_WIDTHS`.
+ * @returns {string} e.g. `/byom-media/aHR0cHM6Ly9yYW5kb211c2VyLm1lL2EuanBn.jpg`
+ */
+function mediaPath(url, width) {
+  const extension = (/\.(jpe?g|png|webp|gif)$/i.exec(new URL(url).pathname) || [null, 'jpg'])[1].toLowerCase()
+  const token = Buffer.from(url).toString('base64url')
+  return `${MEDIA_PATH_PREFIX}${width ? `w${width}/` : ''}${token}.${extension === 'jpeg' ? 'jpg' : extension}`
+}
+
+/**
+ * Points the image fields of a sanitized view model to first-party media paths.
+ *
+ * @param {Object} viewModel - Sanitized view model.
+ * @param {string} [mediaUrl] - Origin the media paths are served under; without one they stay root-relative.
+ * @returns {Object} A copy with rewritten image fields. Root-relative and empty values are kept.
+ */
+function rehostImages(viewModel, mediaUrl) {
+  const base = String(mediaUrl || '').replace(/\/+$/, '')
+  const rewrite = (value, key) => {
+    if (Array.isArray(value)) {
+      return value.map((item) => rewrite(item, key))
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, rewrite(item, name)]))
+    }
+    if (typeof value === 'string' && /^https?:\/\//i.test(value) && IMAGE_FIELD_PATTERN.test(key || '')) {
+      return `${base}${mediaPath(value)}`
+    }
+    return value
+  }
+  return rewrite(viewModel, '')
+}
+
+/**
+ * Returns the upstream URL of a width variant.
+ *
+ * @param {string} url - Upstream image URL.
+ * @param {number} [width] - Requested width.
+ * @returns {string}
+ */
+function variantUrl(url, width) {
+  if (!width) {
+    return url
+  }
+  const parsed = new URL(url)
+  if (/(^|\.)randomuser\.me$/.test(parsed.hostname)) {
+    // Portraits come as 128px (`/portraits/men/1.jpg`), 72px (`/portraits/med/...`) and 48px (`/portraits/thumb/...`).
+    const size = width <= 48 ? 'thumb' : width <= 72 ? 'med' : null
+    parsed.pathname = parsed.pathname.replace(/\/portraits\/(?:med\/|thumb\/)?/, size ? `/portraits/${size}/` : '/portraits/')
+  } else if (/(^|\.)images\.unsplash\.com$/.test(parsed.hostname)) {
+    parsed.searchParams.set('w', String(width))
+  }
+  return parsed.href
+}
+
+/**
+ * Serves a media path.
+ *
+ * @param {{path: string, headers: Object, query?: string}} request - Request path, lower-cased headers and raw query
+ *   string.
+ * @param {{schemes: string[], hosts: string[]}} policy - URL policy.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object>} The action response; image bodies are base64-encoded.
+ */
+async function serveMedia(request, policy, logger) {
+  const { path, headers } = request
+  const match = MEDIA_PATH_PATTERN.exec(path)
+  const width = match && match[1] ? Number(match[1]) : snapWidth(new URLSearchParams(request.query || '').get('width'))
+  if (!match || (width !== undefined && !MEDIA_WIDTHS.includes(width))) {
+    return errorResponse(404, `${path} is not a media path`, logger)
+  }
+  const url = sanitizeUrl(Buffer.from(match[2], 'base64url').toString('utf8'), policy)
+  if (!url || !/^https:\/\//.test(url)) {
+    return errorResponse(403, `image host of ${path} is not allowed`, logger)
+  }
+
+  const upstreamUrl = variantUrl(url, width)
+  logger.info(`Fetching image ${upstreamUrl}`)
+  let res
+  try {
+    res = await fetch(upstreamUrl, { redirect: 'error', timeout: FETCH_TIMEOUT, size: MAX_IMAGE_BYTES })
+  } catch (error) {
+    return errorResponse(502, `fetching the image failed: ${error.message}`, logger)
+  }
+  if (!res.ok) {
+    return errorResponse(502, `image upstream responded with ${res.status}`, logger)
+  }
+
+  const contentType = String(res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase()
+  const signature = IMAGE_SIGNATURES[contentType]
+  if (!signature) {
+    return errorResponse(502, `image upstream sent unsupported content type '${contentType}'`, logger)
+  }
+  let bytes
+  try {
+    bytes = await res.buffer()
+  } catch (error) {
+    return errorResponse(502, `reading the image failed: ${error.message}`, logger)
+  }
+  if (!signature(bytes)) {
+    return errorResponse(502, `image upstream sent data that is not ${contentType}`, logger)
+  }
+
+  const responseHeaders = { ETag: computeEtag(bytes), 'Cache-Control': MEDIA_CACHE_CONTROL }
+  if (isNotModified(headers, { etag: responseHeaders.ETag })) {
+    return { statusCode: 304, headers: responseHeaders }
+  }
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': contentType, 'X-Content-Type-Options': 'nosniff', ...responseHeaders },
+    body: bytes.toString('base64')
+  }
+}
+
+// Maps a free width to the next larger variant, so arbitrary widths do not multiply the upstream requests.
+function snapWidth(value) {
+  const width = Number(value)
+  if (!value || !Number.isFinite(width) || width <= 0) {
+    return undefined
+  }
+  return MEDIA_WIDTHS.find((candidate) => candidate >= width) || MEDIA_WIDTHS[MEDIA_WIDTHS.length - 1]
+}
+
+module.exports = {
+  MEDIA_PATH_PREFIX,
+  MEDIA_WIDTHS,
+  isMediaPath,
+  mediaPath,
+  rehostImages,
+  variantUrl,
+  serveMedia
+}
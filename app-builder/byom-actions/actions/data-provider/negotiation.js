@@ -0,0 +1,80 @@
+/*
+* <license header>
+*/
+
+/**
+ * Content negotiation of the data-provider action.
+ *
+ * Pages are served as `text/html` (the default, used by Helix) or, for `Accept: application/json`, as the view model
+ * the template was rendered from. Quality values are honored; unknown or unacceptable types fall back to HTML rather
+ * than failing with 406, so Helix always gets a page. `Accept-Language` is negotiated the same way (see `i18n.js`).
+ */
+const MEDIA_TYPES = ['text/html', 'application/json']
+
+/**
+ * Picks the response media type for an `Accept` header.
+ *
+ * @param {string} [accept] - The `Accept` request header.
+ * @returns {string} `text/html` or `application/json`.
+ */
+function negotiateMediaType(accept) {
+  const ranges = parseAccept(accept)
+  let best = { type: MEDIA_TYPES[0], q: 0 }
+  for (const type of MEDIA_TYPES) {
+    const q = qualityOf(type, ranges)
+    // Ties keep the earlier, i.e. HTML
+    if (q > best.q) {
+      best = { type, q }
+    }
+  }
+  return best.type
+}
+
+/**
+ * Picks the best supported language for an `Accept-Language` header.
+ *
+ * @param {string} [acceptLanguage] - The `Accept-Language` request header.
+ * @param {string[]} supported - Supported primary language subtags, e.g. `['en', 'de']`.
+ * @param {string} fallback - Language used if none of the accepted ones is supported.
+ * @returns {string} One of `supported`, or `fallback`.
+ */
+function negotiateLanguage(acceptLanguage, supported, fallback) {
+  const ranges = parseAccept(acceptLanguage)
+    .filter(({ q }) => q > 0)
+    // Array.prototype.sort is stable, so equally preferred languages keep the order of the header
+    .sort((a, b) => b.q - a.q)
+  for (const { range } of ranges) {
+    const language = range.split('-')[0]
+    if (supported.includes(language)) {
+      return language
+    }
+    if (range === '*') {
+      return fallback
+    }
+  }
+  return fallback
+}
+
+function parseAccept(accept) {
+  return String(accept || '').split(',').map((part) => {
+    const [range, ...parameters] = part.trim().toLowerCase().split(';')
+    const qParameter = parameters.map((parameter) => parameter.trim()).find((parameter) => parameter.startsWith('q='))
+    const q = qParameter ? Number(qParameter.slice(2)) : 1
+    return { range: range.trim(), q: Number.isFinite(q) ? q : 0 }
+  }).filter(({ range }) => range)
+}
+
+// The quality of the most specific range matching the type, as RFC 9110 prescribes.
+function qualityOf(type, ranges) {
+  const [main] = type.split('/')
+  const match = ranges.find(({ range }) => range === type) ||
+    ranges.find(({ range }) => range === `${main}/*`) ||
+    ranges.find(({ range }) => range === '*/*')
+  return match ? match.q : 0
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  negotiateMediaType,
+  negotiateLanguage
+}
@@ -0,0 +1,145 @@
+/*
+* <license header>
+*/
+
+/**
+ * Overlay path parsing of the data-provider action.
+ *
+ * Helix asks the overlay for any path, so requests are parsed strictly before anything is fetched:
+ * - The path must be the overlay root `/byom-page` or below it; `/byom-pageX` or `/other` are not overlay paths (404).
+ * - Segments consist of letters, digits, `.`, `_` and `-`; empty segments (`//`), `.` and `..`, overlong paths and
+ *   other characters are rejected (400).
+ * - A trailing slash is dropped, so `/byom-page/users/jane/` is the same page as `/byom-page/users/jane`.
+ * - `.plain.html` asks for the page content without the document around it, like Edge Delivery does for fragments;
+ *   `.md` is not served, as the overlay provides HTML only (404).
+ *
+ * The `ALLOWED_PATHS` and `DENIED_PATHS` inputs limit the pages that are served, with patterns like the index
+ * configuration uses: `*` matches within a segment, `**` across segments. Deny patterns win; paths that are not
+ * allowed are not found (404). Patterns match the path without its locale segment.
+ */
+const { toList } = require('../utils')
+
+const OVERLAY_ROOT = '/byom-page'
+const SEGMENT_PATTERN = /^[A-Za-z0-9._-]+$/
+const MAX_PATH_LENGTH = 512
+const MAX_SEGMENTS = 10
+const PLAIN_SUFFIX = '.plain.html'
+const MARKDOWN_SUFFIX = '.md'
+
+const DEFAULT_PATH_RULES = {
+  allow: [OVERLAY_ROOT, `${OVERLAY_ROOT}/**`],
+  deny: []
+}
+
+/**
+ * Parses a request path.
+ *
+ * @param {string} [rawPath] - The `__ow_path` of the request.
+ * @returns {{path: string, plain: boolean}|{status: number, message: string}} The normalized page path and whether
+ *   only the page content was requested, or the error status and message.
+ */
+function parseOverlayPath(rawPath) {
+  let path = String(rawPath || '')
+  if (!path.startsWith('/')) {
+    path = `/${path}`
+  }
+  if (path !== OVERLAY_ROOT && !path.startsWith(`${OVERLAY_ROOT}/`)) {
+    return { status: 404, message: `${path} is not an overlay path` }
+  }
+  if (path.length > MAX_PATH_LENGTH) {
+    return { status: 400, message: `overlay path is longer than ${MAX_PATH_LENGTH} characters` }
+  }
+
+  if (path.endsWith(MARKDOWN_SUFFIX)) {
+    return { status: 404, message: `${path} is not served; overlay pages are HTML only` }
+  }
+  const plain = path.endsWith(PLAIN_SUFFIX)
+  if (plain) {
+    path = path.slice(0, -PLAIN_SUFFIX.length)
+  }
+  if (path.length > OVERLAY_ROOT.length && path.endsWith('/')) {
+    path = path.slice(0, -1)
+  }
+
+  const segments = path.slice(1).split('/')
+  if (segments.length > MAX_SEGMENTS) {
+    return { status: 400, message: `overlay path has more than ${MAX_SEGMENTS} segments` }
+  }
+  const invalid = segments.find((segment) => !SEGMENT_PATTERN.test(segment) || /^\.+$/.test(segment))
+  if (invalid !== undefined) {
+    return { status: 400, message: `invalid segment '${invalid}' in overlay path ${path}` }
+  }
+  return { path, plain }
+}
+
+/**
+ * Reads the allow and deny patterns from the action params.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {string|string[]} [params.ALLOWED_PATHS] - Patterns (comma-separated, array or JSON array) replacing the
+ *   default `/byom-page` and `/byom-page/**`.
+ * @param {string|string[]} [params.DENIED_PATHS] - Patterns of paths that are never served.
+ * @returns {{allow: RegExp[], deny: RegExp[]}}
+ * @throws {Error} A `CONFIG_INVALID` error if a JSON array input is malformed.
+ */
+function resolvePathRules(params) {
+  const allow = toList(params.ALLOWED_PATHS, 'ALLOWED_PATHS')
+  return {
+    allow: (allow.length > 0 ? allow : DEFAULT_PATH_RULES.allow).map(compileGlob),
+    deny: toList(params.DENIED_PATHS, 'DENIED_PATHS').map(compileGlob)
+  }
+}
+
+/**
+ * Compiles a path pattern, e.g. `/byom-page/users/*` or `/byom-page/**`.
+ *
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp}
+ */
+function compileGlob(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === '**') {
+        return '.*'
+      }
+      if (part === '*') {
+        return '[^/]*'
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Checks a page path against the allow and deny patterns.
+ *
+ * @param {string} path - Page path without locale segment.
+ * @param {{allow: RegExp[], deny: RegExp[]}} rules - Compiled patterns.
+ * @returns {boolean}
+ */
+function isPathAllowed(path, rules) {
+  return rules.allow.some((pattern) => pattern.test(path)) && !rules.deny.some((pattern) => pattern.test(path))
+}
+
+/**
+ * Cuts a rendered page down to its content, the children of `<main>`, for `.plain.html` requests.
+ *
+ * @param {string} html - Rendered page.
+ * @returns {string}
+ */
+function toPlainHtml(html) {
+  const match = /<main[^>]*>([\s\S]*)<\/main>/i.exec(html)
+  return match ? `${match[1].trim()}\n` : html
+}
+
+module.exports = {
+  OVERLAY_ROOT,
+  DEFAULT_PATH_RULES,
+  parseOverlayPath,
+  resolvePathRules,
+  compileGlob,
+  isPathAllowed,
+  toPlainHtml
+}
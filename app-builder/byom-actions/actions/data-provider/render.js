@@ -0,0 +1,66 @@
+/*
+* <license header>
+*/
+
+/**
+ * Template rendering of the data-provider action.
+ *
+ * Templates live in `templates/<name>.html`. Every file in `templates/partials/` is registered as a partial named
+ * after the file, e.g. `{{> head-meta title=... }}` and `{{> hero title=... }}`, and the helpers of `./helpers.js`
+ * are available to all templates, in the locale of the page. Templates and partials must escape all output (see
+ * `sanitize.js`); those using `{{{ }}}` or `{{& }}` are rejected.
+ */
+const fs = require('fs')
+const path = require('path')
+const Handlebars = require('handlebars')
+const { registerHelpers } = require('./helpers')
+const { assertSafeTemplate } = require('./sanitize')
+const { LOCALES, DEFAULT_LANGUAGE, loadDictionary } = require('./i18n')
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates')
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials')
+
+/**
+ * Creates a Handlebars instance with all partials and helpers registered.
+ *
+ * @param {{locale?: string, dictionary?: Object, mediaUrl?: string}} i18n - Locale and dictionary of the page.
+ * @returns {Object} The Handlebars instance.
+ */
+function createHandlebars(i18n) {
+  const handlebars = Handlebars.create()
+  registerHelpers(handlebars, i18n)
+  for (const file of fs.readdirSync(PARTIALS_DIR)) {
+    if (file.endsWith('.html')) {
+      const name = path.basename(file, '.html')
+      const source = fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf-8')
+      assertSafeTemplate(source, `partials/${name}`)
+      handlebars.registerPartial(name, source)
+    }
+  }
+  return handlebars
+}
+
+/**
+ * Renders a template.
+ *
+ * @param {string} name - Template name, e.g. `user-profile`.
+ * @param {Object} data - Template data.
+ * @param {{locale?: string, dictionary?: Object, mediaUrl?: string}} [i18n] - `Intl` locale and dictionary (see
+ *   `i18n.js`), defaults to `en-US` and the English dictionary, and the origin of media paths (see `media.js`).
+ * @returns {string} The rendered HTML.
+ * @throws {Error} If the template or a partial outputs data unescaped.
+ */
+function renderTemplate(name, data, i18n = {}) {
+  const handlebars = createHandlebars({
+    locale: i18n.locale,
+    dictionary: i18n.dictionary || loadDictionary(DEFAULT_LANGUAGE),
+    mediaUrl: i18n.mediaUrl
+  })
+  const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${path.basename(name)}.html`), 'utf-8')
+  assertSafeTemplate(source, name)
+  return handlebars.compile(source)({ locale: { lang: DEFAULT_LANGUAGE, tag: LOCALES[DEFAULT_LANGUAGE] }, ...data })
+}
+
+module.exports = {
+  renderTemplate
+}
@@ -0,0 +1,152 @@
+/*
+* <license header>
+*/
+
+/**
+ * Route table of the data-provider action.
+ *
+ * A route maps an overlay path pattern to a template and a data source, so one overlay serves several page types:
+ *   { "pattern": "/byom-page/teams/:id", "template": "team", "source": { "type": "static", "file": "teams.json" } }
+ * `:name` parameters match one path segment, or the rest of a segment after a literal prefix like `page-:page`, and
+ * are handed to the data source; `:id` (or else the first parameter) is the record ID. Routes are tried in order.
+ * Paths no route matches are served by the prefix-based `DATA_SOURCES` with the user profile template.
+ */
+const { configError } = require('../errors')
+
+// View model schemas of the bundled page types (see `sources/schema.js`)
+const TEAM_SCHEMA = {
+  view: {
+    name: { type: 'string', policy: 'required' },
+    description: { type: 'string', default: '' },
+    founded: { type: 'date' },
+    image: { type: 'string' },
+    members: { type: 'array', default: [] }
+  }
+}
+const COUNTRY_SCHEMA = {
+  view: {
+    code: { type: 'string', policy: 'required' },
+    capital: { type: 'string', default: '' },
+    population: { type: 'number' },
+    area: { type: 'number' },
+    currency: { type: 'string', default: '' },
+    languages: { type: 'array', default: [] },
+    image: { type: 'string' }
+  }
+}
+
+// Groups of users, 12 per page (see `sources/randomuser.js`)
+const ROSTER_SOURCE = { type: 'randomuser', results: 12 }
+const COHORT_SOURCE = { type: 'randomuser', results: 12, nationalityParam: 'code' }
+
+// Listing pages of the published profiles (see `sources/query-index.js`)
+const DIRECTORY_SOURCE = { type: 'index', url: '/user-index.json', pageSize: 20, filters: { country: 'userCountry' } }
+
+const DEFAULT_ROUTES = [
+  { pattern: '/byom-page/users/:id', template: 'user-profile', source: { type: 'randomuser' } },
+  { pattern: '/byom-page/directory', template: 'directory', source: DIRECTORY_SOURCE },
+  { pattern: '/byom-page/directory/page-:page', template: 'directory', source: DIRECTORY_SOURCE },
+  { pattern: '/byom-page/directory/country/:country', template: 'directory', source: DIRECTORY_SOURCE },
+  { pattern: '/byom-page/directory/country/:country/page-:page', template: 'directory', source: DIRECTORY_SOURCE },
+  { pattern: '/byom-page/teams/:id', template: 'team', source: { type: 'static', file: 'teams.json', schema: TEAM_SCHEMA } },
+  { pattern: '/byom-page/rosters/:id', template: 'roster', source: ROSTER_SOURCE },
+  { pattern: '/byom-page/rosters/:id/page-:page', template: 'roster', source: ROSTER_SOURCE },
+  {
+    pattern: '/byom-page/countries/:code',
+    template: 'country',
+    source: { type: 'static', file: 'countries.json', key: 'code', schema: COUNTRY_SCHEMA }
+  },
+  { pattern: '/byom-page/countries/:code/cohort', template: 'cohort', source: COHORT_SOURCE },
+  { pattern: '/byom-page/countries/:code/cohort/page-:page', template: 'cohort', source: COHORT_SOURCE }
+]
+
+// First path segments below `/byom-page/` that belong to the routed page types; the webhook refuses to publish there
+const RESERVED_SEGMENTS = [...new Set(DEFAULT_ROUTES.map((route) => route.pattern.split('/')[2]))]
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]+$/
+
+/**
+ * Reads the `ROUTES` action input, given as array or JSON string.
+ *
+ * @param {Object} params - Action parameters.
+ * @returns {Array<Object>} The route table.
+ * @throws {Error} A `CONFIG_INVALID` error if the JSON string is malformed or no array, or if a route has no pattern
+ *   or an invalid template name.
+ */
+function resolveRoutes(params) {
+  let routes = params.ROUTES
+  if (typeof routes === 'string' && routes) {
+    try {
+      routes = JSON.parse(routes)
+    } catch (error) {
+      throw configError(`ROUTES is not valid JSON: ${error.message}`)
+    }
+    if (!Array.isArray(routes)) {
+      throw configError('ROUTES is not a JSON array')
+    }
+  }
+  if (!Array.isArray(routes)) {
+    return DEFAULT_ROUTES
+  }
+  routes.forEach((route, index) => {
+    if (!route || typeof route.pattern !== 'string' || !TEMPLATE_NAME_PATTERN.test(route.template || '')) {
+      throw configError(`invalid route at index ${index} of ROUTES`)
+    }
+  })
+  return routes
+}
+
+/**
+ * Compiles a route pattern into a regular expression.
+ *
+ * @param {string} pattern - Pattern like `/byom-page/users/:id` or `/byom-page/directory/page-:page`.
+ * @returns {{regex: RegExp, names: string[]}}
+ */
+function compilePattern(pattern) {
+  const names = []
+  const source = pattern
+    .replace(/\/+$/, '')
+    .split('/')
+    .map((segment) => {
+      const parameter = /^([^:]*):(.+)$/.exec(segment)
+      const prefix = parameter ? parameter[1] : segment
+      const literal = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      if (!parameter) {
+        return literal
+      }
+      names.push(parameter[2])
+      return `${literal}([^/]+)`
+    })
+    .join('/')
+  return { regex: new RegExp(`^${source}/?$`), names }
+}
+
+/**
+ * Finds the first route matching a path.
+ *
+ * @param {string} path - Overlay page path.
+ * @param {Array<Object>} routes - Route table.
+ * @returns {{route: Object, params: Object<string, string>, id: string}|null}
+ */
+function matchRoute(path, routes) {
+  for (const route of routes) {
+    const { regex, names } = compilePattern(route.pattern)
+    const match = regex.exec(path)
+    if (match) {
+      const params = {}
+      names.forEach((name, index) => {
+        params[name] = match[index + 1]
+      })
+      return { route, params, id: params.id || match[1] || '' }
+    }
+  }
+  return null
+}
+
+module.exports = {
+  DEFAULT_ROUTES,
+  RESERVED_SEGMENTS,
+  resolveRoutes,
+  compilePattern,
+  matchRoute
+}
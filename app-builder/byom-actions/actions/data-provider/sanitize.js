@@ -0,0 +1,169 @@
+/*
+* <license header>
+*/
+
+/**
+ * Sanitization stage of the data-provider action.
+ *
+ * Records come from upstreams we do not control, and rendered pages are published. Handlebars escapes `{{ }}` output,
+ * which covers text; this module covers the rest:
+ * - `sanitizeViewModel` drops URLs (fields like `picture`, `image`, `url`, `link`) whose scheme or host is not allowed,
+ *   drops malformed e-mail addresses and removes control characters from all strings. Root-relative URLs stay on the
+ *   site and are allowed.
+ * - `pickHeaders` keeps only harmless request headers, for logging; forwarded credentials never reach logs or pages.
+ * - `assertSafeTemplate` rejects templates that output data unescaped (`{{{ }}}` or `{{& }}`), see `render.js`.
+ */
+const { stripControlCharacters, toList } = require('../utils')
+
+const DEFAULT_URL_POLICY = {
+  schemes: ['https:'],
+  hosts: ['randomuser.me', 'images.unsplash.com']
+}
+
+const LOGGED_HEADERS = [
+  'accept',
+  'accept-language',
+  'content-type',
+  'if-modified-since',
+  'if-none-match',
+  'user-agent',
+  'x-content-source-correlation-id',
+  'x-content-source-location',
+  'x-correlation-id'
+]
+
+const URL_FIELD_PATTERN = /^(picture|image|photo|avatar|url|href|link|website)$|(Url|Href|Link|Image|Picture)$/
+const EMAIL_PATTERN = /^[^\s@<>"'`]+@[^\s@<>"'`]+\.[^\s@<>"'`]+$/
+const UNESCAPED_OUTPUT_PATTERN = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{~?&\s*([^}]*?)\s*~?\}\}/
+
+/**
+ * Reads the URL policy from the action params.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {string|string[]} [params.ALLOWED_URL_HOSTS] - Hosts (comma-separated, array or JSON array) that replace the
+ *   default ones; subdomains are allowed too. `*` allows every host.
+ * @param {string} [params.SITE_URL] - Origin of the site; its host is always allowed.
+ * @returns {{schemes: string[], hosts: string[]}}
+ * @throws {Error} A `CONFIG_INVALID` error if `ALLOWED_URL_HOSTS` is a malformed JSON array.
+ */
+function resolveUrlPolicy(params) {
+  const configured = toList(params.ALLOWED_URL_HOSTS, 'ALLOWED_URL_HOSTS').map((host) => host.toLowerCase())
+  const hosts = configured.length > 0 ? configured : DEFAULT_URL_POLICY.hosts
+  const siteHost = hostOf(params.SITE_URL)
+  return {
+    schemes: DEFAULT_URL_POLICY.schemes,
+    hosts: siteHost && !hosts.includes(siteHost) ? [...hosts, siteHost] : hosts
+  }
+}
+
+function hostOf(url) {
+  try {
+    return url ? new URL(url).hostname.toLowerCase() : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Checks a URL against the policy.
+ *
+ * @param {string} value - The URL.
+ * @param {{schemes: string[], hosts: string[]}} policy - Allowed schemes and hosts.
+ * @returns {string|null} The normalized URL or the root-relative path, or null if it is not allowed.
+ */
+function sanitizeUrl(value, policy) {
+  // Root-relative paths stay on the site; browsers read `//` and `/\` as another host.
+  if (/^\/(?![/\\])[^\s\\]*$/.test(String(value))) {
+    return String(value)
+  }
+  let url
+  try {
+    url = new URL(String(value).trim())
+  } catch (error) {
+    return null
+  }
+  const host = url.hostname.toLowerCase()
+  const hostAllowed = policy.hosts.includes('*') ||
+    policy.hosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`))
+  if (!policy.schemes.includes(url.protocol) || !hostAllowed || url.username || url.password) {
+    return null
+  }
+  return url.href
+}
+
+/**
+ * Sanitizes a view model before it is rendered or served.
+ *
+ * @param {Object} viewModel - View model of a data source.
+ * @param {{schemes: string[], hosts: string[]}} policy - URL policy.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Object} A sanitized copy; dropped values become empty strings.
+ */
+function sanitizeViewModel(viewModel, policy, logger) {
+  return sanitizeValue(viewModel, '', policy, logger)
+}
+
+function sanitizeValue(value, field, policy, logger) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => sanitizeValue(item, `${field}.${index}`, policy, logger))
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      sanitizeValue(item, field ? `${field}.${key}` : key, policy, logger)
+    ]))
+  }
+  if (typeof value !== 'string') {
+    return value
+  }
+
+  const text = stripControlCharacters(value)
+  const key = field.split('.').pop()
+  if (text && URL_FIELD_PATTERN.test(key)) {
+    const url = sanitizeUrl(text, policy)
+    if (!url) {
+      logger.warn(`Dropped ${field}: URL scheme or host not allowed`)
+      return ''
+    }
+    return url
+  }
+  if (text && key === 'email' && !EMAIL_PATTERN.test(text)) {
+    logger.warn(`Dropped ${field}: not an e-mail address`)
+    return ''
+  }
+  return text
+}
+
+/**
+ * Keeps the request headers that are safe to log.
+ *
+ * @param {Object} [headers] - Lower-cased request headers.
+ * @returns {Object}
+ */
+function pickHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {}).filter(([name]) => LOGGED_HEADERS.includes(name.toLowerCase())))
+}
+
+/**
+ * Rejects templates that output data without HTML escaping.
+ *
+ * @param {string} source - Template or partial source.
+ * @param {string} name - Template name, for the error message.
+ * @throws {Error} If the template uses `{{{ }}}` or `{{& }}`.
+ */
+function assertSafeTemplate(source, name) {
+  const match = UNESCAPED_OUTPUT_PATTERN.exec(source)
+  if (match) {
+    throw new Error(`template '${name}' outputs '${match[1] || match[2]}' unescaped; use {{ }} or an escaping helper`)
+  }
+}
+
+module.exports = {
+  DEFAULT_URL_POLICY,
+  LOGGED_HEADERS,
+  resolveUrlPolicy,
+  sanitizeUrl,
+  sanitizeViewModel,
+  pickHeaders,
+  assertSafeTemplate
+}
@@ -0,0 +1,55 @@
+/*
+* <license header>
+*/
+
+/**
+ * Deterministic seeds for data-provider pages.
+ *
+ * Preview, live and every later re-render of a page must show the same data, otherwise `/user-index.json` drifts from
+ * the published pages. The seed is derived from the page path alone, so it is the same for every render of that
+ * path, and is passed to upstreams that support one (randomuser.me `seed`) and to the local generator below.
+ */
+const crypto = require('crypto')
+
+/**
+ * Derives the seed of a page path.
+ *
+ * @param {string} path - Overlay page path.
+ * @returns {string} 16 hex characters.
+ */
+function seedFromPath(path) {
+  return crypto.createHash('sha256').update(String(path)).digest('hex').slice(0, 16)
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param {string} seed - Seed as returned by `seedFromPath`.
+ * @returns {Function} Returns the next number in [0, 1) on every call.
+ */
+function createRandom(seed) {
+  let state = parseInt(String(seed).slice(0, 8), 16) || 0
+  return () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Formats a seed as a UUID-shaped identifier, e.g. for the `user-id` of generated users.
+ *
+ * @param {string} seed - Seed as returned by `seedFromPath`.
+ * @returns {string}
+ */
+function seedToUuid(seed) {
+  const hex = crypto.createHash('sha256').update(`uuid:${seed}`).digest('hex')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${'89ab'[parseInt(hex[16], 16) % 4]}${hex.slice(17, 20)}-${hex.slice(20, 32)}`
+}
+
+module.exports = {
+  seedFromPath,
+  createRandom,
+  seedToUuid
+}
@@ -0,0 +1,107 @@
+/*
+* <license header>
+*/
+
+/**
+ * Data-source adapters of the data-provider action.
+ *
+ * A data source fetches the record behind an overlay page and maps it to the view model the templates render:
+ * - `fetchRecord(context, logger)` resolves the record for `{ path, id, nationality, params, siteUrl, ... }`, null
+ *   if there is none, or `DELETED_RECORD` (see `./mapping.js`) if it was deleted upstream.
+ * - `toViewModel(record, context)` maps that record to the view model.
+ * - `fallback(context)` (optional) provides a view model when no record could be fetched.
+ * - `lastModified(record)` (optional) returns the modification date of a record, or null if it is unknown.
+ * - `schema` (optional) declares the shapes of raw records and view models, `{ raw, view }` (see `./schema.js`).
+ *
+ * Sources are chosen per path prefix from the `DATA_SOURCES` action input, e.g.
+ *   {
+ *     "/byom-page/crm/": { "type": "rest", "url": "https://crm.example.com/people/{id}", "mapping": { ... } },
+ *     "/byom-page/team/": { "type": "static", "file": "users.json" },
+ *     "/byom-page/": { "type": "randomuser" }
+ *   }
+ * The longest matching prefix wins; the rest of the path is the record ID. Every configuration can also set a `cache`
+ * policy (see `../cache.js`) and a `schema` extending the declared one.
+ */
+const { createRandomUserSource } = require('./randomuser')
+const { createStaticSource } = require('./static')
+const { createRestSource } = require('./rest')
+const { createQueryIndexSource } = require('./query-index')
+const { DELETED_RECORD } = require('./mapping')
+const { configError } = require('../../errors')
+
+const SOURCE_TYPES = {
+  randomuser: createRandomUserSource,
+  static: createStaticSource,
+  rest: createRestSource,
+  index: createQueryIndexSource
+}
+
+const DEFAULT_DATA_SOURCES = {
+  '/byom-page/': { type: 'randomuser' }
+}
+
+/**
+ * Reads the `DATA_SOURCES` action input, given as object or JSON string.
+ *
+ * @param {Object} params - Action parameters.
+ * @returns {Object<string, Object>} Path prefix → source configuration.
+ * @throws {Error} A `CONFIG_INVALID` error if the JSON string is malformed or no object.
+ */
+function resolveDataSources(params) {
+  const dataSources = params.DATA_SOURCES
+  if (typeof dataSources === 'string' && dataSources) {
+    let parsed
+    try {
+      parsed = JSON.parse(dataSources)
+    } catch (error) {
+      throw configError(`DATA_SOURCES is not valid JSON: ${error.message}`)
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw configError('DATA_SOURCES is not a JSON object')
+    }
+    return parsed
+  }
+  return dataSources && typeof dataSources === 'object' ? dataSources : DEFAULT_DATA_SOURCES
+}
+
+/**
+ * Creates a data source from its configuration.
+ *
+ * @param {Object} config - Source configuration with a `type`.
+ * @returns {Object} The data source.
+ * @throws {Error} For unknown source types or incomplete configurations.
+ */
+function createDataSource(config) {
+  const factory = SOURCE_TYPES[config && config.type]
+  if (!factory) {
+    throw new Error(`unknown data source type '${config && config.type}'`)
+  }
+  return factory(config)
+}
+
+/**
+ * Picks the data source for a page path.
+ *
+ * @param {string} path - Overlay page path.
+ * @param {Object<string, Object>} dataSources - Path prefix → source configuration.
+ * @returns {{prefix: string, id: string, source: Object}|null} The source and the record ID, or null if no prefix
+ *   matches.
+ */
+function selectDataSource(path, dataSources) {
+  const prefix = Object.keys(dataSources)
+    .filter((candidate) => path === candidate.replace(/\/+$/, '') || path.startsWith(candidate.endsWith('/') ? candidate : `${candidate}/`))
+    .sort((a, b) => b.length - a.length)[0]
+  if (prefix === undefined) {
+    return null
+  }
+  const id = path.slice(prefix.length).replace(/^\/+|\/+$/g, '')
+  return { prefix, id, config: dataSources[prefix], source: createDataSource(dataSources[prefix]) }
+}
+
+module.exports = {
+  DELETED_RECORD,
+  DEFAULT_DATA_SOURCES,
+  resolveDataSources,
+  createDataSource,
+  selectDataSource
+}
@@ -0,0 +1,96 @@
+/*
+* <license header>
+*/
+
+/**
+ * Field mapping shared by the static and REST data sources.
+ *
+ * A mapping turns an arbitrary upstream record into the view model the templates render (`fullName`, `email`,
+ * `city`, ...). Each entry maps a view model field to a dotted path in the record, e.g. `"city": "address.city"` or
+ * `"picture": "photos.0.url"`. An array of paths is joined with spaces, e.g. `"fullName": ["name.first", "name.last"]`.
+ *
+ * Records deleted upstream are reported as `DELETED_RECORD` by `fetchRecord`, so the data provider answers 410 and
+ * Helix drops the page from its index. Sources detect them by status code or by a `deletedField` (see `isDeleted`).
+ */
+
+const DELETED_RECORD = Object.freeze({ deleted: true })
+
+const LAST_MODIFIED_FIELDS = ['lastModified', 'updatedAt', 'updated', 'modifiedAt', 'modified']
+
+/**
+ * Reads a dotted path from an object.
+ *
+ * @param {Object} object - Source object.
+ * @param {string} path - Dotted path; numeric segments index into arrays.
+ * @returns {*} The value, or undefined if any segment is missing.
+ */
+function readPath(object, path) {
+  return String(path).split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object)
+}
+
+/**
+ * Maps a record to a view model.
+ *
+ * @param {Object} record - Upstream record.
+ * @param {Object<string, string|string[]>} [mapping] - View model field → record path(s). Without a mapping the
+ *   record is expected to be in view model shape already.
+ * @returns {Object}
+ */
+function mapRecord(record, mapping) {
+  if (!mapping) {
+    return { ...record }
+  }
+  const viewModel = {}
+  for (const [field, source] of Object.entries(mapping)) {
+    const value = Array.isArray(source)
+      ? source.map((path) => readPath(record, path)).filter((part) => part !== undefined && part !== null && part !== '').join(' ')
+      : readPath(record, source)
+    if (value !== undefined && value !== null && value !== '') {
+      viewModel[field] = value
+    }
+  }
+  return viewModel
+}
+
+/**
+ * Reads the modification date of a record.
+ *
+ * @param {Object} record - Upstream record.
+ * @param {string} [field] - Dotted path of the date; without one, common field names are tried.
+ * @returns {Date|null}
+ */
+function readLastModified(record, field) {
+  const fields = field ? [field] : LAST_MODIFIED_FIELDS
+  for (const candidate of fields) {
+    const value = readPath(record, candidate)
+    const date = value === undefined || value === null || value === '' ? null : new Date(value)
+    if (date && !Number.isNaN(date.getTime())) {
+      return date
+    }
+  }
+  return null
+}
+
+/**
+ * Tells whether a record is marked as deleted.
+ *
+ * @param {Object} record - Upstream record.
+ * @param {string} [field] - Dotted path of the deletion marker, e.g. `deleted` or `meta.deletedAt`. A truthy value
+ *   other than `'false'` or `'0'` marks the record as deleted; without a field no record is.
+ * @returns {boolean}
+ */
+function isDeleted(record, field) {
+  if (!field) {
+    return false
+  }
+  const value = readPath(record, field)
+  return Boolean(value) && value !== 'false' && value !== '0'
+}
+
+module.exports = {
+  DELETED_RECORD,
+  readPath,
+  mapRecord,
+  readLastModified,
+  isDeleted
+}
@@ -0,0 +1,156 @@
+/*
+* <license header>
+*/
+
+/**
+ * Data source for listing pages, backed by the site's query index (`/user-index.json`, see
+ * `config/index-config.yaml`).
+ *
+ * The record of a listing page is one page of index entries: the entries of published profiles, optionally filtered
+ * by route parameters (e.g. `:country` against `userCountry`), sorted by name and cut into pages of `pageSize`.
+ * The `:page` route parameter selects the page; pages past the end and filters without matches do not exist (404).
+ * Its view model holds crawlable links to the profiles and the canonical, previous and next page URLs.
+ */
+const { resolveIndexUrl, fetchIndex } = require('../../query-index')
+const { localizePath, resolveLocale } = require('../i18n')
+
+const DEFAULT_PAGE_SIZE = 20
+
+const RAW_SCHEMA = {
+  entries: { type: 'array', policy: 'required' },
+  total: { type: 'number', policy: 'required' },
+  page: { type: 'number', policy: 'required' },
+  pageCount: { type: 'number', policy: 'required' },
+  pageSize: { type: 'number', policy: 'required' }
+}
+
+const VIEW_SCHEMA = {
+  entries: { type: 'array', default: [] },
+  canonical: { type: 'string', policy: 'required' }
+}
+
+/**
+ * Creates a query index data source.
+ *
+ * @param {Object} [config] - Source configuration.
+ * @param {string} [config.url] - Index URL, absolute or relative to the `SITE_URL` input; defaults to
+ *   `/user-index.json`.
+ * @param {number} [config.pageSize] - Entries per listing page, defaults to 20.
+ * @param {Object<string, string>} [config.filters] - Route parameter → index field it filters, e.g.
+ *   `{ "country": "userCountry" }`. Values are compared as slugs, so `france` matches `France`.
+ * @returns {Object} The data source. `requires` lists the action inputs it cannot work without.
+ */
+function createQueryIndexSource(config) {
+  const indexPath = (config && config.url) || '/user-index.json'
+  const pageSize = Math.max(1, Number(config && config.pageSize) || DEFAULT_PAGE_SIZE)
+  const filters = (config && config.filters) || {}
+
+  return {
+    type: 'index',
+    schema: { raw: RAW_SCHEMA, view: VIEW_SCHEMA },
+    // A relative index URL is read from the site
+    requires: /^https?:\/\//.test(indexPath) ? [] : ['SITE_URL'],
+    fetchRecord: async (context, logger) => {
+      const page = context.params && context.params.page !== undefined ? Number(context.params.page) : 1
+      if (!Number.isInteger(page) || page < 1) {
+        return null
+      }
+
+      const entries = (await fetchIndex(resolveIndexUrl(indexPath, context.siteUrl), logger))
+        .filter((entry) => entry.path && entry.userFullname && isProfilePath(entry.path))
+        .filter((entry) => Object.entries(filters).every(([param, field]) => {
+          const value = context.params && context.params[param]
+          return value === undefined || slugify(entry[field]) === slugify(value)
+        }))
+        .sort((a, b) => String(a.userFullname).localeCompare(String(b.userFullname)) || a.path.localeCompare(b.path))
+
+      const filtered = Object.keys(filters).some((param) => context.params && context.params[param] !== undefined)
+      if (filtered && entries.length === 0) {
+        logger.debug(`Listing ${context.path} matches no profiles`)
+        return null
+      }
+      const pageCount = Math.max(1, Math.ceil(entries.length / pageSize))
+      if (page > pageCount) {
+        logger.debug(`Listing ${context.path} has ${pageCount} page(s), not ${page}`)
+        return null
+      }
+      const lastModified = Math.max(0, ...entries.map((entry) => Number(entry.lastModified) || 0))
+      return {
+        entries: entries.slice((page - 1) * pageSize, page * pageSize),
+        total: entries.length,
+        page,
+        pageCount,
+        pageSize,
+        // Index timestamps are in seconds
+        lastModified: lastModified ? new Date(lastModified * 1000).toISOString() : undefined
+      }
+    },
+    toViewModel: (record, context) => toViewModel(record, context, filters),
+    lastModified: (record) => (record.lastModified ? new Date(record.lastModified) : null)
+  }
+}
+
+// Listing pages and other language versions of a profile are in the index too; each profile is listed once.
+function isProfilePath(path) {
+  return path.startsWith('/byom-page/') && !/^\/byom-page\/directory(?:\/|$)/.test(path) && !resolveLocale(path).fromPath
+}
+
+/**
+ * Turns a value into a path segment, e.g. `Côte d'Ivoire` → `cote-d-ivoire`.
+ *
+ * @param {string} value - The value.
+ * @returns {string}
+ */
+function slugify(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+function toViewModel(record, context, filters) {
+  const lang = context && context.lang
+  const origin = String((context && context.siteUrl) || '').replace(/\/+$/, '')
+  // `/byom-page/directory/country/france/page-2` → `/byom-page/directory/country/france`
+  const basePath = context.path.replace(/\/page-[^/]+$/, '')
+  const pageUrl = (page) => `${origin}${localizePath(page === 1 ? basePath : `${basePath}/page-${page}`, lang)}`
+
+  // Filter labels show the value as the index spells it, e.g. `United Kingdom` for `united-kingdom`
+  const filter = {}
+  for (const [param, field] of Object.entries(filters)) {
+    if (context.params && context.params[param] !== undefined) {
+      const entry = record.entries.find((candidate) => candidate[field])
+      filter[param] = entry ? entry[field] : context.params[param]
+    }
+  }
+
+  return {
+    entries: record.entries.map((entry, index) => ({
+      position: (record.page - 1) * record.pageSize + index + 1,
+      name: entry.userFullname,
+      city: entry.userCity,
+      country: entry.userCountry,
+      picture: entry.userPicture,
+      href: localizePath(entry.path, lang)
+    })),
+    filter,
+    total: record.total,
+    page: record.page,
+    pageCount: record.pageCount,
+    canonical: pageUrl(record.page),
+    prev: record.page > 1 ? pageUrl(record.page - 1) : '',
+    next: record.page < record.pageCount ? pageUrl(record.page + 1) : '',
+    pages: Array.from({ length: record.pageCount }, (value, index) => ({
+      number: index + 1,
+      url: pageUrl(index + 1),
+      current: index + 1 === record.page
+    }))
+  }
+}
+
+module.exports = {
+  createQueryIndexSource,
+  slugify
+}
@@ -0,0 +1,375 @@
+/*
+* <license header>
+*/
+
+/**
+ * Data source for the Random User API (https://randomuser.me).
+ *
+ * The API is called with the page seed (see `../seed.js`), so every render of a path returns the same user, optionally
+ * filtered by nationality. If the API fails, the source generates a fallback user from the same seed so previews keep
+ * working and stay repeatable.
+ *
+ * With `results` above 1 the source describes a group instead of a person: the record holds `results` users, requested
+ * as `?seed=<seed>&results=<n>&page=<page>` with the `:page` route parameter. The seed comes from the path without its
+ * `page-<n>` segment, so the pages of a group continue each other. Invalid users are left out of the group.
+ */
+const fetch = require('node-fetch')
+const { createRandom, seedToUuid, seedFromPath } = require('../seed')
+const { formatDate } = require('../helpers')
+const { validateRecord, describeErrors } = require('./schema')
+
+const RANDOM_API_ENDPOINT = 'https://randomuser.me/api/'
+// The API serves up to 5000 users per call; groups are rendered on one page.
+const MAX_RESULTS = 100
+// Nationalities the API knows (https://randomuser.me/documentation#nationalities)
+const API_NATIONALITIES = ['AU', 'BR', 'CA', 'CH', 'DE', 'DK', 'ES', 'FI', 'FR', 'GB', 'IE', 'IN', 'IR', 'MX', 'NL', 'NO',
+  'NZ', 'RS', 'TR', 'UA', 'US']
+
+const FALLBACK_FIRST_NAMES = {
+  male: ['John', 'James', 'Lukas', 'Hugo', 'Oliver', 'Noah', 'Felix', 'Louis'],
+  female: ['Jane', 'Emma', 'Mia', 'Chloé', 'Olivia', 'Sophie', 'Hannah', 'Alice']
+}
+const FALLBACK_LAST_NAMES = ['Doe', 'Smith', 'Roe', 'Müller', 'Martin', 'Taylor', 'Schmidt', 'Bernard']
+const FALLBACK_LOCATIONS = [
+  {
+    nat: 'US',
+    street: 'Main Street',
+    city: 'San Francisco',
+    state: 'California',
+    country: 'United States',
+    postcode: '94102',
+    phone: '(555) ###-####',
+    idName: 'SSN',
+    idValue: 'XXX-XX-####',
+    timezone: '-8:00 - Pacific Time (US & Canada)'
+  },
+  {
+    nat: 'GB',
+    street: 'Harbour Road',
+    city: 'Brighton',
+    state: 'East Sussex',
+    country: 'United Kingdom',
+    postcode: 'BN1 1AA',
+    phone: '01632 ######',
+    idName: 'NINO',
+    idValue: 'QQ ## ## ## C',
+    timezone: '0:00 - Western Europe Time, London, Lisbon, Casablanca'
+  },
+  {
+    nat: 'DE',
+    street: 'Domstraße',
+    city: 'Köln',
+    state: 'Nordrhein-Westfalen',
+    country: 'Germany',
+    postcode: '50667',
+    phone: '0221-#######',
+    idName: 'SVNR',
+    idValue: '## ###### M ###',
+    timezone: '+1:00 - Brussels, Copenhagen, Madrid, Paris'
+  },
+  {
+    nat: 'FR',
+    street: 'Rue de la République',
+    city: 'Lyon',
+    state: 'Auvergne-Rhône-Alpes',
+    country: 'France',
+    postcode: '69002',
+    phone: '04-##-##-##-##',
+    idName: 'INSEE',
+    idValue: '# ## ## ## ### ###',
+    timezone: '+1:00 - Brussels, Copenhagen, Madrid, Paris'
+  }
+]
+
+// API users are partial at times; the profile needs a name and an ID, everything else degrades to empty values.
+const RAW_SCHEMA = {
+  'name.first': { type: 'string', policy: 'required' },
+  'name.last': { type: 'string', policy: 'required' },
+  'name.title': { type: 'string', default: '' },
+  'login.uuid': { type: 'string', policy: 'required' },
+  'login.username': {
+    type: 'string',
+    policy: 'derived',
+    derive: (user) => String(user.email || '').split('@')[0] || user.login.uuid
+  },
+  email: { type: 'string', default: '' },
+  phone: { type: 'string', default: '' },
+  cell: { type: 'string', default: '' },
+  gender: { type: 'string', default: '' },
+  nat: { type: 'string', default: '' },
+  'picture.large': { type: 'string', default: '' },
+  'location.street.number': { type: 'string', default: '' },
+  'location.street.name': { type: 'string', default: '' },
+  'location.city': { type: 'string', default: '' },
+  'location.state': { type: 'string', default: '' },
+  'location.country': { type: 'string', default: '' },
+  'location.postcode': { type: 'string', default: '' },
+  'location.timezone.offset': { type: 'string', default: '' },
+  'location.timezone.description': { type: 'string', default: '' },
+  'dob.date': { type: 'date', default: null },
+  'dob.age': {
+    type: 'number',
+    policy: 'derived',
+    derive: (user) => (user.dob.date ? ageOn(new Date(), new Date(user.dob.date)) : undefined),
+    default: null
+  },
+  'registered.date': { type: 'date', default: null },
+  'id.name': { type: 'string', default: '' },
+  'id.value': { type: 'string', default: '' }
+}
+
+const VIEW_SCHEMA = {
+  fullName: { type: 'string', policy: 'required' },
+  uuid: { type: 'string', policy: 'required' },
+  username: { type: 'string', policy: 'required' },
+  email: { type: 'string' },
+  picture: { type: 'string' },
+  age: { type: 'number' }
+}
+
+const GROUP_RAW_SCHEMA = {
+  members: { type: 'array', policy: 'required' },
+  page: { type: 'number', policy: 'required' }
+}
+
+const GROUP_VIEW_SCHEMA = {
+  members: { type: 'array', policy: 'required' },
+  count: { type: 'number', policy: 'required' },
+  page: { type: 'number', default: 1 },
+  nationality: { type: 'string', default: '' }
+}
+
+/**
+ * Creates the Random User data source.
+ *
+ * @param {Object} [config] - Source configuration.
+ * @param {string} [config.url] - API endpoint, defaults to `https://randomuser.me/api/`.
+ * @param {number} [config.results] - Users per record; above 1 the record is a group (at most 100).
+ * @param {string} [config.nationalityParam] - Route parameter holding the nationality of a group, e.g. `code` for
+ *   `/byom-page/countries/:code/cohort`. It takes precedence over the `x-content-source-location` header.
+ * @returns {Object} The data source.
+ */
+function createRandomUserSource(config) {
+  const endpoint = (config && config.url) || RANDOM_API_ENDPOINT
+  const results = Math.min(MAX_RESULTS, Math.floor(Number(config && config.results)) || 1)
+  if (results > 1) {
+    return createGroupSource(endpoint, results, config)
+  }
+  return {
+    type: 'randomuser',
+    schema: { raw: RAW_SCHEMA, view: VIEW_SCHEMA },
+    fetchRecord: (context, logger) => fetchRandomUser(endpoint, context, logger),
+    toViewModel,
+    fallback
+  }
+}
+
+/**
+ * Fetches the user of a page.
+ *
+ * @param {string} endpoint - API endpoint.
+ * @param {{seed?: string, nationality?: string}} context - Request context.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object|null>} The raw API user, or null if the API did not return one.
+ */
+async function fetchRandomUser(endpoint, context, logger) {
+  const { seed, nationality } = context
+
+  // Build API URL with the page seed and the optional nationality parameter
+  let apiUrl = seed ? `${endpoint}?seed=${seed}` : endpoint
+  if (nationality) {
+    apiUrl = `${apiUrl}${seed ? '&' : '?'}nat=${nationality}`
+    logger.info(`Fetching user with nationality filter: ${nationality}`)
+  } else {
+    logger.warn(`Invalid nationality format: ${nationality}. Using default.`)
+  }
+
+  logger.info(`Fetching user data from Random User API: ${apiUrl}`)
+  const apiRes = await fetch(apiUrl)
+  if (!apiRes.ok) {
+    logger.warn(`Failed to fetch from Random User API: ${apiRes.status} ${apiRes.statusText}`)
+    return null
+  }
+
+  const apiData = await apiRes.json()
+  logger.debug(`Fetched ${apiData.results?.length || 0} user records from API`)
+  return apiData.results && apiData.results.length > 0 ? apiData.results[0] : null
+}
+
+/**
+ * Transforms a Random User API user into the view model of the user profile template.
+ *
+ * @param {Object} user - Raw API user, validated against the raw schema.
+ * @param {{locale?: string}} [context] - Request context; dates are formatted for its `Intl` locale.
+ * @returns {Object}
+ */
+function toViewModel(user, context) {
+  const locale = context && context.locale
+  const fullName = [user.name.title, user.name.first, user.name.last].filter(Boolean).join(' ')
+  const address = [user.location.street.number, user.location.street.name].filter(Boolean).join(' ')
+  const dobDate = formatDate(user.dob.date, 'long', locale)
+  const registeredDate = formatDate(user.registered.date, 'long', locale)
+
+  return {
+    fullName,
+    username: user.login.username,
+    email: user.email,
+    phone: user.phone,
+    cell: user.cell,
+    picture: user.picture.large,
+    address,
+    city: user.location.city,
+    state: user.location.state,
+    country: user.location.country,
+    postcode: user.location.postcode,
+    gender: user.gender.charAt(0).toUpperCase() + user.gender.slice(1),
+    age: user.dob.age,
+    dob: dobDate,
+    registered: registeredDate,
+    nationality: user.nat,
+    uuid: user.login.uuid,
+    idName: user.id.name || 'ID',
+    idValue: user.id.value || 'N/A',
+    timezone: [user.location.timezone.offset, user.location.timezone.description].filter(Boolean).join(' - ')
+  }
+}
+
+/**
+ * Generates the user rendered when the API fails from the page seed.
+ *
+ * @param {{seed?: string, nationality?: string, locale?: string}} context - Request context.
+ * @returns {Object}
+ */
+function fallback(context) {
+  const seed = (context && context.seed) || '0'
+  const random = createRandom(seed)
+  const pick = (list) => list[Math.floor(random() * list.length)]
+  const digits = (count) => Array.from({ length: count }, () => Math.floor(random() * 10)).join('')
+  const fill = (pattern) => pattern.replace(/#/g, () => digits(1))
+
+  // Honour the first requested nationality if we have a location for it.
+  const requested = String((context && context.nationality) || '').split(',')[0].trim().toUpperCase()
+  const location = FALLBACK_LOCATIONS.find((candidate) => candidate.nat === requested) || pick(FALLBACK_LOCATIONS)
+  const gender = random() < 0.5 ? 'male' : 'female'
+  const first = pick(FALLBACK_FIRST_NAMES[gender])
+  const last = pick(FALLBACK_LAST_NAMES)
+  const dob = new Date(Date.UTC(1950 + Math.floor(random() * 55), Math.floor(random() * 12), 1 + Math.floor(random() * 28)))
+  const registered = new Date(Date.UTC(2010 + Math.floor(random() * 14), Math.floor(random() * 12), 1 + Math.floor(random() * 28)))
+  const username = `${first}${last}${digits(3)}`.normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase()
+  const age = ageOn(new Date(), dob)
+
+  return {
+    fullName: `${gender === 'male' ? 'Mr' : 'Ms'} ${first} ${last}`,
+    username,
+    email: `${username}@example.com`,
+    phone: fill(location.phone),
+    cell: fill(location.phone),
+    picture: `https://randomuser.me/api/portraits/${gender === 'male' ? 'men' : 'women'}/${Math.floor(random() * 100)}.jpg`,
+    address: `${1 + Math.floor(random() * 200)} ${location.street}`,
+    city: location.city,
+    state: location.state,
+    country: location.country,
+    postcode: location.postcode,
+    gender: gender.charAt(0).toUpperCase() + gender.slice(1),
+    age,
+    dob: formatDate(dob, 'long', context && context.locale),
+    registered: formatDate(registered, 'long', context && context.locale),
+    nationality: location.nat,
+    uuid: seedToUuid(seed),
+    idName: location.idName,
+    idValue: fill(location.idValue),
+    timezone: location.timezone
+  }
+}
+
+function createGroupSource(endpoint, results, config) {
+  const nationalityParam = config.nationalityParam
+  // A group request for `/byom-page/countries/fr/cohort/page-2` is about `FR`, page 2 of the cohort's seed.
+  const groupContext = (context) => {
+    const params = context.params || {}
+    return {
+      ...context,
+      page: params.page !== undefined ? Number(params.page) : 1,
+      seed: seedFromPath(context.path.replace(/\/page-[^/]+$/, '')),
+      nationality: nationalityParam ? String(params[nationalityParam] || '').toUpperCase() : context.nationality
+    }
+  }
+  const isValid = (context) => Number.isInteger(context.page) && context.page >= 1 &&
+    (!nationalityParam || API_NATIONALITIES.includes(context.nationality))
+
+  return {
+    type: 'randomuser',
+    schema: { raw: GROUP_RAW_SCHEMA, view: GROUP_VIEW_SCHEMA },
+    fetchRecord: async (context, logger) => {
+      const group = groupContext(context)
+      if (!isValid(group)) {
+        logger.debug(`No group at ${context.path}`)
+        return null
+      }
+      const users = await fetchRandomUsers(endpoint, group, results, logger)
+      const members = (users || []).map((user) => validateRecord(user, RAW_SCHEMA)).filter((checked, index) => {
+        if (!checked.valid) {
+          logger.warn(`Left out invalid group member ${index} of ${context.path}: ${describeErrors(checked.errors)}`)
+        }
+        return checked.valid
+      }).map((checked) => checked.record)
+      return members.length ? { members, page: group.page } : null
+    },
+    toViewModel: (record, context) => ({
+      members: record.members.map((user) => toViewModel(user, context)),
+      count: record.members.length,
+      page: record.page,
+      nationality: groupContext(context).nationality || ''
+    }),
+    fallback: (context) => {
+      const group = groupContext(context)
+      if (!isValid(group)) {
+        return null
+      }
+      const members = Array.from({ length: results }, (value, index) => fallback({
+        ...group,
+        // Every member gets its own seed, stable per group, page and position. It is hashed like a page seed, because
+        // the generator only reads its leading hex characters, which are the same for every member of the group.
+        seed: seedFromPath(`${group.seed}/${(group.page - 1) * results + index}`)
+      }))
+      return { members, count: members.length, page: group.page, nationality: group.nationality || '' }
+    }
+  }
+}
+
+/**
+ * Fetches the users of a group page.
+ *
+ * @param {string} endpoint - API endpoint.
+ * @param {{seed: string, page: number, nationality?: string}} context - Group context.
+ * @param {number} results - Users per page.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Array<Object>|null>} The raw API users, or null if the API failed.
+ */
+async function fetchRandomUsers(endpoint, context, results, logger) {
+  const query = new URLSearchParams({ seed: context.seed, results: String(results), page: String(context.page) })
+  if (context.nationality) {
+    query.set('nat', context.nationality)
+  }
+  const apiUrl = `${endpoint}?${query}`.replace(/%2C/g, ',')
+
+  logger.info(`Fetching ${results} users from Random User API: ${apiUrl}`)
+  const apiRes = await fetch(apiUrl)
+  if (!apiRes.ok) {
+    logger.warn(`Failed to fetch from Random User API: ${apiRes.status} ${apiRes.statusText}`)
+    return null
+  }
+  const apiData = await apiRes.json()
+  logger.debug(`Fetched ${apiData.results?.length || 0} user records from API`)
+  return Array.isArray(apiData.results) ? apiData.results : null
+}
+
+function ageOn(now, birth) {
+  const age = now.getUTCFullYear() - birth.getUTCFullYear()
+  return now < new Date(Date.UTC(now.getUTCFullYear(), birth.getUTCMonth(), birth.getUTCDate())) ? age - 1 : age
+}
+
+module.exports = {
+  RANDOM_API_ENDPOINT,
+  createRandomUserSource
+}
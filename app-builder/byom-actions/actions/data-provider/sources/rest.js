@@ -0,0 +1,78 @@
+/*
+* <license header>
+*/
+
+/**
+ * Generic data source for JSON REST endpoints.
+ *
+ * The record URL is built from a template with `{id}` and `{nationality}` placeholders, e.g.
+ * `https://crm.example.com/api/people/{id}`. A 404 means the record does not exist, a 410 or a truthy `deletedField`
+ * that it was deleted; other failures are errors.
+ * The modification date comes from a record field or, failing that, from the `Last-Modified` response header.
+ */
+const fetch = require('node-fetch')
+const { DELETED_RECORD, readPath, mapRecord, readLastModified, isDeleted } = require('./mapping')
+
+/**
+ * Creates a REST data source.
+ *
+ * @param {Object} config - Source configuration.
+ * @param {string} config.url - Record URL template.
+ * @param {Object} [config.headers] - Extra request headers, e.g. an API key.
+ * @param {string} [config.recordPath] - Dotted path of the record in the response, e.g. `data` or `results.0`.
+ * @param {Object} [config.mapping] - Field mapping to the view model.
+ * @param {string} [config.lastModifiedField] - Record field holding the modification date.
+ * @param {string} [config.deletedField] - Record field marking deleted records, e.g. `deleted`.
+ * @returns {Object} The data source.
+ */
+function createRestSource(config) {
+  if (!config || !config.url) {
+    throw new Error("rest data source needs a 'url'")
+  }
+  // Last-Modified headers of the responses the records came from.
+  const lastModifiedHeaders = new WeakMap()
+
+  return {
+    type: 'rest',
+    fetchRecord: async (context, logger) => {
+      const url = config.url.replace(/\{(id|nationality)\}/g, (match, name) => encodeURIComponent(context[name] || ''))
+      logger.info(`Fetching record from REST data source: ${url}`)
+      const res = await fetch(url, { headers: { accept: 'application/json', ...config.headers } })
+      if (res.status === 404) {
+        return null
+      }
+      if (res.status === 410) {
+        return DELETED_RECORD
+      }
+      if (!res.ok) {
+        throw new Error(`REST data source responded with ${res.status}`)
+      }
+      const payload = await res.json()
+      const record = config.recordPath ? readPath(payload, config.recordPath) : payload
+      if (record === undefined || record === null) {
+        return null
+      }
+      if (isDeleted(record, config.deletedField)) {
+        return DELETED_RECORD
+      }
+      const header = res.headers && typeof res.headers.get === 'function' ? res.headers.get('last-modified') : null
+      if (header && typeof record === 'object') {
+        lastModifiedHeaders.set(record, header)
+      }
+      return record
+    },
+    toViewModel: (record) => mapRecord(record, config.mapping),
+    lastModified: (record) => {
+      const date = readLastModified(record, config.lastModifiedField)
+      if (date || !lastModifiedHeaders.has(record)) {
+        return date
+      }
+      const header = new Date(lastModifiedHeaders.get(record))
+      return Number.isNaN(header.getTime()) ? null : header
+    }
+  }
+}
+
+module.exports = {
+  createRestSource
+}
@@ -0,0 +1,152 @@
+/*
+* <license header>
+*/
+
+/**
+ * Record schemas of the data sources.
+ *
+ * Every data source declares the shape of its raw upstream records and of the view models it maps them to, as
+ * `schema: { raw, view }`; a source configuration can extend both with its own `schema` object. A schema maps dotted
+ * field paths to rules:
+ *   { "name.first": { "type": "string", "policy": "required" }, "dob.date": { "type": "date", "default": null } }
+ * Types are `string`, `number`, `boolean`, `date` (anything `Date` parses), `object`, `array` and `any` (the default).
+ * Policies decide what a missing or mistyped field does:
+ * - `required`: the record is invalid; the page falls back or fails instead of rendering broken data.
+ * - `optional` (the default): the field gets its `default`, or is removed.
+ * - `derived`: the field is computed from other fields, with `derive(record)` in code schemas or `from` (a path or
+ *   an array of paths joined with spaces, like mappings) in configurations; failing that, it gets its `default`.
+ * Validation reports every failing field, so partial upstream data is logged field by field and degrades gracefully.
+ */
+const { readPath } = require('./mapping')
+
+const POLICIES = ['required', 'optional', 'derived']
+
+const TYPES = {
+  any: (value) => value,
+  string: (value) => (typeof value === 'string' || typeof value === 'number' ? String(value) : undefined),
+  number: (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined
+  },
+  boolean: (value) => (typeof value === 'boolean' ? value : undefined),
+  date: (value) => ((typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()) ? value : undefined),
+  object: (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : undefined),
+  array: (value) => (Array.isArray(value) ? value : undefined)
+}
+
+/**
+ * Merges the schemas a source declares with the ones of its configuration.
+ *
+ * @param {Object} source - Data source, with an optional `schema: { raw, view }`.
+ * @param {Object} [config] - Source configuration, with an optional `schema: { raw, view }`.
+ * @returns {{raw: Object, view: Object}}
+ */
+function resolveSchemas(source, config) {
+  const declared = (source && source.schema) || {}
+  const configured = (config && config.schema) || {}
+  return {
+    raw: { ...declared.raw, ...configured.raw },
+    view: { ...declared.view, ...configured.view }
+  }
+}
+
+/**
+ * Validates a record against a schema.
+ *
+ * @param {Object} record - Raw record or view model; it is not modified.
+ * @param {Object} schema - Field path → rule.
+ * @returns {{valid: boolean, record: Object, errors: Array<{field: string, policy: string, message: string}>}}
+ *   `record` is a copy with defaults, derived fields and coerced types applied. `valid` is false if a required field
+ *   failed.
+ * @throws {Error} For rules with an unknown type or policy.
+ */
+function validateRecord(record, schema) {
+  const normalized = JSON.parse(JSON.stringify(record))
+  const errors = []
+  for (const [field, rule] of Object.entries(schema || {})) {
+    const { type = 'any', policy = 'optional' } = rule || {}
+    if (!TYPES[type] || !POLICIES.includes(policy)) {
+      throw new Error(`invalid schema rule for '${field}'`)
+    }
+
+    let value = readPath(normalized, field)
+    if (isMissing(value) && policy === 'derived') {
+      value = derive(rule, normalized)
+    }
+    const coerced = isMissing(value) ? undefined : TYPES[type](value)
+    if (coerced !== undefined) {
+      writePath(normalized, field, coerced)
+      continue
+    }
+
+    errors.push({ field, policy, message: isMissing(value) ? 'is missing' : `expected ${type}, got ${describe(value)}` })
+    if (policy !== 'required') {
+      writePath(normalized, field, 'default' in rule ? rule.default : undefined)
+    }
+  }
+  return {
+    valid: !errors.some((error) => error.policy === 'required'),
+    record: normalized,
+    errors
+  }
+}
+
+/**
+ * Formats validation errors for logs and error responses.
+ *
+ * @param {Array<{field: string, policy: string, message: string}>} errors - Validation errors.
+ * @returns {string} e.g. `name.first is missing (required); dob.date expected date, got "soon" (optional)`.
+ */
+function describeErrors(errors) {
+  return errors.map(({ field, policy, message }) => `${field} ${message} (${policy})`).join('; ')
+}
+
+function derive(rule, record) {
+  if (typeof rule.derive === 'function') {
+    try {
+      return rule.derive(record)
+    } catch (error) {
+      return undefined
+    }
+  }
+  if (Array.isArray(rule.from)) {
+    const parts = rule.from.map((path) => readPath(record, path)).filter((part) => !isMissing(part))
+    return parts.length > 0 ? parts.join(' ') : undefined
+  }
+  return rule.from ? readPath(record, rule.from) : undefined
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === ''
+}
+
+function writePath(object, path, value) {
+  const keys = String(path).split('.')
+  let target = object
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      if (value === undefined) {
+        return
+      }
+      target[key] = {}
+    }
+    target = target[key]
+  }
+  if (value === undefined) {
+    delete target[keys[keys.length - 1]]
+  } else {
+    target[keys[keys.length - 1]] = value
+  }
+}
+
+function describe(value) {
+  const text = JSON.stringify(value)
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text)
+}
+
+module.exports = {
+  POLICIES,
+  resolveSchemas,
+  validateRecord,
+  describeErrors
+}
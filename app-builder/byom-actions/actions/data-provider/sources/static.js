@@ -0,0 +1,58 @@
+/*
+* <license header>
+*/
+
+/**
+ * Data source for JSON files bundled with the action in `actions/data-provider/data/`.
+ *
+ * A file holds either an array of records or an object keyed by record ID. Records are looked up by the ID taken
+ * from the page path (case-insensitive in arrays, as Edge Delivery paths are lowercase) and mapped with the optional
+ * field mapping (see `./mapping.js`).
+ */
+const fs = require('fs')
+const path = require('path')
+const { DELETED_RECORD, mapRecord, readLastModified, isDeleted } = require('./mapping')
+
+const DATA_DIR = path.join(__dirname, '..', 'data')
+
+/**
+ * Creates a static JSON data source.
+ *
+ * @param {Object} config - Source configuration.
+ * @param {string} config.file - File name below `data/`, e.g. `users.json`.
+ * @param {string} [config.key] - Record field holding the ID in array files, defaults to `id`.
+ * @param {Object} [config.mapping] - Field mapping to the view model.
+ * @param {string} [config.lastModifiedField] - Record field holding the modification date, e.g. `meta.updated`.
+ * @param {string} [config.deletedField] - Record field marking records that are kept as deleted, e.g. `deleted`.
+ * @returns {Object} The data source.
+ */
+function createStaticSource(config) {
+  if (!config || !config.file) {
+    throw new Error("static data source needs a 'file'")
+  }
+  // Only the file name is used, so a configuration cannot read files outside of `data/`.
+  const file = path.join(DATA_DIR, path.basename(config.file))
+  const key = config.key || 'id'
+
+  return {
+    type: 'static',
+    fetchRecord: async (context, logger) => {
+      const records = JSON.parse(fs.readFileSync(file, 'utf-8'))
+      const record = Array.isArray(records)
+        ? records.find((entry) => entry && String(entry[key]).toLowerCase() === String(context.id).toLowerCase())
+        // Own keys only: `constructor` or `__proto__` are no record IDs
+        : Object.hasOwn(records, context.id) ? records[context.id] : undefined
+      logger.debug(`${record ? 'Found' : 'No'} record ${context.id} in ${config.file}`)
+      if (record && isDeleted(record, config.deletedField)) {
+        return DELETED_RECORD
+      }
+      return record || null
+    },
+    toViewModel: (record) => mapRecord(record, config.mapping),
+    lastModified: (record) => readLastModified(record, config.lastModifiedField)
+  }
+}
+
+module.exports = {
+  createStaticSource
+}
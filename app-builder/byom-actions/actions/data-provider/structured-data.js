@@ -0,0 +1,138 @@
+/*
+* <license header>
+*/
+
+/**
+ * schema.org structured data of the data-provider pages.
+ *
+ * Every page type with a builder gets a JSON-LD block (`structuredData` in the template data, rendered by the
+ * `head-meta` partial), built from the same view model as the page itself:
+ * - `user-profile`: a `ProfilePage` whose `mainEntity` is the `Person`.
+ * - `team`: an `Organization` with its members as `Person`s.
+ * - `country`: a `Country`.
+ * - `directory`: a `CollectionPage` whose `mainEntity` is the `ItemList` of the listed profiles.
+ * - `roster` and `cohort`: an `ItemList` of the group's `Person`s.
+ */
+const { countryName } = require('./helpers')
+
+const SCHEMA_CONTEXT = 'https://schema.org'
+
+const BUILDERS = {
+  'user-profile': profilePage,
+  team: organization,
+  country,
+  directory: collectionPage,
+  roster: personList,
+  cohort: personList
+}
+
+/**
+ * Builds the JSON-LD of a page.
+ *
+ * @param {string} templateName - Template the page is rendered with.
+ * @param {Object} record - View model of the page.
+ * @param {string} [locale] - `Intl` locale of the page, for country names.
+ * @returns {Object|null} The JSON-LD object, or null for page types without structured data.
+ */
+function buildStructuredData(templateName, record, locale) {
+  const builder = BUILDERS[templateName]
+  return builder && record ? { '@context': SCHEMA_CONTEXT, ...builder(record, locale) } : null
+}
+
+function profilePage(record) {
+  return compact({
+    '@type': 'ProfilePage',
+    name: `${record.fullName} - User Profile`,
+    dateModified: record.timestamp,
+    mainEntity: compact({
+      '@type': 'Person',
+      identifier: record.uuid,
+      name: record.fullName,
+      alternateName: record.username,
+      email: record.email,
+      telephone: record.phone,
+      image: record.picture,
+      gender: record.gender,
+      nationality: record.nationality ? { '@type': 'Country', name: record.nationality } : undefined,
+      address: compact({
+        '@type': 'PostalAddress',
+        streetAddress: record.address,
+        addressLocality: record.city,
+        addressRegion: record.state,
+        addressCountry: record.country,
+        postalCode: record.postcode === undefined || record.postcode === null ? undefined : String(record.postcode)
+      })
+    })
+  })
+}
+
+function organization(record, locale) {
+  return compact({
+    '@type': 'Organization',
+    identifier: record.id,
+    name: record.name,
+    description: record.description,
+    foundingDate: record.founded,
+    image: record.image,
+    member: (record.members || []).map((member) => compact({
+      '@type': 'Person',
+      name: member.name,
+      jobTitle: member.role,
+      image: member.picture,
+      nationality: member.country ? { '@type': 'Country', name: countryName(member.country, locale) } : undefined
+    }))
+  })
+}
+
+function country(record, locale) {
+  return compact({
+    '@type': 'Country',
+    identifier: record.code,
+    name: countryName(record.code, locale),
+    image: record.image
+  })
+}
+
+function collectionPage(record) {
+  return compact({
+    '@type': 'CollectionPage',
+    url: record.canonical,
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: record.total,
+      itemListElement: (record.entries || []).map((entry) => compact({
+        '@type': 'ListItem',
+        position: entry.position,
+        name: entry.name,
+        url: entry.href
+      }))
+    }
+  })
+}
+
+function personList(record) {
+  return compact({
+    '@type': 'ItemList',
+    numberOfItems: record.count,
+    itemListElement: (record.members || []).map((member, index) => compact({
+      '@type': 'ListItem',
+      position: index + 1,
+      item: compact({
+        '@type': 'Person',
+        identifier: member.uuid,
+        name: member.fullName,
+        image: member.picture,
+        address: compact({ '@type': 'PostalAddress', addressLocality: member.city, addressCountry: member.country })
+      })
+    }))
+  })
+}
+
+// Drops empty properties, so records with missing fields do not produce empty JSON-LD values.
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+}
+
+module.exports = {
+  buildStructuredData
+}
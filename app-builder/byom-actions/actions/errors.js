@@ -0,0 +1,186 @@
+/*
+* <license header>
+*/
+
+/* This file exposes the error model and the correlation IDs shared by the actions */
+
+const { v4: uuidv4 } = require('uuid')
+
+/*
+ * Error codes, their HTTP status and title. Error responses are RFC 7807 problem documents
+ * (`application/problem+json`) whose `code` names one of these. Codes flagged `named` are only used when a caller
+ * names them, never derived from the status.
+ */
+const ERROR_CODES = {
+  INVALID_PARAM: { status: 400, title: 'Invalid parameter' },
+  MISSING_PARAM: { status: 400, title: 'Missing parameter' },
+  INVALID_SIGNATURE: { status: 401, title: 'Invalid request signature' },
+  FORBIDDEN: { status: 403, title: 'Forbidden' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  CONFLICT: { status: 409, title: 'Conflict' },
+  GONE: { status: 410, title: 'Gone' },
+  UNPROCESSABLE: { status: 422, title: 'Unprocessable request' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  CONFIG_INVALID: { status: 500, title: 'Invalid configuration' },
+  UPSTREAM_ERROR: { status: 502, title: 'Upstream error' },
+  NOT_CONFIGURED: { status: 503, title: 'Not configured', named: true },
+  UPSTREAM_TIMEOUT: { status: 504, title: 'Upstream timeout' },
+  ADMIN_API_FORBIDDEN: { status: 502, title: 'Admin API rejected the token' },
+  ADMIN_API_ERROR: { status: 502, title: 'Admin API error' }
+}
+
+const PROBLEM_TYPE_PREFIX = 'urn:byom-actions:error:'
+const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+const CORRELATION_HEADER = 'x-correlation-id'
+// Helix forwards `x-content-source-*` headers of Admin API calls to the content source, i.e. the data provider.
+const FORWARDED_CORRELATION_HEADER = 'x-content-source-correlation-id'
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/
+
+/**
+ *
+ * Returns the error code used for a status when a caller does not name one.
+ *
+ * @param {number} statusCode the HTTP status code.
+ *
+ * @returns {string}
+ *
+ */
+function codeForStatus (statusCode) {
+  const code = Object.keys(ERROR_CODES).find((name) => ERROR_CODES[name].status === statusCode && !ERROR_CODES[name].named)
+  if (code) {
+    return code
+  }
+  return statusCode >= 500 ? 'INTERNAL_ERROR' : 'INVALID_PARAM'
+}
+
+/**
+ *
+ * Builds an RFC 7807 problem document.
+ *
+ * @param {number} statusCode the HTTP status code.
+ * @param {string} detail the human-readable explanation of this occurrence.
+ * @param {object} [options] optional fields.
+ * @param {string} [options.code] the error code, one of `ERROR_CODES`; derived from the status if omitted.
+ * @param {string} [options.correlationId] the correlation ID of the request.
+ * @param {string} [options.instance] the path or URI the problem occurred at.
+ *
+ * @returns {object} `{ type, title, status, detail, code, instance?, correlationId? }`
+ *
+ */
+function problemDetails (statusCode, detail, options = {}) {
+  const code = ERROR_CODES[options.code] ? options.code : codeForStatus(statusCode)
+  const problem = {
+    type: `${PROBLEM_TYPE_PREFIX}${code.toLowerCase().replace(/_/g, '-')}`,
+    title: ERROR_CODES[code].title,
+    status: statusCode,
+    detail,
+    code
+  }
+  if (options.instance) {
+    problem.instance = options.instance
+  }
+  if (options.correlationId) {
+    problem.correlationId = options.correlationId
+  }
+  return problem
+}
+
+/**
+ *
+ * Creates the error thrown for a malformed action input. The actions answer it with a `CONFIG_INVALID` problem, so
+ * operators see a configuration problem rather than a server error.
+ *
+ * @param {string} message the description of the problem, e.g. "ROUTES is not valid JSON: ...".
+ *
+ * @returns {Error} an error whose `code` is 'CONFIG_INVALID'.
+ *
+ */
+function configError (message) {
+  const error = new Error(message)
+  error.code = 'CONFIG_INVALID'
+  return error
+}
+
+/**
+ *
+ * Returns whether an error is a network or request timeout of `node-fetch`.
+ *
+ * @param {Error} error the error thrown by a fetch.
+ *
+ * @returns {boolean}
+ *
+ */
+function isTimeoutError (error) {
+  return Boolean(error) && (error.type === 'request-timeout' ||
+    ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'].includes(error.code))
+}
+
+/**
+ *
+ * Reads a correlation ID from request headers: the one Helix forwards from the webhook's Admin API call, or else one
+ * the caller sent. Values that are no safe tokens are ignored, so they cannot inject anything into logs.
+ *
+ * @param {object} [headers] the lower-cased request headers.
+ *
+ * @returns {string|undefined}
+ *
+ */
+function readCorrelationId (headers) {
+  const value = headers && (headers[FORWARDED_CORRELATION_HEADER] || headers[CORRELATION_HEADER])
+  return typeof value === 'string' && CORRELATION_ID_PATTERN.test(value) ? value : undefined
+}
+
+/**
+ *
+ * Returns the correlation ID of a request, generating one if the request carries none.
+ *
+ * @param {object} [headers] the lower-cased request headers.
+ *
+ * @returns {string}
+ *
+ */
+function resolveCorrelationId (headers) {
+  return readCorrelationId(headers) || uuidv4()
+}
+
+/**
+ *
+ * Wraps a logger so every message starts with the correlation ID, e.g. `[<id>] Invoked webhook action`.
+ * Non-string arguments, like errors, are passed on unchanged.
+ *
+ * @param {object} logger the logger instance.
+ * @param {string} [correlationId] the correlation ID; without one the logger is returned as is.
+ *
+ * @returns {object} a logger with the same `error`, `warn`, `info`, `debug`, `verbose` and `silly` methods.
+ *
+ */
+function withCorrelationId (logger, correlationId) {
+  if (!correlationId) {
+    return logger
+  }
+  const wrapped = { correlationId }
+  for (const level of ['error', 'warn', 'info', 'debug', 'verbose', 'silly']) {
+    if (typeof logger[level] === 'function') {
+      wrapped[level] = (message, ...rest) => logger[level](
+        typeof message === 'string' ? `[${correlationId}] ${message}` : message,
+        ...rest
+      )
+    }
+  }
+  return wrapped
+}
+
+module.exports = {
+  ERROR_CODES,
+  PROBLEM_CONTENT_TYPE,
+  CORRELATION_HEADER,
+  FORWARDED_CORRELATION_HEADER,
+  codeForStatus,
+  problemDetails,
+  configError,
+  isTimeoutError,
+  readCorrelationId,
+  resolveCorrelationId,
+  withCorrelationId
+}
@@ -0,0 +1,58 @@
+/*
+* <license header>
+*/
+
+/**
+ * Action: Job Status
+ * Purpose: Reports the progress of an async webhook run (see `actions/webhook/async.js`).
+ *
+ * How it works:
+ * - Reads the job ID from the `jobId` parameter or from the request path (`/job-status/<jobId>`).
+ * - Loads the job record the webhook keeps in App Builder state storage and returns it as JSON.
+ *
+ * Output (200):
+ * - `jobId`, `operation` and `pagePath` (or `pages` for batches).
+ * - `state`: `queued`, `running`, `succeeded`, `partial` or `failed`.
+ * - `phase`: the phase currently running (`preview`, `live`, `verify`, `unpublish`, `preview-delete`), or `done`.
+ * - `attempts`: preview/publish attempts, `errors`: readable failure messages.
+ * - `pageUrl`: the live URL once the page is published, and `result`: the final pipeline response.
+ * Unknown or expired jobs return 404.
+ *
+ * Example:
+ *   curl "https://<runtime-host>/api/v1/web/<ns>/<pkg>/job-status?jobId=<job-id>"
+ */
+const { createLogger, errorResponse } = require('../utils')
+const { resolveCorrelationId } = require('../errors')
+const { getStateStore } = require('../state')
+const { isJobId, readJob } = require('../jobs')
+
+async function main(params) {
+  const logger = createLogger('job-status', params, { correlationId: resolveCorrelationId(params.__ow_headers) })
+
+  try {
+    logger.info('Invoked job-status action')
+
+    const jobId = params.jobId || (params.__ow_path || '').replace(/^\/+/, '')
+    if (!jobId) {
+      return errorResponse(400, "missing parameter(s) 'jobId'", logger, { code: 'MISSING_PARAM' })
+    }
+    if (!isJobId(jobId)) {
+      return errorResponse(400, `'${jobId}' is not a valid job id`, logger)
+    }
+
+    const job = await readJob(await getStateStore(), jobId)
+    if (!job) {
+      return errorResponse(404, `job ${jobId} not found`, logger)
+    }
+
+    return {
+      statusCode: 200,
+      body: job
+    }
+  } catch (error) {
+    logger.error(error)
+    return errorResponse(500, 'server error', logger)
+  }
+}
+
+exports.main = main
@@ -0,0 +1,107 @@
+/*
+* <license header>
+*/
+
+/* This file exposes the job records that async webhook runs write to state storage */
+
+const JOB_TTL_SECONDS = 24 * 60 * 60
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+/**
+ *
+ * Returns the state key of a job.
+ *
+ * @param {string} jobId the job ID (a UUID).
+ *
+ * @returns {string}
+ *
+ */
+function jobKey (jobId) {
+  return `job-${jobId}`
+}
+
+/**
+ *
+ * Returns whether a string has the shape of a job ID.
+ *
+ * @param {string} jobId the candidate job ID.
+ *
+ * @returns {boolean}
+ *
+ */
+function isJobId (jobId) {
+  return typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId)
+}
+
+/**
+ *
+ * Stores a new job record in the `queued` state.
+ *
+ * @param {object} store the state store.
+ * @param {string} jobId the job ID.
+ * @param {object} details fields describing the job, e.g. `{ operation, pagePath }`.
+ *
+ * @returns {Promise<object>} the stored job record.
+ *
+ */
+async function createJob (store, jobId, details) {
+  const now = new Date().toISOString()
+  const job = {
+    jobId,
+    state: 'queued',
+    phase: 'queued',
+    ...details,
+    attempts: {},
+    errors: [],
+    createdAt: now,
+    updatedAt: now
+  }
+  await store.put(jobKey(jobId), JSON.stringify(job), { ttl: JOB_TTL_SECONDS })
+  return job
+}
+
+/**
+ *
+ * Returns a job record, or null if it does not exist or has expired.
+ *
+ * @param {object} store the state store.
+ * @param {string} jobId the job ID.
+ *
+ * @returns {Promise<object|null>}
+ *
+ */
+async function readJob (store, jobId) {
+  const entry = await store.get(jobKey(jobId))
+  return entry ? JSON.parse(entry.value) : null
+}
+
+/**
+ *
+ * Merges changes into a job record. `attempts` are merged per phase, everything else is replaced.
+ *
+ * @param {object} store the state store.
+ * @param {string} jobId the job ID.
+ * @param {object} changes the fields to update.
+ *
+ * @returns {Promise<object>} the updated job record.
+ *
+ */
+async function updateJob (store, jobId, changes) {
+  const job = (await readJob(store, jobId)) || { jobId, attempts: {}, errors: [] }
+  const updated = {
+    ...job,
+    ...changes,
+    attempts: { ...job.attempts, ...changes.attempts },
+    updatedAt: new Date().toISOString()
+  }
+  await store.put(jobKey(jobId), JSON.stringify(updated), { ttl: JOB_TTL_SECONDS })
+  return updated
+}
+
+module.exports = {
+  JOB_TTL_SECONDS,
+  isJobId,
+  createJob,
+  readJob,
+  updateJob
+}
@@ -0,0 +1,111 @@
+/*
+* <license header>
+*/
+
+/* This file exposes reading the site's query index (`/user-index.json`, see `config/index-config.yaml`) */
+
+const fetch = require('node-fetch')
+
+// Helix serves query indexes in chunks of at most this many entries.
+const INDEX_CHUNK_SIZE = 500
+const MAX_INDEX_ENTRIES = 20 * INDEX_CHUNK_SIZE
+
+/**
+ *
+ * Returns the URL of a query index.
+ *
+ * @param {string} indexPath the index URL, absolute or relative to the site.
+ *        e.g. '/user-index.json'
+ * @param {string} [siteUrl] the site origin.
+ *        e.g. 'https://main--<repo>--<owner>.aem.live'
+ *
+ * @returns {string}
+ *
+ * @throws {Error} if the index path is relative and there is no site URL.
+ *
+ */
+function resolveIndexUrl (indexPath, siteUrl) {
+  if (/^https?:\/\//.test(indexPath)) {
+    return indexPath
+  }
+  if (!siteUrl) {
+    throw new Error(`query index '${indexPath}' needs the SITE_URL input or an absolute URL`)
+  }
+  return `${String(siteUrl).replace(/\/+$/, '')}${indexPath}`
+}
+
+/**
+ *
+ * Fetches a range of entries of a query index, chunk by chunk.
+ *
+ * @param {string} url the index URL.
+ * @param {object} range the range to read.
+ * @param {number} range.offset the first entry.
+ * @param {number} range.limit the number of entries.
+ * @param {object} logger a logger instance.
+ *
+ * @returns {Promise<{entries: Array<object>, total: number}>} the entries and the size of the whole index.
+ *
+ * @throws {Error} if the index cannot be read.
+ *
+ */
+async function fetchIndexRange (url, range, logger) {
+  const entries = []
+  let total = 0
+  while (entries.length < range.limit) {
+    const offset = range.offset + entries.length
+    const limit = Math.min(INDEX_CHUNK_SIZE, range.limit - entries.length)
+    const chunkUrl = `${url}${url.includes('?') ? '&' : '?'}offset=${offset}&limit=${limit}`
+    logger.info(`Fetching query index: ${chunkUrl}`)
+    const res = await fetch(chunkUrl, { headers: { accept: 'application/json' } })
+    if (!res.ok) {
+      throw new Error(`query index responded with ${res.status}`)
+    }
+    const payload = await res.json()
+    const data = Array.isArray(payload.data) ? payload.data : []
+    total = Number(payload.total) || 0
+    entries.push(...data)
+    if (data.length === 0 || offset + data.length >= total) {
+      break
+    }
+  }
+  return { entries, total }
+}
+
+/**
+ *
+ * Fetches all entries of a query index, up to 10000.
+ *
+ * @param {string} url the index URL.
+ * @param {object} logger a logger instance.
+ *
+ * @returns {Promise<Array<object>>} the index entries.
+ *
+ * @throws {Error} if the index cannot be read.
+ *
+ */
+async function fetchIndex (url, logger) {
+  const { entries } = await fetchIndexRange(url, { offset: 0, limit: MAX_INDEX_ENTRIES }, logger)
+  return entries
+}
+
+/**
+ *
+ * Returns the modification date of an index entry; index timestamps are in seconds.
+ *
+ * @param {object} entry the index entry.
+ *
+ * @returns {Date|null}
+ *
+ */
+function entryLastModified (entry) {
+  const seconds = Number(entry && entry.lastModified)
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : null
+}
+
+module.exports = {
+  resolveIndexUrl,
+  fetchIndexRange,
+  fetchIndex,
+  entryLastModified
+}
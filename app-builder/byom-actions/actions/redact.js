@@ -0,0 +1,222 @@
+/*
+* <license header>
+*/
+
+/* This file exposes the redaction of secrets from logs and responses, shared by the actions */
+
+const REDACTED = '<hidden>'
+
+/*
+ * Key names whose values are masked, matched case-insensitively as part of the name with `_` read as `-`:
+ * `TOKEN`, `x-api-key`, `Set-Cookie`, `WEBHOOK_SECRET` and `x-content-source-authorization` all match.
+ */
+const DEFAULT_REDACTED_KEYS = [
+  'authorization',
+  'cookie',
+  'token',
+  'secret',
+  'password',
+  'api-key',
+  'apikey',
+  'credential',
+  'private-key'
+]
+
+// Known secret values shorter than this are not masked in free text, as they would match ordinary words.
+const MIN_SECRET_LENGTH = 6
+
+// Credentials that are recognizable by their shape, wherever they appear.
+const SECRET_PATTERNS = [
+  // `Authorization` values: `Bearer <jwt>`, `Basic <base64>`, Helix `token <token>`; credentials have digits, words do not
+  [/\b(Bearer|Basic|token)(\s+)(?=[A-Za-z._~+/=-]*\d)[A-Za-z0-9._~+/=-]{12,}/g, `$1$2${REDACTED}`],
+  // JSON Web Tokens
+  [/\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, REDACTED]
+]
+
+/**
+ *
+ * Returns the key names to redact: the defaults plus the `REDACT_KEYS` input.
+ *
+ * @param {object} [params] action input parameters.
+ * @param {string|string[]} [params.REDACT_KEYS] additional key names, as comma-separated list, array or JSON array,
+ *        e.g. 'ssn,x-session-id'.
+ *
+ * @returns {string[]}
+ *
+ */
+function resolveRedactedKeys (params) {
+  let extra = params && params.REDACT_KEYS
+  if (typeof extra === 'string') {
+    extra = parseList(extra)
+  }
+  const keys = Array.isArray(extra) ? extra.map((key) => normalizeKey(key)).filter(Boolean) : []
+  return [...new Set([...DEFAULT_REDACTED_KEYS, ...keys])]
+}
+
+// A malformed JSON array is read as a comma-separated list, so a typo in the input never disables logging.
+function parseList (value) {
+  const text = value.trim()
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      return text.replace(/[[\]"']/g, '').split(',')
+    }
+  }
+  return text.split(',')
+}
+
+function normalizeKey (key) {
+  return String(key).trim().toLowerCase().replace(/_/g, '-')
+}
+
+/**
+ *
+ * Creates a redactor for one invocation.
+ *
+ * Besides keys and recognizable credentials, it masks the values of redacted params and headers of the invocation
+ * wherever they appear, e.g. the Helix admin token in an echoed request body.
+ *
+ * @param {object} [params] action input parameters; `REDACT_KEYS` extends the redacted key names.
+ *
+ * @returns {{keys: string[], secrets: string[]}} the redactor, for `redact` and `redactLogger`.
+ *
+ */
+function createRedactor (params = {}) {
+  const keys = resolveRedactedKeys(params)
+  const secrets = new Set()
+  const collect = (source) => {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH && isRedactedKey(key, keys)) {
+        secrets.add(value)
+        // `Authorization: Bearer <token>` is also masked when the token appears alone.
+        const credentials = /^\S+\s+(\S{6,})$/.exec(value)
+        if (credentials) {
+          secrets.add(credentials[1])
+        }
+      }
+    }
+  }
+  collect(params)
+  collect(params.__ow_headers)
+  // Longest first, so a secret containing another one is masked as a whole.
+  return { keys, secrets: [...secrets].sort((a, b) => b.length - a.length) }
+}
+
+/**
+ *
+ * Returns whether the value of a key is redacted.
+ *
+ * @param {string} key the key or header name.
+ * @param {string[]} [keys] the redacted key names, see `resolveRedactedKeys`.
+ *
+ * @returns {boolean}
+ *
+ */
+function isRedactedKey (key, keys = DEFAULT_REDACTED_KEYS) {
+  const name = normalizeKey(key)
+  return keys.some((candidate) => name.includes(candidate))
+}
+
+/**
+ *
+ * Masks secrets in a string: `key=value` and `"key": "value"` pairs of redacted keys, credentials recognizable by
+ * their shape, and the known secret values of the redactor.
+ *
+ * @param {string} text the text, e.g. a log message or a serialized request body.
+ * @param {{keys: string[], secrets: string[]}} [redactor] the redactor, see `createRedactor`.
+ *
+ * @returns {string}
+ *
+ */
+function redactString (text, redactor = createRedactor()) {
+  let result = text
+  for (const secret of redactor.secrets) {
+    result = result.split(secret).join(REDACTED)
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement)
+  }
+  // JSON members and query or form parameters of redacted keys
+  result = result.replace(/("([^"\\]+)"\s*:\s*)"(?:[^"\\]|\\.)*"/g, (match, prefix, key) =>
+    isRedactedKey(key, redactor.keys) ? `${prefix}"${REDACTED}"` : match)
+  result = result.replace(/([?&;\s]|^)([A-Za-z0-9_.-]+)=([^&;\s"']+)/g, (match, separator, key) =>
+    isRedactedKey(key, redactor.keys) ? `${separator}${key}=${REDACTED}` : match)
+  return result
+}
+
+/**
+ *
+ * Masks secrets in a value: the values of redacted keys at any depth, and secrets in strings (see `redactString`).
+ *
+ * @param {*} value the value, e.g. action params, a parsed body or a view model.
+ * @param {{keys: string[], secrets: string[]}} [redactor] the redactor, see `createRedactor`.
+ *
+ * @returns {*} a redacted copy; values without secrets are returned as they are.
+ *
+ */
+function redact (value, redactor = createRedactor()) {
+  if (typeof value === 'string') {
+    return redactString(value, redactor)
+  }
+  if (value instanceof Error) {
+    const message = redactString(value.message, redactor)
+    if (message === value.message) {
+      return value
+    }
+    const copy = new Error(message)
+    copy.name = value.name
+    copy.stack = redactString(String(value.stack), redactor)
+    return copy
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, redactor))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isRedactedKey(key, redactor.keys) && item !== undefined && item !== null && item !== '' ? REDACTED : redact(item, redactor)
+    ]))
+  }
+  return value
+}
+
+// Class instances like dates and buffers are passed on as they are.
+function isPlainObject (value) {
+  if (!value || typeof value !== 'object') {
+    return false
+  }
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+/**
+ *
+ * Wraps a logger so everything it logs is redacted first.
+ *
+ * @param {object} logger the logger instance.
+ * @param {{keys: string[], secrets: string[]}} [redactor] the redactor, see `createRedactor`.
+ *
+ * @returns {object} a logger with the same `error`, `warn`, `info`, `debug`, `verbose` and `silly` methods.
+ *
+ */
+function redactLogger (logger, redactor = createRedactor()) {
+  const wrapped = {}
+  for (const level of ['error', 'warn', 'info', 'debug', 'verbose', 'silly']) {
+    if (typeof logger[level] === 'function') {
+      wrapped[level] = (...args) => logger[level](...args.map((arg) => redact(arg, redactor)))
+    }
+  }
+  return wrapped
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACTED_KEYS,
+  resolveRedactedKeys,
+  createRedactor,
+  isRedactedKey,
+  redactString,
+  redact,
+  redactLogger
+}
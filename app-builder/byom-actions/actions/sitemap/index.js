@@ -0,0 +1,207 @@
+/*
+* <license header>
+*/
+
+/**
+ * Action: Sitemap
+ * Purpose: Serves the sitemap and the feeds of the published overlay pages, built from the site's query index
+ * (`/user-index.json`, see `config/index-config.yaml`).
+ *
+ * How it works:
+ * - `/sitemap.xml`: a sitemap of all indexed pages with their `lastmod`. When the index holds more pages than
+ *   SITEMAP_PAGE_SIZE, it is a sitemap index instead that links `/sitemap-1.xml`, `/sitemap-2.xml`, …
+ * - `/sitemap-<n>.xml`: the n-th page of the sitemap. Only the part of the index a page needs is read.
+ * - `/feed.atom` and `/feed.rss`: an Atom or RSS 2.0 feed of the most recently published profiles.
+ *
+ * Inputs (params and env):
+ * - SITE_URL (string, required): Site origin the page URLs are built on, e.g. `https://main--<repo>--<owner>.aem.live`.
+ * - SITEMAP_URL (string, optional): Base URL the sitemap pages and feeds are served under, defaults to SITE_URL.
+ * - INDEX_URL (string, optional): Query index, absolute or relative to SITE_URL, defaults to `/user-index.json`.
+ * - SITEMAP_PAGE_SIZE (number, optional): URLs per sitemap page, defaults to 1000 (at most 50000).
+ * - FEED_SIZE (number, optional): Items per feed, defaults to 20 (at most 100).
+ * - FEED_TITLE (string, optional): Feed title, defaults to `Recently published profiles`.
+ *
+ * Output (200): the XML document with `ETag`, `Last-Modified` (the newest `lastmod` it lists) and a 5 minute
+ * `Cache-Control`; 304 for matching `If-None-Match`/`If-Modified-Since`. Unknown paths and sitemap pages past the end
+ * return 404, a missing SITE_URL 503 (`NOT_CONFIGURED`) and an unreadable query index 502 (`UPSTREAM_ERROR`).
+ *
+ * Example:
+ *   curl "https://<runtime-host>/api/v1/web/<ns>/<pkg>/sitemap/sitemap.xml"
+ */
+const { createLogger, errorResponse } = require('../utils')
+const { resolveCorrelationId } = require('../errors')
+const { resolveIndexUrl, fetchIndexRange, fetchIndex, entryLastModified } = require('../query-index')
+const { computeEtag, toHttpDate, isNotModified } = require('../data-provider/conditional')
+const { buildSitemap, buildSitemapIndex, buildAtomFeed, buildRssFeed } = require('./xml')
+
+const DEFAULT_SITEMAP_PAGE_SIZE = 1000
+// Limit of the sitemap protocol.
+const MAX_SITEMAP_PAGE_SIZE = 50000
+const DEFAULT_FEED_SIZE = 20
+const MAX_FEED_SIZE = 100
+const DEFAULT_FEED_TITLE = 'Recently published profiles'
+const CACHE_CONTROL = 'max-age=300'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const CONTENT_TYPES = {
+  sitemap: 'application/xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8'
+}
+
+async function main(params) {
+  const logger = createLogger('sitemap', params, { correlationId: resolveCorrelationId(params.__ow_headers) })
+
+  try {
+    logger.info('Invoked sitemap action')
+
+    if (!params.SITE_URL) {
+      return errorResponse(503, "the sitemap needs the 'SITE_URL' input", logger, { code: 'NOT_CONFIGURED' })
+    }
+    const options = resolveOptions(params)
+    const path = params.__ow_path || '/sitemap.xml'
+
+    let document
+    const sitemapPage = /^\/sitemap-(\d+)\.xml$/.exec(path)
+    try {
+      if (path === '/sitemap.xml') {
+        document = await renderSitemap(options, logger)
+      } else if (sitemapPage) {
+        document = await renderSitemapPage(options, Number(sitemapPage[1]), logger)
+      } else if (path === '/feed.atom' || path === '/feed.rss') {
+        document = await renderFeed(options, path === '/feed.atom' ? 'atom' : 'rss', logger)
+      }
+    } catch (error) {
+      logger.error(error)
+      return errorResponse(502, `reading the query index failed: ${error.message}`, logger, { code: 'UPSTREAM_ERROR' })
+    }
+    if (!document) {
+      return errorResponse(404, `no sitemap or feed at ${path}`, logger)
+    }
+
+    const headers = {
+      ETag: computeEtag(document.body),
+      'Cache-Control': CACHE_CONTROL
+    }
+    if (document.lastModified) {
+      headers['Last-Modified'] = toHttpDate(document.lastModified)
+    }
+    const requestHeaders = params.__ow_headers || {}
+    if (isNotModified(requestHeaders, { etag: headers.ETag, lastModified: document.lastModified })) {
+      return { statusCode: 304, headers }
+    }
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': CONTENT_TYPES[document.type], ...headers },
+      body: document.body
+    }
+  } catch (error) {
+    logger.error(error)
+    return errorResponse(500, 'server error', logger)
+  }
+}
+
+/**
+ * Reads the action options from the params, falling back to defaults.
+ *
+ * @param {Object} params - Action parameters.
+ * @returns {{siteUrl: string, sitemapUrl: string, indexUrl: string, pageSize: number, feedSize: number,
+ *   feedTitle: string}}
+ */
+function resolveOptions(params) {
+  const siteUrl = String(params.SITE_URL).replace(/\/+$/, '')
+  return {
+    siteUrl,
+    sitemapUrl: String(params.SITEMAP_URL || siteUrl).replace(/\/+$/, ''),
+    indexUrl: resolveIndexUrl(params.INDEX_URL || '/user-index.json', siteUrl),
+    pageSize: clamp(params.SITEMAP_PAGE_SIZE, DEFAULT_SITEMAP_PAGE_SIZE, MAX_SITEMAP_PAGE_SIZE),
+    feedSize: clamp(params.FEED_SIZE, DEFAULT_FEED_SIZE, MAX_FEED_SIZE),
+    feedTitle: params.FEED_TITLE || DEFAULT_FEED_TITLE
+  }
+}
+
+function clamp(value, fallback, max) {
+  const number = Math.floor(Number(value))
+  return Number.isFinite(number) && number > 0 ? Math.min(number, max) : fallback
+}
+
+async function renderSitemap(options, logger) {
+  const { entries, total } = await fetchIndexRange(options.indexUrl, { offset: 0, limit: options.pageSize }, logger)
+  if (total <= options.pageSize) {
+    return sitemapDocument(entries, options)
+  }
+
+  const pageCount = Math.ceil(total / options.pageSize)
+  logger.debug(`Index holds ${total} pages, serving a sitemap index of ${pageCount} sitemaps`)
+  return {
+    type: 'sitemap',
+    body: buildSitemapIndex(Array.from({ length: pageCount }, (value, index) => ({
+      loc: `${options.sitemapUrl}/sitemap-${index + 1}.xml`
+    })))
+  }
+}
+
+async function renderSitemapPage(options, page, logger) {
+  if (page < 1) {
+    return null
+  }
+  const range = { offset: (page - 1) * options.pageSize, limit: options.pageSize }
+  const { entries } = await fetchIndexRange(options.indexUrl, range, logger)
+  return entries.length ? sitemapDocument(entries, options) : null
+}
+
+function sitemapDocument(entries, options) {
+  const urls = entries
+    .filter((entry) => entry.path)
+    .map((entry) => ({ loc: `${options.siteUrl}${entry.path}`, lastmod: entryLastModified(entry) }))
+  return { type: 'sitemap', body: buildSitemap(urls), lastModified: newest(urls.map((url) => url.lastmod)) }
+}
+
+async function renderFeed(options, format, logger) {
+  const seen = new Set()
+  const items = (await fetchIndex(options.indexUrl, logger))
+    .filter((entry) => entry.path && entry.userFullname && entryLastModified(entry))
+    .sort((a, b) => entryLastModified(b) - entryLastModified(a))
+    // Language versions of a profile share the user; the feed announces it once.
+    .filter((entry) => {
+      const key = entry.userId || entry.path
+      if (seen.has(key)) {
+        return false
+      }
+      seen.add(key)
+      return true
+    })
+    .slice(0, options.feedSize)
+    .map((entry) => {
+      const url = `${options.siteUrl}${entry.path}`
+      return {
+        title: entry.userFullname,
+        url,
+        id: UUID_PATTERN.test(entry.userId || '') ? `urn:uuid:${entry.userId.toLowerCase()}` : url,
+        updated: entryLastModified(entry),
+        summary: [entry.userCity, entry.userCountry].filter(Boolean).join(', ')
+      }
+    })
+
+  const feed = {
+    title: options.feedTitle,
+    url: `${options.sitemapUrl}/feed.${format}`,
+    siteUrl: options.siteUrl,
+    // An empty feed is as old as the epoch rather than changing on every request.
+    updated: newest(items.map((item) => item.updated)) || new Date(0),
+    items
+  }
+  return {
+    type: format,
+    body: format === 'atom' ? buildAtomFeed(feed) : buildRssFeed(feed),
+    lastModified: newest(items.map((item) => item.updated))
+  }
+}
+
+function newest(dates) {
+  const times = dates.filter(Boolean).map((date) => date.getTime())
+  return times.length ? new Date(Math.max(...times)) : undefined
+}
+
+exports.main = main
@@ -0,0 +1,146 @@
+/*
+* <license header>
+*/
+
+/**
+ * XML documents of the sitemap action: sitemaps and sitemap indexes (https://www.sitemaps.org/protocol.html), Atom
+ * feeds (RFC 4287) and RSS 2.0 feeds.
+ *
+ * The builders take plain descriptors with absolute URLs and `Date` objects; everything they output is escaped.
+ */
+
+const { stripControlCharacters } = require('../utils')
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>'
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9'
+
+/**
+ * Escapes text for XML content and attribute values.
+ *
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+function escapeXml(value) {
+  // Control characters are not allowed in XML 1.0.
+  return stripControlCharacters(String(value === undefined || value === null ? '' : value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Builds a sitemap.
+ *
+ * @param {Array<{loc: string, lastmod?: Date}>} urls - Page URLs.
+ * @returns {string}
+ */
+function buildSitemap(urls) {
+  return [
+    XML_DECLARATION,
+    `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+    ...urls.map((url) => `  <url>${element('loc', url.loc)}${optional('lastmod', url.lastmod && url.lastmod.toISOString())}</url>`),
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Builds a sitemap index.
+ *
+ * @param {Array<{loc: string, lastmod?: Date}>} sitemaps - Sitemap URLs.
+ * @returns {string}
+ */
+function buildSitemapIndex(sitemaps) {
+  return [
+    XML_DECLARATION,
+    `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+    ...sitemaps.map((sitemap) => `  <sitemap>${element('loc', sitemap.loc)}${optional('lastmod', sitemap.lastmod && sitemap.lastmod.toISOString())}</sitemap>`),
+    '</sitemapindex>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Builds an Atom feed.
+ *
+ * @param {Object} feed - The feed.
+ * @param {string} feed.title - Feed title.
+ * @param {string} feed.url - URL of the feed itself.
+ * @param {string} feed.siteUrl - URL of the site.
+ * @param {Date} feed.updated - Modification date of the newest item.
+ * @param {Array<{title: string, url: string, id: string, updated: Date, summary?: string}>} feed.items - Items,
+ *   newest first.
+ * @returns {string}
+ */
+function buildAtomFeed(feed) {
+  return [
+    XML_DECLARATION,
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  ${element('id', feed.url)}`,
+    `  ${element('title', feed.title)}`,
+    `  ${element('updated', feed.updated.toISOString())}`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.url)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <author>${element('name', new URL(feed.siteUrl).hostname)}</author>`,
+    ...feed.items.map((item) => [
+      '  <entry>',
+      `    ${element('id', item.id)}`,
+      `    ${element('title', item.title)}`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      `    ${element('updated', item.updated.toISOString())}`,
+      item.summary ? `    ${element('summary', item.summary)}` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n')),
+    '</feed>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Builds an RSS 2.0 feed.
+ *
+ * @param {Object} feed - The feed, as for `buildAtomFeed`.
+ * @returns {string}
+ */
+function buildRssFeed(feed) {
+  return [
+    XML_DECLARATION,
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    ${element('title', feed.title)}`,
+    `    ${element('link', feed.siteUrl)}`,
+    `    ${element('description', feed.title)}`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.url)}"/>`,
+    `    ${element('lastBuildDate', feed.updated.toUTCString())}`,
+    ...feed.items.map((item) => [
+      '    <item>',
+      `      ${element('title', item.title)}`,
+      `      ${element('link', item.url)}`,
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      ${element('pubDate', item.updated.toUTCString())}`,
+      item.summary ? `      ${element('description', item.summary)}` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n')),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n')
+}
+
+function element(name, value) {
+  return `<${name}>${escapeXml(value)}</${name}>`
+}
+
+function optional(name, value) {
+  return value ? element(name, value) : ''
+}
+
+module.exports = {
+  escapeXml,
+  buildSitemap,
+  buildSitemapIndex,
+  buildAtomFeed,
+  buildRssFeed
+}
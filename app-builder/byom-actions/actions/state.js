@@ -0,0 +1,60 @@
+/*
+* <license header>
+*/
+
+/* This file exposes the key-value state storage shared by the actions */
+
+const { State } = require('@adobe/aio-sdk')
+
+/**
+ *
+ * Returns the App Builder state store (`@adobe/aio-lib-state`) of the current namespace.
+ * Credentials are picked up from the runtime environment.
+ *
+ * @returns {Promise<object>} a store with `get`, `put` and `delete` methods.
+ *
+ */
+async function getStateStore () {
+  return State.init()
+}
+
+/**
+ *
+ * Returns an in-memory store with the same interface as `@adobe/aio-lib-state`: values are strings,
+ * `get` resolves to `{ value, expiration }` (or undefined) and `put` accepts a `ttl` in seconds.
+ * Used in tests and for local runs without state credentials.
+ *
+ * @param {function} [now] clock returning the current time in milliseconds, defaults to `Date.now`.
+ *
+ * @returns {object} a store with `get`, `put` and `delete` methods.
+ *
+ */
+function createMemoryStore (now = () => Date.now()) {
+  const entries = new Map()
+  return {
+    async get (key) {
+      const entry = entries.get(key)
+      if (!entry) {
+        return undefined
+      }
+      if (entry.expires <= now()) {
+        entries.delete(key)
+        return undefined
+      }
+      return { value: entry.value, expiration: new Date(entry.expires).toISOString() }
+    },
+    async put (key, value, options = {}) {
+      const ttl = options.ttl === undefined ? 86400 : options.ttl
+      entries.set(key, { value, expires: now() + ttl * 1000 })
+      return key
+    },
+    async delete (key) {
+      return entries.delete(key) ? key : null
+    }
+  }
+}
+
+module.exports = {
+  getStateStore,
+  createMemoryStore
+}
@@ -4,10 +4,33 @@
 
 /* This file exposes some common utilities for your actions */
 
+const { Core } = require('@adobe/aio-sdk')
+const { PROBLEM_CONTENT_TYPE, CORRELATION_HEADER, problemDetails, configError, withCorrelationId } = require('./errors')
+const { createRedactor, redact, redactLogger } = require('./redact')
+
+/**
+ *
+ * Creates the logger of an action invocation. Everything it logs is redacted (see `actions/redact.js`)
+ * and, with a correlation ID, prefixed with it (see `withCorrelationId`).
+ *
+ * @param {string} name the logger name, e.g. 'main'.
+ * @param {object} params action input parameters; `LOG_LEVEL` and `REDACT_KEYS` are read from them.
+ * @param {object} [options] optional settings.
+ * @param {string} [options.level] the level used without `LOG_LEVEL`, defaults to 'info'.
+ * @param {string} [options.correlationId] the correlation ID of the request.
+ *
+ * @returns {object} the logger instance.
+ *
+ */
+function createLogger (name, params, options = {}) {
+  const logger = Core.Logger(name, { level: params.LOG_LEVEL || options.level || 'info' })
+  return withCorrelationId(redactLogger(logger, createRedactor(params)), options.correlationId)
+}
+
 /**
  *
  * Returns a log ready string of the action input parameters.
- * The `Authorization` header content will be replaced by '<hidden>'.
+ * Tokens, API keys, cookies and other secrets will be replaced by '<hidden>' (see `actions/redact.js`).
  *
  * @param {object} params action input parameters.
  *
@@ -15,43 +38,139 @@
  *
  */
 function stringParameters (params) {
-  // hide authorization token without overriding params
-  let headers = params.__ow_headers || {}
-  if (headers.authorization) {
-    headers = { ...headers, authorization: '<hidden>' }
-  }
-  return JSON.stringify({ ...params, __ow_headers: headers })
+  // hide secrets without overriding params
+  return JSON.stringify(redact({ ...params, __ow_headers: params.__ow_headers || {} }, createRedactor(params)))
 }
 
 /**
  *
- * Returns an error response object and attempts to log.info the status code and error message
+ * Returns an error response object with an RFC 7807 problem document as body
+ * (see `actions/errors.js`) and attempts to log.info the status code and error message.
  *
  * @param {number} statusCode the error status code.
  *        e.g. 400
- * @param {string} message the error message.
+ * @param {string} message the error message, sent as the problem `detail`.
  *        e.g. 'missing xyz parameter'
  * @param {*} [logger] an optional logger instance object with an `info` method
- *        e.g. `new require('@adobe/aio-sdk').Core.Logger('name')`
+ *        e.g. `new require('@adobe/aio-sdk').Core.Logger('name')`. The correlation ID of a logger
+ *        wrapped with `withCorrelationId` is added to the response.
+ * @param {object} [options] optional problem fields.
+ * @param {string} [options.code] the error code, e.g. 'MISSING_PARAM'; derived from the status if omitted.
+ * @param {string} [options.instance] the path the problem occurred at.
  *
  * @returns {object} the error object, ready to be returned from the action main's function.
  *
  */
-function errorResponse (statusCode, message, logger) {
+function errorResponse (statusCode, message, logger, options = {}) {
+  const correlationId = logger && logger.correlationId
+  const body = problemDetails(statusCode, message, { ...options, correlationId })
   if (logger && typeof logger.info === 'function') {
     logger.info(`${statusCode}: ${message}`)
   }
+  const headers = { 'Content-Type': PROBLEM_CONTENT_TYPE }
+  if (correlationId) {
+    headers[CORRELATION_HEADER] = correlationId
+  }
   return {
     error: {
       statusCode,
-      body: {
-        error: message
-      }
+      headers,
+      body
+    }
+  }
+}
+
+/**
+ *
+ * Removes control characters other than tab, line feed and carriage return, e.g. from upstream text.
+ * They are invalid in XML 1.0 and have no place in HTML either.
+ *
+ * @param {string} text the text.
+ *
+ * @returns {string}
+ *
+ */
+function stripControlCharacters (text) {
+  let result = ''
+  for (const character of text) {
+    const code = character.charCodeAt(0)
+    if ((code >= 0x20 && code !== 0x7f) || code === 0x09 || code === 0x0a || code === 0x0d) {
+      result += character
     }
   }
+  return result
+}
+
+/**
+ *
+ * Reads a numeric input that may arrive as number or string.
+ *
+ * @param {*} value the raw input value, e.g. '2000'.
+ * @param {number} fallback the value used when the input is missing or not a finite number.
+ *
+ * @returns {number}
+ *
+ */
+function toNumber (value, fallback) {
+  const number = Number(value)
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? fallback : number
+}
+
+/**
+ *
+ * Reads a list input that may arrive as array, comma-separated string or JSON array string.
+ *
+ * @param {*} value the raw input value, e.g. 'a.com, b.com' or '["a.com"]'.
+ * @param {string} name the input name, used in the error message.
+ *
+ * @returns {Array<string>} the non-empty entries.
+ *
+ * @throws {Error} a `CONFIG_INVALID` error (see `configError`) if a JSON array string is malformed.
+ *
+ */
+function toList (value, name) {
+  if (Array.isArray(value)) {
+    return value.map(String).filter(Boolean)
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return []
+  }
+  const text = value.trim()
+  if (!text.startsWith('[')) {
+    return text.split(',').map((entry) => entry.trim()).filter(Boolean)
+  }
+  // A guessed reading of a malformed list could allow more than the list meant to
+  let list
+  try {
+    list = JSON.parse(text)
+  } catch (error) {
+    throw configError(`${name} is not a valid JSON array: ${error.message}`)
+  }
+  if (!Array.isArray(list)) {
+    throw configError(`${name} is not a valid JSON array`)
+  }
+  return list.map((entry) => String(entry).trim()).filter(Boolean)
+}
+
+/**
+ *
+ * Returns a promise that resolves after the given number of milliseconds.
+ *
+ * @param {number} ms the delay in milliseconds.
+ *
+ * @returns {Promise<void>}
+ *
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
 }
 
 module.exports = {
+  createLogger,
   errorResponse,
-  stringParameters
+  stringParameters,
+  sleep,
+  stripControlCharacters,
+  toList,
+  toNumber
 }
@@ -0,0 +1,343 @@
+/*
+* <license header>
+*/
+
+/**
+ * Helix Admin API helpers shared by the webhook pipelines.
+ *
+ * Every call authenticates with the admin token. Preview and publish calls forward the nationality and the correlation
+ * ID to the data provider via `x-content-source-*` headers, which Helix passes on to the content source. Failed calls
+ * are classified with an error code of `actions/errors.js`.
+ */
+const fetch = require('node-fetch')
+const { sleep } = require('../utils')
+const { FORWARDED_CORRELATION_HEADER, isTimeoutError } = require('../errors')
+
+const ADMIN_API = 'https://admin.hlx.page'
+
+/**
+ * Helper to call the Helix admin API for either preview or live environments.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {'preview'|'live'} uriEnv - Target environment.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} path - Path to run this action against.
+ * @param {'publish'|'delete'} action - Desired action.
+ * @param {Object} [forward] - Values to pass to the data provider.
+ * @param {string} [forward.nationality] - Nationality code(s).
+ * @param {string} [forward.correlationId] - Correlation ID of the webhook request.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{success: boolean, status?: number, previewStatus?: number, retryAfter?: string,
+ *          errorMessage?: string, code?: string, body?: *, error?: Error}>} Failed calls carry an error `code` and the
+ *          `Retry-After` and `x-error` headers of the Admin API response, if present.
+ */
+async function processEvent(token, uriEnv, projectCoords, path, action, forward, logger) {
+  const url = `${ADMIN_API}/${uriEnv}/${projectCoords}${path}`
+  const headers = {
+    authorization: `token ${token}`,
+    ...contentSourceHeaders(forward)
+  }
+
+  const options = {
+    method: action === 'publish' ? 'POST' : 'DELETE',
+    headers
+  }
+
+  try {
+    const res = await fetch(url, options)
+
+    if (!res.ok) {
+      // Capture the upstream error payload (if any) to aid debugging during demos.
+      const errorText = await safeRead(res)
+      const errorMessage = readHeader(res, 'x-error')
+      logger.info(`Request not successful: ${res.status} ${res.statusText || ''} - ${errorMessage || errorText}`.trim())
+      return {
+        success: false,
+        status: res.status,
+        statusText: res.statusText,
+        code: failureCode(res.status),
+        retryAfter: readHeader(res, 'retry-after') || undefined,
+        errorMessage: errorMessage || undefined
+      }
+    }
+
+    let payload = null
+    try {
+      payload = await res.json()
+    } catch (parseError) {
+      // Some Helix endpoints respond with empty bodies; logging at debug helps future troubleshooting.
+      logger.debug(`No JSON payload returned for ${uriEnv} ${path}`)
+    }
+
+    logger.debug(`Request for ${uriEnv} successful on ${path}`)
+
+    if (uriEnv === 'preview') {
+      const previewStatus = payload?.preview?.status
+      if (typeof previewStatus === 'number') {
+        if (previewStatus !== 200) {
+          // The Admin API answered, but the content source (our data provider) did not deliver the page.
+          return {
+            success: false,
+            status: res.status,
+            previewStatus,
+            code: previewStatus === 504 ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_ERROR',
+            errorMessage: payload.preview.error,
+            body: payload
+          }
+        }
+        return { success: true, status: res.status, body: payload }
+      }
+    }
+
+    return { success: true, status: res.status, body: payload }
+  } catch (error) {
+    logger.error(`Failed to process event for ${uriEnv} on ${path}`, error)
+    return { success: false, code: isTimeoutError(error) ? 'UPSTREAM_TIMEOUT' : 'ADMIN_API_ERROR', error }
+  }
+}
+
+/**
+ * Builds the `x-content-source-*` headers Helix forwards to the data provider.
+ *
+ * @param {{nationality?: string, correlationId?: string}} [forward] - Values to forward.
+ * @returns {Object<string, string>}
+ */
+function contentSourceHeaders(forward) {
+  const { nationality, correlationId } = forward || {}
+  const headers = {}
+  if (nationality) {
+    headers['x-content-source-location'] = nationality
+    // headers[x-content-source-authorization] would be routed through to the data provider as well
+  }
+  if (correlationId) {
+    headers[FORWARDED_CORRELATION_HEADER] = correlationId
+  }
+  return headers
+}
+
+/**
+ * Maps a failed Admin API status to an error code.
+ *
+ * @param {number} status - HTTP status of the Admin API response.
+ * @returns {string}
+ */
+function failureCode(status) {
+  if (status === 401 || status === 403) {
+    return 'ADMIN_API_FORBIDDEN'
+  }
+  if (status === 504 || status === 408) {
+    return 'UPSTREAM_TIMEOUT'
+  }
+  return 'ADMIN_API_ERROR'
+}
+
+/**
+ * Reads a response header, tolerating responses without headers.
+ *
+ * @param {Response} res - Fetch response.
+ * @param {string} name - Header name.
+ * @returns {string|null}
+ */
+function readHeader(res, name) {
+  return res.headers && typeof res.headers.get === 'function' ? res.headers.get(name) : null
+}
+
+/**
+ * Reads a response body as text while tolerating stream errors.
+ *
+ * @param {Response} res - Fetch response.
+ * @returns {Promise<string>} - The raw body or an empty string if it cannot be read.
+ */
+async function safeRead(res) {
+  try {
+    return await res.text()
+  } catch (error) {
+    return ''
+  }
+}
+
+/**
+ * Starts an Admin API bulk job that previews or publishes many paths in one request.
+ *
+ * Bulk jobs send a single set of headers for all paths, so callers group pages by nationality and start one job per
+ * group.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {'preview'|'live'} topic - Target environment.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string[]} paths - Overlay paths to process.
+ * @param {{nationality?: string, correlationId?: string}} [forward] - Values to pass to the data provider.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{success: boolean, status?: number, code?: string, name?: string, error?: Error}>}
+ */
+async function startBulkJob(token, topic, projectCoords, paths, forward, logger) {
+  const url = `${ADMIN_API}/${topic}/${projectCoords}/*`
+  const headers = {
+    authorization: `token ${token}`,
+    'content-type': 'application/json',
+    ...contentSourceHeaders(forward)
+  }
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ forceUpdate: true, paths })
+    })
+
+    if (!res.ok) {
+      const errorText = await safeRead(res)
+      logger.info(`Bulk ${topic} job not started: ${res.status} ${res.statusText || ''} - ${errorText}`.trim())
+      return { success: false, status: res.status, code: failureCode(res.status) }
+    }
+
+    const payload = await res.json()
+    logger.debug(`Started bulk ${topic} job ${payload.job.name} for ${paths.length} path(s)`)
+    return { success: true, status: res.status, name: payload.job.name }
+  } catch (error) {
+    logger.error(`Failed to start bulk ${topic} job`, error)
+    return { success: false, code: isTimeoutError(error) ? 'UPSTREAM_TIMEOUT' : 'ADMIN_API_ERROR', error }
+  }
+}
+
+/**
+ * Polls a bulk job until it has stopped and returns its details.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {'preview'|'live'} topic - Topic the job was started for.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} name - Job name returned by `startBulkJob`.
+ * @param {{interval: number, maxPolls: number}} polling - Delay between polls (ms) and the maximum number of polls.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object|null>} The job details, or null if the job did not finish in time.
+ */
+async function waitForJob(token, topic, projectCoords, name, polling, logger) {
+  const url = `${ADMIN_API}/job/${projectCoords}/${topic}/${name}/details`
+  const options = { headers: { authorization: `token ${token}` } }
+
+  for (let poll = 0; poll < polling.maxPolls; poll++) {
+    if (poll > 0) {
+      await sleep(polling.interval)
+    }
+    try {
+      const res = await fetch(url, options)
+      if (res.ok) {
+        const details = await res.json()
+        if (details.state === 'stopped') {
+          return details
+        }
+        logger.debug(`Bulk ${topic} job ${name} is ${details.state}`)
+      } else {
+        logger.info(`Polling bulk ${topic} job ${name} failed: ${res.status}`)
+      }
+    } catch (error) {
+      logger.info(`Polling bulk ${topic} job ${name} failed: ${error.message}`)
+    }
+  }
+
+  logger.error(`Bulk ${topic} job ${name} did not finish after ${polling.maxPolls} polls`)
+  return null
+}
+
+/**
+ * Reads the preview/live status of a page.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} path - Page path.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object|null>} The status payload (`{ preview, live, ... }`), or null if it could not be read.
+ */
+async function fetchStatus(token, projectCoords, path, logger) {
+  return fetchAdminJson(token, `${ADMIN_API}/status/${projectCoords}${path}`, 'status', logger)
+}
+
+/**
+ * Reads the index record Helix extracts from the live page, i.e. the row it holds in `/user-index.json`.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} path - Page path.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object|null>} The first index record of the page, or null if the page is not indexed.
+ */
+async function fetchIndexRecord(token, projectCoords, path, logger) {
+  const payload = await fetchAdminJson(token, `${ADMIN_API}/index/${projectCoords}${path}`, 'index', logger)
+  const result = (payload?.results || []).find((entry) => entry.record)
+  return result ? result.record : null
+}
+
+/**
+ * Purges the CDN cache of a live page.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} path - Page path.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<boolean>} Whether the purge was accepted.
+ */
+async function purgeCache(token, projectCoords, path, logger) {
+  try {
+    const res = await fetch(`${ADMIN_API}/cache/${projectCoords}${path}`, {
+      method: 'POST',
+      headers: { authorization: `token ${token}` }
+    })
+    if (!res.ok) {
+      logger.info(`Cache purge for ${path} failed: ${res.status}`)
+    }
+    return res.ok
+  } catch (error) {
+    logger.error(`Cache purge for ${path} failed`, error)
+    return false
+  }
+}
+
+async function fetchAdminJson(token, url, label, logger) {
+  try {
+    const res = await fetch(url, { headers: { authorization: `token ${token}` } })
+    if (!res.ok) {
+      logger.debug(`Reading ${label} failed: ${res.status}`)
+      return null
+    }
+    return await res.json()
+  } catch (error) {
+    logger.info(`Reading ${label} failed: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Builds the preview URL of a page.
+ *
+ * @param {string} projectCoords - Helix project coordinates `owner/repo/ref`.
+ * @param {string} path - Page path.
+ * @returns {string} e.g. `https://main--repo--owner.aem.page/byom-page/1`.
+ */
+function previewUrl(projectCoords, path) {
+  const [owner, repo, ref] = projectCoords.split('/')
+  return `https://${ref}--${repo}--${owner}.aem.page${path}`
+}
+
+/**
+ * Builds the public Edge Delivery URL of a published page.
+ *
+ * @param {string} projectCoords - Helix project coordinates `owner/repo/ref`.
+ * @param {string} path - Page path.
+ * @returns {string} e.g. `https://main--repo--owner.aem.live/byom-page/1`.
+ */
+function liveUrl(projectCoords, path) {
+  const [owner, repo, ref] = projectCoords.split('/')
+  return `https://${ref}--${repo}--${owner}.aem.live${path}`
+}
+
+module.exports = {
+  processEvent,
+  fetchStatus,
+  fetchIndexRecord,
+  purgeCache,
+  previewUrl,
+  liveUrl,
+  safeRead,
+  startBulkJob,
+  waitForJob
+}
@@ -0,0 +1,149 @@
+/*
+* <license header>
+*/
+
+/**
+ * Async job mode of the webhook action.
+ *
+ * Slow data providers can push a preview → publish run past the web action timeout. In async mode the webhook only
+ * validates the request, stores a `queued` job record and invokes itself again, non-blocking, with the job ID. The
+ * caller gets a 202 with the job ID right away. The background invocation runs the pipeline and saves each phase to
+ * the job record, which the `job-status` action serves.
+ *
+ * The background invocation is a plain (non-web) invocation of this action, so it needs the `provide-api-key`
+ * annotation. It only receives the job ID, the correlation ID and the resolved request inputs: the default params,
+ * like `TOKEN` or `WEBHOOK_SECRET`, are bound to the action anyway and must not end up in its activation record. It
+ * is recognized by `BACKGROUND_JOB_ID` in the absence of `__ow_method`, which web requests always carry; an external
+ * caller therefore cannot skip signature checks by sending that parameter.
+ */
+const openwhisk = require('openwhisk')
+const { v4: uuidv4 } = require('uuid')
+const { errorResponse } = require('../utils')
+const { createJob, updateJob } = require('../jobs')
+const { liveUrl } = require('./admin')
+
+/**
+ * Returns the job ID if this invocation is the background run of an async job.
+ *
+ * @param {Object} params - Action parameters.
+ * @returns {string|undefined}
+ */
+function readBackgroundJobId(params) {
+  return params.__ow_method ? undefined : params.BACKGROUND_JOB_ID
+}
+
+/**
+ * Creates a job record and starts the background invocation that will run it.
+ *
+ * @param {Object} store - State store.
+ * @param {Object} inputs - Resolved request inputs, e.g. `{ PAGE_ID: 'jane' }`, read by the background run as its body.
+ * @param {Object} summary - Fields describing the job, e.g. `{ operation, pagePath }`.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object>} A 202 response with the job ID, or a 500 if the background run could not be started.
+ */
+async function enqueueJob(store, inputs, summary, logger) {
+  const jobId = uuidv4()
+  await createJob(store, jobId, summary)
+
+  const backgroundParams = { BACKGROUND_JOB_ID: jobId, BACKGROUND_BODY: inputs }
+  // The background run logs and forwards the correlation ID of this request (see `actions/errors.js`).
+  if (logger.correlationId) {
+    backgroundParams.CORRELATION_ID = logger.correlationId
+  }
+
+  try {
+    await openwhisk().actions.invoke({
+      name: process.env.__OW_ACTION_NAME,
+      params: backgroundParams,
+      blocking: false
+    })
+  } catch (error) {
+    logger.error(`Failed to start background run for job ${jobId}`, error)
+    await updateJob(store, jobId, { state: 'failed', phase: 'done', errors: [`background invocation failed: ${error.message}`] })
+    return errorResponse(500, 'failed to start background job', logger)
+  }
+
+  logger.info(`Queued job ${jobId}`)
+  return {
+    statusCode: 202,
+    body: { jobId, state: 'queued', ...summary }
+  }
+}
+
+/**
+ * Runs a pipeline as the background part of an async job and records its progress.
+ *
+ * @param {Object} store - State store.
+ * @param {string} jobId - Job ID.
+ * @param {Function} run - Runs the pipeline; receives the `onProgress(phase, details)` callback.
+ * @param {string} projectCoords - Helix project coordinates, used to build the final page URL.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object>} The pipeline response.
+ */
+async function runJob(store, jobId, run, projectCoords, logger) {
+  logger.info(`Running job ${jobId}`)
+  await updateJob(store, jobId, { state: 'running' })
+
+  let response
+  try {
+    response = await run((phase, details = {}) => updateJob(store, jobId, { phase, ...details }))
+  } catch (error) {
+    await updateJob(store, jobId, { state: 'failed', phase: 'done', errors: [error.message] })
+    throw error
+  }
+
+  const body = response.body
+  const attempts = {}
+  if (body.previewAttempts) attempts.preview = body.previewAttempts
+  if (body.publishAttempts) attempts.publish = body.publishAttempts
+
+  let state = 'failed'
+  if (response.statusCode === 200) state = 'succeeded'
+  if (response.statusCode === 207) state = 'partial'
+
+  await updateJob(store, jobId, {
+    state,
+    phase: 'done',
+    attempts,
+    errors: collectErrors(body),
+    pageUrl: body.publishSuccessful ? liveUrl(projectCoords, body.pagePath) : undefined,
+    result: body
+  })
+  logger.info(`Job ${jobId} ${state}`)
+  return response
+}
+
+/**
+ * Summarizes the failures of a pipeline response as readable messages.
+ *
+ * @param {Object} body - Pipeline response body.
+ * @returns {string[]}
+ */
+function collectErrors(body) {
+  const errors = []
+  for (const [phase, attempts] of [['preview', body.previewAttempts], ['publish', body.publishAttempts]]) {
+    for (const attempt of attempts || []) {
+      if (!attempt.success) {
+        errors.push(`${phase} attempt ${attempt.attempt} failed with status ${attempt.status}${attempt.error ? `: ${attempt.error}` : ''}`)
+      }
+    }
+  }
+  if (body.unpublishSuccessful === false) {
+    errors.push(`unpublish failed with status ${body.unpublishStatus}`)
+  } else if (body.previewDeleteSuccessful === false) {
+    errors.push(`preview delete failed with status ${body.previewDeleteStatus}`)
+  }
+  if (body.verification && !body.verification.verified) {
+    errors.push(`verification failed: ${body.verification.reason}`)
+  }
+  if (body.failed) {
+    errors.push(`${body.failed} of ${body.total} page(s) failed`)
+  }
+  return errors
+}
+
+module.exports = {
+  readBackgroundJobId,
+  enqueueJob,
+  runJob
+}
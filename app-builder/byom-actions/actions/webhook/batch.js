@@ -0,0 +1,225 @@
+/*
+* <license header>
+*/
+
+/**
+ * Batch mode of the webhook action: publishes many overlay pages in one invocation.
+ *
+ * Small batches run the regular single-page pipeline (`publishPage`) for every page, with at most `concurrency` pages
+ * in flight at once. Large batches (at least `bulkThreshold` pages) use the Admin API bulk job endpoints instead: one
+ * preview job per nationality group, then one live job for the paths that previewed successfully.
+ */
+const { publishPage } = require('./pipeline')
+const { startBulkJob, waitForJob } = require('./admin')
+const { toNumber } = require('../utils')
+const { resolveRetryPolicy } = require('./retry')
+
+const MAX_BATCH_SIZE = 1000
+const DEFAULT_CONCURRENCY = 5
+const DEFAULT_BULK_THRESHOLD = 20
+const DEFAULT_POLL_INTERVAL = 2000
+const DEFAULT_MAX_POLLS = 60
+
+/**
+ * Reads the batch tuning knobs from the action params, falling back to defaults.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {number} [params.BATCH_CONCURRENCY] - Pages published in parallel in concurrent mode.
+ * @param {number} [params.BULK_THRESHOLD] - Batch size from which bulk jobs are used.
+ * @param {number} [params.BULK_POLL_INTERVAL] - Delay between bulk job status polls in milliseconds.
+ * @param {number} [params.BULK_MAX_POLLS] - Maximum number of status polls per bulk job.
+ * @returns {{concurrency: number, bulkThreshold: number, polling: {interval: number, maxPolls: number},
+ *          retryPolicy: Object}} The retry policy applies to concurrent mode.
+ */
+function resolveBatchOptions(params) {
+  return {
+    concurrency: Math.max(1, toNumber(params.BATCH_CONCURRENCY, DEFAULT_CONCURRENCY)),
+    bulkThreshold: Math.max(1, toNumber(params.BULK_THRESHOLD, DEFAULT_BULK_THRESHOLD)),
+    polling: {
+      interval: Math.max(0, toNumber(params.BULK_POLL_INTERVAL, DEFAULT_POLL_INTERVAL)),
+      maxPolls: Math.max(1, toNumber(params.BULK_MAX_POLLS, DEFAULT_MAX_POLLS))
+    },
+    retryPolicy: resolveRetryPolicy(params)
+  }
+}
+
+/**
+ * Publishes a batch of pages and aggregates the per-page outcome.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {Array<{pagePath: string, nationality?: string}>} pages - Resolved page descriptors.
+ * @param {Object} options - Options as returned by `resolveBatchOptions`, plus the optional `correlationId` forwarded
+ *   to the data provider.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{statusCode: number, body: Object}>} 200 if every page was published, 207 if some were and 500 if
+ *          none were.
+ */
+async function publishBatch(token, projectCoords, pages, options, logger) {
+  const mode = pages.length >= options.bulkThreshold ? 'bulk' : 'concurrent'
+  logger.info(`Publishing batch of ${pages.length} page(s) in ${mode} mode`)
+
+  const body = { mode }
+  let results
+  if (mode === 'bulk') {
+    const bulk = await publishBulk(token, projectCoords, pages, options, logger)
+    results = bulk.results
+    body.jobs = bulk.jobs
+  } else {
+    results = await mapWithConcurrency(pages, options.concurrency, async (page) => {
+      const response = await publishPage(token, projectCoords, page.pagePath, {
+        nationality: page.nationality,
+        correlationId: options.correlationId,
+        retryPolicy: options.retryPolicy
+      }, logger)
+      return response.body
+    })
+  }
+
+  const succeeded = results.filter((result) => result.previewSuccessful && result.publishSuccessful).length
+  let status = 'partial'
+  let statusCode = 207
+  if (succeeded === results.length) {
+    status = 'succeeded'
+    statusCode = 200
+  } else if (succeeded === 0) {
+    status = 'failed'
+    statusCode = 500
+  }
+
+  return {
+    statusCode,
+    body: {
+      ...body,
+      status,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    }
+  }
+}
+
+/**
+ * Publishes pages through Admin API bulk jobs, one preview and one live job per nationality group.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {Array<{pagePath: string, nationality?: string}>} pages - Resolved page descriptors.
+ * @param {{polling: {interval: number, maxPolls: number}, correlationId?: string}} options - Job polling options and
+ *   the correlation ID forwarded to the data provider.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{results: Object[], jobs: Object[]}>}
+ */
+async function publishBulk(token, projectCoords, pages, options, logger) {
+  const { polling, correlationId } = options
+  const results = new Map(pages.map((page) => [page.pagePath, {
+    pagePath: page.pagePath,
+    previewSuccessful: false,
+    publishSuccessful: false
+  }]))
+  const jobs = []
+
+  for (const [nationality, paths] of groupByNationality(pages)) {
+    const forward = { nationality, correlationId }
+    const preview = await runBulkPhase(token, 'preview', projectCoords, paths, forward, polling, logger)
+    jobs.push(preview.job)
+
+    const previewed = []
+    for (const path of paths) {
+      const result = results.get(path)
+      result.previewStatus = preview.statuses.get(path)
+      result.previewSuccessful = isSuccessStatus(result.previewStatus)
+      if (result.previewSuccessful) {
+        previewed.push(path)
+      }
+    }
+
+    // Only paths that previewed successfully are published, mirroring the single-page pipeline.
+    if (previewed.length > 0) {
+      const live = await runBulkPhase(token, 'live', projectCoords, previewed, forward, polling, logger)
+      jobs.push(live.job)
+      for (const path of previewed) {
+        const result = results.get(path)
+        result.publishStatus = live.statuses.get(path)
+        result.publishSuccessful = isSuccessStatus(result.publishStatus)
+      }
+    }
+  }
+
+  return { results: [...results.values()], jobs }
+}
+
+/**
+ * Starts a bulk job, waits for it and collects the status of each path.
+ *
+ * @returns {Promise<{job: Object, statuses: Map<string, number>}>}
+ */
+async function runBulkPhase(token, topic, projectCoords, paths, forward, polling, logger) {
+  const statuses = new Map()
+  const started = await startBulkJob(token, topic, projectCoords, paths, forward, logger)
+  const job = { topic, name: started.name, nationality: forward.nationality, paths: paths.length, success: false }
+  if (!started.success) {
+    job.status = started.status
+    job.code = started.code
+    return { job, statuses }
+  }
+
+  const details = await waitForJob(token, topic, projectCoords, started.name, polling, logger)
+  for (const resource of details?.data?.resources || []) {
+    statuses.set(resource.path, resource.status)
+  }
+  job.success = Boolean(details)
+  return { job, statuses }
+}
+
+/**
+ * Groups page paths by the nationality that has to be forwarded to the data provider.
+ *
+ * @param {Array<{pagePath: string, nationality?: string}>} pages - Resolved page descriptors.
+ * @returns {Map<string|undefined, string[]>}
+ */
+function groupByNationality(pages) {
+  const groups = new Map()
+  for (const page of pages) {
+    if (!groups.has(page.nationality)) {
+      groups.set(page.nationality, [])
+    }
+    groups.get(page.nationality).push(page.pagePath)
+  }
+  return groups
+}
+
+function isSuccessStatus(status) {
+  return typeof status === 'number' && status >= 200 && status < 300
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight. Results keep the input order.
+ *
+ * @param {Array} items - Items to process.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {Function} fn - Async mapper, called with the item and its index.
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  resolveBatchOptions,
+  publishBatch,
+  mapWithConcurrency
+}
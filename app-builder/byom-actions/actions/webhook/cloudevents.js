@@ -0,0 +1,166 @@
+/*
+* <license header>
+*/
+
+/**
+ * CloudEvents input for the webhook action.
+ *
+ * Besides the ad-hoc JSON body, the webhook accepts CloudEvents 1.0 in
+ * - structured mode: the whole event as JSON body (`application/cloudevents+json`, or plain `application/json` as
+ *   delivered by Adobe I/O Events), and
+ * - binary mode: event attributes as `ce-*` headers and the event data as body.
+ *
+ * The event type selects the operation and the event data provides the page inputs (see `eventToInputs`). The event
+ * `source` and `id` double as idempotency key, so redeliveries of the same event do not publish twice.
+ *
+ * Adobe I/O Events verifies a webhook URL with a challenge (`?challenge=<value>` or `{ "challenge": "<value>" }`) that
+ * has to be echoed back; `readChallenge` detects it.
+ */
+const { HTTP, CloudEvent } = require('cloudevents')
+
+// Default mapping from the last segment of the event type to an operation, e.g. `com.example.user.updated`.
+const TYPE_SUFFIX_OPERATIONS = [
+  [/(^|[.:/])unpublished$/i, 'unpublish'],
+  [/(^|[.:/])(deleted|removed)$/i, 'delete'],
+  [/(^|[.:/])(created|updated|changed|published)$/i, 'publish']
+]
+
+/**
+ * Returns the I/O Events challenge of a registration request, if this is one.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @returns {string|undefined}
+ */
+function readChallenge(params, bodyParams) {
+  // Raw web actions receive the query string unparsed in `__ow_query`.
+  const query = new URLSearchParams(params.__ow_query || '')
+  const challenge = params.challenge || query.get('challenge') || (bodyParams && bodyParams.challenge)
+  return typeof challenge === 'string' && challenge ? challenge : undefined
+}
+
+/**
+ * Reads a CloudEvent from the request, in structured or binary mode.
+ *
+ * @param {Object} headers - Lower-cased request headers.
+ * @param {string} bodyString - Decoded request body.
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @returns {CloudEvent|null} The validated event, or null if the request is not a CloudEvent.
+ * @throws {Error} If the request looks like a CloudEvent but is not a valid one.
+ */
+function readCloudEvent(headers, bodyString, bodyParams) {
+  const contentType = String(headers['content-type'] || '')
+  let event
+  if (headers['ce-specversion'] || contentType.startsWith('application/cloudevents+json')) {
+    event = HTTP.toEvent({ headers, body: bodyString })
+  } else if (bodyParams && bodyParams.specversion) {
+    // Adobe I/O Events delivers structured events as plain application/json.
+    event = new CloudEvent(bodyParams, false)
+  } else {
+    return null
+  }
+
+  try {
+    event.validate()
+  } catch (error) {
+    const details = (error.errors || []).map((detail) => detail.message).join(', ')
+    throw new Error(`invalid CloudEvent${details ? `: ${details}` : ''}`)
+  }
+  return event
+}
+
+/**
+ * Maps an event type to a webhook operation.
+ *
+ * @param {string} type - CloudEvent type.
+ * @param {Object} [typeMap] - Explicit `type → operation` mapping, checked before the default suffix rules.
+ * @returns {string|null}
+ */
+function mapEventType(type, typeMap) {
+  if (typeMap && typeMap[type]) {
+    return typeMap[type]
+  }
+  const match = TYPE_SUFFIX_OPERATIONS.find(([pattern]) => pattern.test(type))
+  return match ? match[1] : null
+}
+
+/**
+ * Translates a CloudEvent into the webhook's regular body inputs.
+ *
+ * Event data fields:
+ * - `operation` overrides the operation derived from the event type.
+ * - `pagePath`/`path` become PAGE_PATH; `pageId`/`id`/`uuid`/`username` (or the event `subject`) become PAGE_ID.
+ * - `nationality`/`nat` become NATIONALITY and `pages` becomes PAGES.
+ *
+ * @param {CloudEvent} event - Validated event.
+ * @param {Object} [typeMap] - Explicit `type → operation` mapping.
+ * @returns {Object|null} The inputs, or null if the event type maps to no operation.
+ */
+function eventToInputs(event, typeMap) {
+  const data = event.data && typeof event.data === 'object' && !Buffer.isBuffer(event.data) ? event.data : {}
+  const operation = data.operation || mapEventType(event.type, typeMap)
+  if (!operation) {
+    return null
+  }
+
+  const inputs = {
+    OPERATION: operation,
+    IDEMPOTENCY_KEY: `${event.source}:${event.id}`
+  }
+  const path = data.pagePath || data.path
+  const id = data.pageId || data.id || data.uuid || data.username || event.subject
+  if (path) {
+    inputs.PAGE_PATH = path
+  } else if (id) {
+    inputs.PAGE_ID = id
+  }
+  const nationality = data.nationality || data.nat
+  if (nationality) {
+    inputs.NATIONALITY = nationality
+  }
+  if (Array.isArray(data.pages)) {
+    inputs.PAGES = data.pages
+  }
+  return inputs
+}
+
+/**
+ * Reads the optional `EVENT_TYPE_MAP` param, given as object or JSON string.
+ *
+ * A malformed map falls back to the default type suffixes with a warning: failing would make every delivery return
+ * 500, and senders would retry events the action cannot process until the configuration is fixed.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {Object} [logger] - Logger instance, for the warning.
+ * @returns {Object|undefined}
+ */
+function resolveTypeMap(params, logger) {
+  let typeMap = params.EVENT_TYPE_MAP
+  if (typeof typeMap === 'string' && typeMap) {
+    try {
+      typeMap = JSON.parse(typeMap)
+    } catch (error) {
+      typeMap = null
+      warn(logger, `EVENT_TYPE_MAP is not valid JSON, using the default event types: ${error.message}`)
+    }
+  }
+  if (typeMap && (typeof typeMap !== 'object' || Array.isArray(typeMap))) {
+    warn(logger, 'EVENT_TYPE_MAP is not an object, using the default event types')
+    return undefined
+  }
+  return typeMap || undefined
+}
+
+function warn(logger, message) {
+  if (logger && typeof logger.warn === 'function') {
+    logger.warn(message)
+  }
+}
+
+module.exports = {
+  readChallenge,
+  readCloudEvent,
+  mapEventType,
+  eventToInputs,
+  resolveTypeMap
+}
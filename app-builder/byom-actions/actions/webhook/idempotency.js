@@ -0,0 +1,115 @@
+/*
+* <license header>
+*/
+
+/**
+ * Duplicate-delivery suppression for the webhook action.
+ *
+ * Webhook senders retry on timeouts and network errors. When a request carries an idempotency key, the response of
+ * the first run is stored in state storage and returned again for every repeat within the TTL, instead of running the
+ * pipeline a second time.
+ *
+ * Stored entries (one per key, under a hashed state key):
+ * - `{ state: 'pending', fingerprint }` while the first run is in progress. Repeats get a 409.
+ * - `{ state: 'completed', fingerprint, response }` once it finished. Repeats get the stored response.
+ * Server errors (5xx) are not stored, so a retry after a failed run publishes again.
+ *
+ * The fingerprint is a hash of the raw request body and of the request inputs passed as params, e.g. `PAGE_PATH` or
+ * `OPERATION` in a query string; reusing a key for a different request is rejected with 422.
+ */
+const crypto = require('crypto')
+const { errorResponse } = require('../utils')
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60
+const PENDING_TTL_SECONDS = 5 * 60
+const MAX_KEY_LENGTH = 255
+
+/**
+ * Reads the idempotency key from the `Idempotency-Key` header or the body.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @returns {string|undefined}
+ */
+function readIdempotencyKey(params, bodyParams) {
+  const key = params.__ow_headers?.['idempotency-key'] || bodyParams.IDEMPOTENCY_KEY || bodyParams.idempotencyKey
+  return key === undefined || key === null || key === '' ? undefined : String(key)
+}
+
+/**
+ * Wraps a handler so that repeats of the same idempotency key return the stored response.
+ *
+ * @param {Object} store - State store (`@adobe/aio-lib-state` or `createMemoryStore()`).
+ * @param {string} key - Idempotency key supplied by the caller.
+ * @param {string} fingerprint - Hash identifying the request payload.
+ * @param {number} ttl - Seconds a completed response is kept.
+ * @param {Function} handler - Async function producing the action response.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object>} The action response.
+ */
+async function withIdempotency(store, key, fingerprint, ttl, handler, logger) {
+  if (key.length > MAX_KEY_LENGTH) {
+    return errorResponse(400, `idempotency key must not be longer than ${MAX_KEY_LENGTH} characters`, logger)
+  }
+
+  const stateKey = `idempotency-${crypto.createHash('sha256').update(key).digest('hex')}`
+  const existing = await store.get(stateKey)
+  if (existing) {
+    const entry = JSON.parse(existing.value)
+    if (entry.fingerprint !== fingerprint) {
+      return errorResponse(422, 'idempotency key was already used for a different request', logger)
+    }
+    if (entry.state === 'pending') {
+      return errorResponse(409, 'a request with this idempotency key is still in progress', logger)
+    }
+    logger.info(`Replaying stored response for idempotency key ${key}`)
+    return replayed(entry.response)
+  }
+
+  await store.put(stateKey, JSON.stringify({ state: 'pending', fingerprint }), { ttl: Math.min(ttl, PENDING_TTL_SECONDS) })
+
+  let response
+  try {
+    response = await handler()
+  } catch (error) {
+    await store.delete(stateKey)
+    throw error
+  }
+
+  const statusCode = response.statusCode || response.error?.statusCode
+  if (statusCode >= 500) {
+    // Failed runs are not remembered, so the sender's retry gets a fresh attempt.
+    await store.delete(stateKey)
+  } else {
+    await store.put(stateKey, JSON.stringify({ state: 'completed', fingerprint, response }), { ttl })
+  }
+  return response
+}
+
+/**
+ * Hashes the raw request body and the request inputs among the params into a request fingerprint.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {string[]} [inputs] - Names of the params the request inputs are read from, e.g. `['PAGE_PATH', 'pagePath']`.
+ * @returns {string}
+ */
+function fingerprintRequest(params, inputs = []) {
+  const values = inputs
+    .filter((name) => !name.startsWith('__ow_') && params[name] !== undefined && params[name] !== null && params[name] !== '')
+    .map((name) => [name, params[name]])
+  return crypto.createHash('sha256').update(JSON.stringify([params.__ow_body || '', values])).digest('hex')
+}
+
+function replayed(response) {
+  if (response.error) {
+    return response
+  }
+  return { ...response, headers: { ...response.headers, 'Idempotent-Replayed': 'true' } }
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  readIdempotencyKey,
+  fingerprintRequest,
+  withIdempotency
+}
@@ -8,15 +8,24 @@
  *
  * How it works (high level):
  * 1) This action is invoked by an external webhook (e.g., via HTTP POST).
- * 2) It generates a unique overlay path (e.g., `/byom-page/1731000000000`) and calls the Helix Admin API to preview
+ * 2) It derives an overlay path (e.g., `/byom-page/<external-id>` or `/byom-page/1731000000000`) and calls the Helix Admin API to preview
  *    that path. The request includes an admin token and optional metadata such as a nationality filter.
  * 3) The Helix Admin API, when resolving content for that overlay path, invokes the "data-provider" action in this
  *    repository (see `actions/data-provider/index.js`). That action returns HTML built from `templates/user-profile.html`.
  * 4) If preview succeeds, this action triggers a live publish for the same path, finalizing the page.
  *
+ * Operations:
+ * - `publish` (default): preview → live for a freshly generated overlay path, as described above.
+ * - `unpublish`: removes an existing page from live (`DELETE /live/...`). The preview stays untouched.
+ * - `delete`: runs the publish pipeline in reverse, un-live first and then removes the preview
+ *   (`DELETE /live/...` followed by `DELETE /preview/...`). Once the live copy is gone, Helix also drops the page
+ *   from `/user-index.json`.
+ *   Both reverse operations require the `pagePath` (or `pageId`) of an existing overlay page.
+ *
  * Why the overlay path?
  * - Paths under `/byom-page/*` are treated as dynamic/overlay content resolved by the data provider action.
- *   This keeps the demo isolated and makes every run produce a fresh page URL.
+ *   Without a caller-supplied ID every run produces a fresh page URL, which keeps the demo isolated. With an external
+ *   ID (e.g. a user UUID or username) the same upstream record always republishes to the same URL.
  *
  * Inputs (params and env):
  * - PROJECT_COORDS (string, required): Helix project coordinates `owner/repo/ref`.
@@ -25,9 +34,55 @@
  *   - Can be provided as an action parameter or via environment variable.
  * - NATIONALITY (string, optional): Nationality code(s) for the Random User API (e.g., `US`, `GB`, `US,GB,FR`).
  *   - May be passed in the JSON body, or as a query parameter; it will be forwarded to the data provider as a header.
+ * - OPERATION (string, optional): `publish` (default), `unpublish` or `delete`. Also accepted as `operation`.
+ * - PAGE_ID (string, optional): External ID or slug of the upstream record, e.g. a user UUID or username. It is
+ *   normalized into a safe path segment (`/byom-page/<segment>`). Also accepted as `pageId`.
+ * - PAGE_PATH (string, optional): Explicit overlay path, e.g. `/byom-page/1731000000000`. Takes precedence over
+ *   PAGE_ID. Also accepted as `pagePath`.
+ *   Paths and IDs below a routed page type of the data provider (`users`, `teams`, ...) are rejected.
+ *   `unpublish`/`delete` require either PAGE_PATH or PAGE_ID; `publish` falls back to a timestamp path without them.
+ * - PAGES (array, optional): Batch mode. A list of page descriptors `{ path | id, nationality }` that are all
+ *   published in one invocation (see `actions/webhook/batch.js`). A descriptor without its own nationality uses
+ *   NATIONALITY. Also accepted as `pages`.
+ * - BATCH_CONCURRENCY, BULK_THRESHOLD, BULK_POLL_INTERVAL, BULK_MAX_POLLS (number, optional): Batch mode tuning.
+ *   Batches of at least BULK_THRESHOLD pages use Admin API bulk jobs and always run in async mode.
+ * - WEBHOOK_SECRET (string, optional): Shared secret. When set, requests must be signed (see
+ *   `actions/webhook/signature.js`) and unsigned, mis-signed or stale requests are rejected with 401.
+ *   Can be provided as an action parameter or via environment variable.
+ * - SIGNATURE_SCHEME (string, optional): Signature header format, `byom` (default), `github` or `stripe`.
+ * - SIGNATURE_TOLERANCE (number, optional): Accepted age of a signed timestamp in seconds, defaults to 300.
+ * - Idempotency-Key (header, optional): Suppresses duplicate deliveries (see `actions/webhook/idempotency.js`). Also
+ *   accepted as `IDEMPOTENCY_KEY` or `idempotencyKey` in the body.
+ * - IDEMPOTENCY_TTL (number, optional): Seconds the first response is replayed for, defaults to 86400.
+ * - RETRY_ATTEMPTS, RETRY_BASE_DELAY, RETRY_MAX_DELAY, RETRY_JITTER (number, optional): Retry policy for the preview
+ *   and live calls (see `actions/webhook/retry.js`). Defaults to 3 attempts, 500ms base delay, 10s max delay and 0.5
+ *   jitter.
+ * - ASYNC (boolean, optional): Returns 202 with a job ID right away and runs the pipeline in a background invocation
+ *   (see `actions/webhook/async.js`). Progress is served by the `job-status` action. Also accepted as `async`.
+ * - VERIFY (boolean, optional): After a successful publish, polls the Admin API status and index endpoints until the
+ *   page is live and indexed with the expected `user-id` and the `lastModified` of this publish (see
+ *   `actions/webhook/verify.js`). The outcome is returned as `verification`. Single pages only. Also accepted as
+ *   `verify`.
+ * - VERIFY_LIVE (boolean, optional): Also checks the live URL and purges its CDN cache if it serves an older version.
+ * - VERIFY_POLL_INTERVAL, VERIFY_MAX_POLLS (number, optional): Verification polling, defaults to 2000ms and 10 polls.
+ * - CloudEvents (structured or binary) are accepted instead of the JSON body; the event type selects the operation and
+ *   the event data the page (see `actions/webhook/cloudevents.js`). Adobe I/O Events challenges are answered.
+ * - EVENT_TYPE_MAP (object or JSON string, optional): Explicit `event type → operation` mapping.
+ * - x-correlation-id (header, optional): Correlation ID of the request; one is generated if it is missing (see
+ *   `actions/errors.js`). It prefixes every log line, is returned as `x-correlation-id` and is sent to the Admin API as
+ *   `x-content-source-correlation-id`, which Helix forwards to the data provider, so one publish can be followed
+ *   through the logs of both actions. Async jobs keep the ID of the request that queued them.
+ * - REDACT_KEYS (string or array, optional): Further key and header names whose values are masked in the logs. TOKEN,
+ *   WEBHOOK_SECRET, `Authorization`, cookies and API keys are always masked (see `actions/redact.js`).
  *
  * Output:
- * - JSON with a summary of preview attempts, publish result, and the generated page path.
+ * - JSON with a summary of preview and publish attempts, the publish result, and the generated page path, plus the
+ *   `verification` outcome when VERIFY is set.
+ * - For `unpublish`/`delete`: a per-phase summary (`unpublishSuccessful`, `previewDeleteSuccessful`) and the path.
+ * - For batches: an aggregate `status` (`succeeded`, `partial`, `failed`) with counts and a per-page `results` array.
+ * - In async mode: 202 with `{ jobId, state: 'queued' }`.
+ * - Failed pipelines carry a `code` naming the cause, e.g. `ADMIN_API_FORBIDDEN` or `UPSTREAM_TIMEOUT`. Invalid
+ *   requests get an `application/problem+json` body (RFC 7807) with `code` and `correlationId`.
  *
  * Example invocation (JSON body):
  *   curl -X POST "https://<runtime-host>/api/v1/web/<ns>/<pkg>/webhook" \
@@ -41,11 +96,36 @@
  *
  * The code intentionally contains verbose comments to make the control flow easy to follow for demo purposes.
  */
-const fetch = require('node-fetch')
-const { Core } = require('@adobe/aio-sdk')
-const { errorResponse } = require('../utils')
+const { createLogger, errorResponse } = require('../utils')
+const { CORRELATION_HEADER, resolveCorrelationId } = require('../errors')
+const { processEvent } = require('./admin')
+const { publishPage, removePage } = require('./pipeline')
+const { MAX_BATCH_SIZE, resolveBatchOptions, publishBatch } = require('./batch')
+const { verifySignature } = require('./signature')
+const { DEFAULT_TTL_SECONDS, readIdempotencyKey, fingerprintRequest, withIdempotency } = require('./idempotency')
+const { getStateStore } = require('../state')
+const { resolveRetryPolicy } = require('./retry')
+const { readBackgroundJobId, enqueueJob, runJob } = require('./async')
+const { readChallenge, readCloudEvent, eventToInputs, resolveTypeMap } = require('./cloudevents')
+const { resolveVerifyOptions } = require('./verify')
+const { RESERVED_SEGMENTS } = require('../data-provider/routes')
 
-const MAX_PREVIEW_ATTEMPTS = 3
+const OPERATIONS = ['publish', 'unpublish', 'delete']
+const OVERLAY_PREFIX = '/byom-page/'
+const OVERLAY_PATH_PATTERN = /^\/byom-page(\/[A-Za-z0-9._-]+)+$/
+const MAX_SEGMENT_LENGTH = 100
+// Request inputs read with `resolveInput`, each with its accepted spellings. They tell requests apart as much as the
+// body does (see `idempotency.js`), and are all that async jobs hand over to their background run (see `async.js`)
+const REQUEST_INPUTS = [
+  ['NATIONALITY', 'nationality'],
+  ['OPERATION', 'operation'],
+  ['PAGE_PATH', 'pagePath'],
+  ['PAGE_ID', 'pageId'],
+  ['PAGES', 'pages'],
+  ['ASYNC', 'async'],
+  ['VERIFY', 'verify'],
+  ['VERIFY_LIVE', 'verifyLive']
+]
 
 /**
  * Entry point invoked by Adobe I/O Runtime.
@@ -54,19 +134,44 @@ const MAX_PREVIEW_ATTEMPTS = 3
  * @param {string} [params.PROJECT_COORDS] - Helix project coordinates (e.g. owner/repo/ref).
  * @param {string} [params.TOKEN] - Helix admin token used to authenticate preview/publish requests.
  * @param {string} [params.NATIONALITY] - Optional nationality code(s) as URL parameter for user generation (e.g. 'US', 'GB', or 'US,GB,FR').
+ * @param {'publish'|'unpublish'|'delete'} [params.OPERATION] - Pipeline to run, defaults to 'publish'.
+ * @param {string} [params.PAGE_ID] - External ID or slug the page path is derived from.
+ * @param {string} [params.PAGE_PATH] - Explicit overlay path; 'unpublish' and 'delete' need it or PAGE_ID.
+ * @param {Array<Object>} [params.PAGES] - Page descriptors for batch mode.
+ * @param {string} [params.WEBHOOK_SECRET] - Shared secret that enables signature verification.
  * @returns {Promise<Object>} - HTTP response compatible object.
  */
 async function main(params) {
-  const logger = Core.Logger('main', { level: params.LOG_LEVEL || 'info' })
+  // Background runs of async jobs continue the correlation ID of the request that queued them.
+  const correlationId = readBackgroundJobId(params) && params.CORRELATION_ID
+    ? params.CORRELATION_ID
+    : resolveCorrelationId(params.__ow_headers)
+  const logger = createLogger('main', params, { correlationId })
+  const response = await respond(params, logger)
+  return response.error ? response : { ...response, headers: { ...response.headers, [CORRELATION_HEADER]: correlationId } }
+}
 
+/**
+ * Handles a webhook request: challenges, signatures, CloudEvents and idempotency, then the requested pipeline.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {Object} logger - Structured logger instance, wrapped with the correlation ID.
+ * @returns {Promise<Object>} - HTTP response compatible object.
+ */
+async function respond(params, logger) {
   try {
     logger.info("Invoked webhook action")
 
+    // The background run of an async job was already verified and deduplicated when the job was queued.
+    if (readBackgroundJobId(params)) {
+      return await handleRequest(params, params.BACKGROUND_BODY || {}, logger)
+    }
+
     // Parse request body if present (for POST requests with JSON payload)
     let bodyParams = {}
-    if (params.__ow_body) {
+    const bodyString = params.__ow_body ? Buffer.from(params.__ow_body, 'base64').toString('utf-8') : ''
+    if (bodyString) {
       try {
-        const bodyString = Buffer.from(params.__ow_body, 'base64').toString('utf-8')
         logger.debug('Decoded body:', bodyString)
         bodyParams = JSON.parse(bodyString)
         logger.debug('Parsed body params:', JSON.stringify(bodyParams))
@@ -75,161 +180,325 @@ async function main(params) {
       }
     }
 
-    // Resolve essential configuration, falling back to environment variables to keep the example flexible.
-    const projectCoords = params.PROJECT_COORDS || process.env.PROJECT_COORDS
-    const token = params.TOKEN || process.env.TOKEN
-
-    // Get nationality from body params first, then URL params, check both uppercase and lowercase
-    const nationality = bodyParams.NATIONALITY || bodyParams.nationality || params.NATIONALITY || params.nationality
-    logger.debug('Nationality value:', nationality)
-
-
-    // Collect any configuration gaps before attempting network calls.
-    const missingFields = []
-    if (!projectCoords) missingFields.push('PROJECT_COORDS')
-    if (!token) missingFields.push('TOKEN')
-    if (missingFields.length > 0) {
-      return errorResponse(400, `missing parameter(s) '${missingFields.join(', ')}'`, logger)
-    }
-    
-    // Every invocation publishes a fresh page, so we derive a unique path using the current timestamp.
-    const pagePath = generatePagePath()
-
-    let previewSuccessful = false
-    const previewAttempts = []
-
-    // Preview is retried three times.
-    for (let attempt = 0; attempt < MAX_PREVIEW_ATTEMPTS; attempt++) {
-      const attemptNumber = attempt + 1
-      const result = await processEvent(token, 'preview', projectCoords, pagePath, 'publish', nationality, logger)
-      previewAttempts.push({ attempt: attemptNumber, success: result.success, status: result.status })
-
-      if (result.success) {
-        previewSuccessful = true
-        logger.debug(`Preview successful for path: ${pagePath}`)
-        break
-      } else {
-        logger.info(`Preview attempt ${attemptNumber} failed for path: ${pagePath}`)
+    // Adobe I/O Events verifies the webhook URL by expecting its challenge echoed back.
+    const challenge = readChallenge(params, bodyParams)
+    if (challenge) {
+      logger.info('Answering I/O Events challenge')
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: { challenge }
       }
     }
 
-    let publishSuccessful = false
-    if (previewSuccessful) {
-      // Only attempt a live publish after preview succeeds; this mirrors typical Helix workflows.
-      const publishResult = await processEvent(token, 'live', projectCoords, pagePath, 'publish', nationality, logger)
-      publishSuccessful = publishResult.success
-      if (publishSuccessful) {
-        logger.debug(`Publish successful for path: ${pagePath}`)
-      } else {
-        logger.error(`Publish failed for path: ${pagePath}`)
+    // With a shared secret configured, only signed requests may trigger the pipeline.
+    const secret = params.WEBHOOK_SECRET || process.env.WEBHOOK_SECRET
+    if (secret) {
+      const verification = verifySignature(params, {
+        secret,
+        scheme: params.SIGNATURE_SCHEME,
+        tolerance: params.SIGNATURE_TOLERANCE
+      })
+      if (!verification.valid) {
+        return errorResponse(401, verification.reason, logger, { code: 'INVALID_SIGNATURE' })
       }
     }
 
-    const success = previewSuccessful && publishSuccessful
-    return {
-      statusCode: success ? 200 : 500,
-      body: {
-        previewSuccessful,
-        publishSuccessful,
-        previewAttempts,
-        pagePath
+    // CloudEvents are translated into the regular body inputs, so the rest of the flow does not need to know about them.
+    let event
+    try {
+      event = readCloudEvent(params.__ow_headers || {}, bodyString, bodyParams)
+    } catch (error) {
+      return errorResponse(400, error.message, logger)
+    }
+    if (event) {
+      const inputs = eventToInputs(event, resolveTypeMap(params, logger))
+      if (!inputs) {
+        logger.info(`Ignoring CloudEvent of type ${event.type}`)
+        return {
+          statusCode: 200,
+          body: { ignored: true, type: event.type, id: event.id }
+        }
       }
+      logger.debug(`Mapped CloudEvent ${event.id} of type ${event.type} to operation ${inputs.OPERATION}`)
+      bodyParams = inputs
     }
+
+    // Repeated deliveries with the same idempotency key get the stored response of the first run.
+    const idempotencyKey = readIdempotencyKey(params, bodyParams)
+    if (idempotencyKey) {
+      const store = await getStateStore()
+      const ttl = Number(params.IDEMPOTENCY_TTL) || DEFAULT_TTL_SECONDS
+      const handler = () => handleRequest(params, bodyParams, logger)
+      return await withIdempotency(store, idempotencyKey, fingerprintRequest(params, REQUEST_INPUTS.flat()), ttl, handler, logger)
+    }
+
+    return await handleRequest(params, bodyParams, logger)
   } catch (error) {
     // Any unexpected exception is mapped to a generic server error to keep the API predictable.
     logger.error(error)
-    return errorResponse(500, error.message || 'server error', logger)
+    return errorResponse(500, error.message || 'server error', logger, { code: 'INTERNAL_ERROR' })
   }
 }
 
 /**
- * Builds a unique page path using the current timestamp.
+ * Validates the request inputs and runs the requested pipeline.
  *
- * In real integrations you might reuse a stable fragment path, but for demos this guarantees isolation.
- *
- * @returns {string} A path like "/1699363200000" which Helix accepts as a fragment identifier.
+ * @param {Object} params - Action parameters.
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object>} - HTTP response compatible object.
  */
-function generatePagePath() {
-  return `/byom-page/${Date.now()}`
+async function handleRequest(params, bodyParams, logger) {
+  // Resolve essential configuration, falling back to environment variables to keep the example flexible.
+  const projectCoords = params.PROJECT_COORDS || process.env.PROJECT_COORDS
+  const token = params.TOKEN || process.env.TOKEN
+
+  // Get nationality from body params first, then URL params, check both uppercase and lowercase
+  const nationality = resolveInput(bodyParams, params, ['NATIONALITY', 'nationality'])
+  logger.debug('Nationality value:', nationality)
+
+  const operation = String(resolveInput(bodyParams, params, ['OPERATION', 'operation']) || 'publish').toLowerCase()
+  const requestedPath = resolveInput(bodyParams, params, ['PAGE_PATH', 'pagePath'])
+  const pageId = resolveInput(bodyParams, params, ['PAGE_ID', 'pageId'])
+  const pages = resolveInput(bodyParams, params, ['PAGES', 'pages'])
+  const runAsync = isEnabled(resolveInput(bodyParams, params, ['ASYNC', 'async']))
+  const verify = isEnabled(resolveInput(bodyParams, params, ['VERIFY', 'verify']))
+    ? resolveVerifyOptions(params, isEnabled(resolveInput(bodyParams, params, ['VERIFY_LIVE', 'verifyLive'])))
+    : undefined
+
+  // The operation decides which inputs are required, so an unknown one is reported before any missing input.
+  if (!OPERATIONS.includes(operation)) {
+    return errorResponse(400, `unsupported operation '${operation}', expected one of '${OPERATIONS.join(', ')}'`, logger, { code: 'INVALID_PARAM' })
+  }
+
+  // Collect any configuration gaps before attempting network calls.
+  const missingFields = []
+  if (!projectCoords) missingFields.push('PROJECT_COORDS')
+  if (!token) missingFields.push('TOKEN')
+  if (operation !== 'publish' && !requestedPath && !pageId && pages === undefined) missingFields.push('PAGE_PATH')
+  if (missingFields.length > 0) {
+    return errorResponse(400, `missing parameter(s) '${missingFields.join(', ')}'`, logger, { code: 'MISSING_PARAM' })
+  }
+
+  if (pages !== undefined) {
+    if (operation !== 'publish') {
+      return errorResponse(400, `batch mode does not support operation '${operation}'`, logger)
+    }
+    const { descriptors, invalid } = resolvePageDescriptors(pages, nationality)
+    if (!descriptors) {
+      return errorResponse(400, `'PAGES' must be a non-empty array of at most ${MAX_BATCH_SIZE} page descriptors`, logger)
+    }
+    if (invalid.length > 0) {
+      return errorResponse(400, `invalid page descriptor(s) at index ${invalid.join(', ')}`, logger)
+    }
+    const options = { ...resolveBatchOptions(params), correlationId: logger.correlationId }
+    const run = () => publishBatch(token, projectCoords, descriptors, options, logger)
+    // Bulk jobs are polled for minutes, longer than a web request may last, so they always run as async jobs
+    const bulk = descriptors.length >= options.bulkThreshold
+    return await dispatch(params, bodyParams, run, { operation, pages: descriptors.length }, runAsync || bulk, logger)
+  }
+
+  // An explicit path wins over an external ID; without either, publish falls back to a unique timestamp path.
+  let pagePath
+  if (requestedPath) {
+    pagePath = normalizePagePath(requestedPath)
+    if (!pagePath) {
+      return errorResponse(400, `'${requestedPath}' is not an overlay page path`, logger)
+    }
+  } else {
+    if (pageId && !isPageSegment(toPathSegment(pageId))) {
+      return errorResponse(400, `'${pageId}' cannot be used as a page id`, logger)
+    }
+    pagePath = generatePagePath(pageId)
+  }
+
+  const retryPolicy = resolveRetryPolicy(params)
+  const run = (onProgress) => (operation === 'publish'
+    ? publishPage(token, projectCoords, pagePath, { nationality, correlationId: logger.correlationId, retryPolicy, verify, onProgress }, logger)
+    : removePage(token, projectCoords, pagePath, operation, { correlationId: logger.correlationId, onProgress }, logger))
+  return await dispatch(params, bodyParams, run, { operation, pagePath }, runAsync, logger)
 }
 
 /**
- * Helper to call the Helix admin API for either preview or live environments.
- *
- * @param {string} token - Helix admin token.
- * @param {'preview'|'live'} uriEnv - Target environment.
- * @param {string} projectCoords - Helix project coordinates.
- * @param {string} path - Path to run this action against.
- * @param {'publish'|'delete'} action - Desired action.
- * @param {string} [nationality] - Optional nationality code(s) to pass to data provider.
+ * Runs a pipeline right away, queues it as an async job, or runs it as the background part of a job.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @param {Function} run - Runs the pipeline; accepts an optional progress callback.
+ * @param {Object} summary - Fields describing the job, e.g. `{ operation, pagePath }`.
+ * @param {boolean} runAsync - Whether the caller asked for async mode.
  * @param {Object} logger - Structured logger instance.
- * @returns {Promise<{success: boolean, status?: number, body?: *, error?: Error}>}
+ * @returns {Promise<Object>} - HTTP response compatible object.
  */
-async function processEvent(token, uriEnv, projectCoords, path, action, nationality, logger) {
-  const url = `https://admin.hlx.page/${uriEnv}/${projectCoords}${path}`
-  const headers = {
-    authorization: `token ${token}`
+async function dispatch(params, bodyParams, run, summary, runAsync, logger) {
+  const backgroundJobId = readBackgroundJobId(params)
+  if (backgroundJobId) {
+    const projectCoords = params.PROJECT_COORDS || process.env.PROJECT_COORDS
+    return await runJob(await getStateStore(), backgroundJobId, run, projectCoords, logger)
   }
-
-  // Pass nationality to data provider via custom header if specified
-  if (nationality) {
-    headers['x-content-source-location'] = nationality
-    // headers[x-content-source-authorization] would be routed through to the data provider as well
+  if (runAsync) {
+    return await enqueueJob(await getStateStore(), resolveRequestInputs(bodyParams, params), summary, logger)
   }
+  return await run()
+}
 
-  const options = {
-    method: action === 'publish' ? 'POST' : 'DELETE',
-    headers
+/**
+ * Looks up an input in the parsed request body first and the action params second, trying each accepted spelling.
+ *
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @param {Object} params - Action parameters.
+ * @param {string[]} names - Accepted parameter names, in order of precedence.
+ * @returns {*} The first non-empty value, or undefined.
+ */
+function resolveInput(bodyParams, params, names) {
+  for (const source of [bodyParams, params]) {
+    for (const name of names) {
+      if (source[name] !== undefined && source[name] !== null && source[name] !== '') {
+        return source[name]
+      }
+    }
   }
+  return undefined
+}
 
-  try {
-    const res = await fetch(url, options)
-
-    if (!res.ok) {
-      // Capture the upstream error payload (if any) to aid debugging during demos.
-      const errorText = await safeRead(res)
-      logger.info(`Request not successful: ${res.status} ${res.statusText || ''} - ${errorText}`.trim())
-      return { success: false, status: res.status, statusText: res.statusText }
+/**
+ * Resolves all request inputs, under their first spelling, e.g. `{ PAGE_ID: 'jane', ASYNC: true }`.
+ *
+ * @param {Object} bodyParams - Parsed JSON body.
+ * @param {Object} params - Action parameters.
+ * @returns {Object}
+ */
+function resolveRequestInputs(bodyParams, params) {
+  const inputs = {}
+  for (const names of REQUEST_INPUTS) {
+    const value = resolveInput(bodyParams, params, names)
+    if (value !== undefined) {
+      inputs[names[0]] = value
     }
+  }
+  return inputs
+}
 
-    let payload = null
-    try {
-      payload = await res.json()
-    } catch (parseError) {
-      // Some Helix endpoints respond with empty bodies; logging at debug helps future troubleshooting.
-      logger.debug(`No JSON payload returned for ${uriEnv} ${path}`)
-    }
+/**
+ * Reads a boolean flag that may arrive as boolean, number or string.
+ *
+ * @param {*} value - Raw input value.
+ * @returns {boolean}
+ */
+function isEnabled(value) {
+  return ['true', '1'].includes(String(value).toLowerCase())
+}
 
-    logger.debug(`Request for ${uriEnv} successful on ${path}`)
+/**
+ * Resolves batch page descriptors into overlay paths.
+ *
+ * Every descriptor needs its own `path` or `id`; the timestamp fallback would give all pages of a batch the same
+ * path. Descriptors that cannot be resolved, or that resolve to a path already used in the batch, are reported by
+ * index.
+ *
+ * @param {*} pages - The raw `PAGES` input.
+ * @param {string} [nationality] - Request-level nationality used when a descriptor has none.
+ * @returns {{descriptors: Array<{pagePath: string, nationality?: string}>|null, invalid: number[]}}
+ */
+function resolvePageDescriptors(pages, nationality) {
+  if (!Array.isArray(pages) || pages.length === 0 || pages.length > MAX_BATCH_SIZE) {
+    return { descriptors: null, invalid: [] }
+  }
 
-    if (uriEnv === 'preview') {
-      const previewStatus = payload?.preview?.status
-      if (typeof previewStatus === 'number') {
-        return { success: previewStatus === 200, status: res.status, body: payload }
-      }
+  const descriptors = []
+  const invalid = []
+  const seen = new Set()
+  pages.forEach((page, index) => {
+    let pagePath = null
+    if (page && page.path) {
+      pagePath = normalizePagePath(page.path)
+    } else if (page && isPageSegment(toPathSegment(page.id))) {
+      pagePath = generatePagePath(page.id)
     }
+    if (!pagePath || seen.has(pagePath)) {
+      invalid.push(index)
+      return
+    }
+    seen.add(pagePath)
+    descriptors.push({ pagePath, nationality: page.nationality || nationality })
+  })
+  return { descriptors, invalid }
+}
 
-    return { success: true, status: res.status, body: payload }
-  } catch (error) {
-    logger.error(`Failed to process event for ${uriEnv} on ${path}`, error)
-    return { success: false, error }
+/**
+ * Validates a caller-supplied overlay path and brings it into the `/byom-page/<id>` shape used by the Admin API.
+ *
+ * Paths below a segment of the routed page types (`users`, `directory`, `teams`, ...) are rejected as well, because
+ * the data provider serves them with the routed template and data source instead of the user profile.
+ *
+ * @param {string} path - Caller-supplied path, with or without a leading slash.
+ * @returns {string|null} The normalized path, or null if it does not point below `/byom-page/` or is reserved.
+ */
+function normalizePagePath(path) {
+  if (typeof path !== 'string') {
+    return null
+  }
+  let normalized = path.trim()
+  if (!normalized.startsWith('/')) {
+    normalized = `/${normalized}`
   }
+  normalized = normalized.replace(/\/+$/, '')
+  if (!OVERLAY_PATH_PATTERN.test(normalized) || normalized.split('/').some((segment) => /^\.+$/.test(segment))) {
+    return null
+  }
+  return isPageSegment(normalized.split('/')[2]) ? normalized : null
 }
 
 /**
- * Reads a response body as text while tolerating stream errors.
+ * Tells whether a path segment may name a webhook page, i.e. it is set and not reserved for a routed page type.
  *
- * @param {Response} res - Fetch response.
- * @returns {Promise<string>} - The raw body or an empty string if it cannot be read.
+ * @param {string|null} segment - First path segment below `/byom-page/`.
+ * @returns {boolean} True if the segment can be used.
  */
-async function safeRead(res) {
-  try {
-    return await res.text()
-  } catch (error) {
-    return ''
+function isPageSegment(segment) {
+  return Boolean(segment) && !RESERVED_SEGMENTS.includes(segment)
+}
+
+/**
+ * Turns an external ID or slug into a safe path segment.
+ *
+ * The value is lowercased, accents are stripped and every run of characters outside `[a-z0-9]` becomes a single
+ * dash, so `John.Doe_42` and `john-doe-42` end up on the same page. UUIDs pass through unchanged.
+ *
+ * @param {string|number} value - External ID, e.g. a user UUID or username.
+ * @returns {string|null} The path segment, or null if nothing usable is left.
+ */
+function toPathSegment(value) {
+  if (value === undefined || value === null) {
+    return null
   }
+  const segment = String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SEGMENT_LENGTH)
+    .replace(/-+$/, '')
+  return segment || null
+}
+
+/**
+ * Builds the overlay page path for an upstream record.
+ *
+ * With an external ID the path is stable, so republishing the same record updates the same page. Without one we fall
+ * back to the current timestamp, which guarantees an isolated page for every demo run.
+ *
+ * @param {string|number} [externalId] - Optional external ID or slug.
+ * @returns {string} A path like "/byom-page/john-doe" or "/byom-page/1699363200000".
+ */
+function generatePagePath(externalId) {
+  return `${OVERLAY_PREFIX}${toPathSegment(externalId) || Date.now()}`
 }
 
 exports.main = main
 exports.processEvent = processEvent
 exports.generatePagePath = generatePagePath
+exports.normalizePagePath = normalizePagePath
+exports.toPathSegment = toPathSegment
@@ -0,0 +1,155 @@
+/*
+* <license header>
+*/
+
+/**
+ * Single-page pipelines of the webhook action: preview → live for publishing, and the reverse for removal.
+ *
+ * Both pipelines accept an optional `onProgress(phase, details)` callback that is awaited before each phase starts.
+ * Async jobs use it to persist their progress (see `actions/jobs.js`). Failed pipelines report the error `code` of the
+ * call that failed (see `actions/errors.js`).
+ */
+const { processEvent } = require('./admin')
+const { DEFAULT_RETRY_POLICY, withRetry } = require('./retry')
+const { verifyPublication } = require('./verify')
+
+/**
+ * Runs the preview → live pipeline for a single overlay page.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} pagePath - Overlay path to publish.
+ * @param {Object} [options] - Optional pipeline settings.
+ * @param {string} [options.nationality] - Nationality code(s) to pass to data provider.
+ * @param {string} [options.correlationId] - Correlation ID to pass to data provider.
+ * @param {Object} [options.retryPolicy] - Retry policy for both phases (see `actions/webhook/retry.js`).
+ * @param {Object} [options.verify] - Runs the verification phase after a successful publish, with these options
+ *   (see `actions/webhook/verify.js`).
+ * @param {Function} [options.onProgress] - Called with the phase name ('preview', 'live', 'verify') before each phase.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+async function publishPage(token, projectCoords, pagePath, options, logger) {
+  const { nationality, correlationId, retryPolicy: policy = DEFAULT_RETRY_POLICY, verify, onProgress = noop } = options || {}
+  const forward = { nationality, correlationId }
+
+  // Preview and live are both retried with backoff; fatal statuses (401, 403, 404) end a phase immediately.
+  await onProgress('preview')
+  const preview = await withRetry(policy, () => processEvent(token, 'preview', projectCoords, pagePath, 'publish', forward, logger), `Preview for ${pagePath}`, logger)
+  const previewSuccessful = preview.result.success
+  const previewAttempts = preview.attempts
+  if (previewSuccessful) {
+    logger.debug(`Preview successful for path: ${pagePath}`)
+  }
+
+  let publishSuccessful = false
+  let publishAttempts = []
+  let failure = previewSuccessful ? null : preview.result
+  if (previewSuccessful) {
+    // Only attempt a live publish after preview succeeds; this mirrors typical Helix workflows.
+    await onProgress('live', { attempts: { preview: previewAttempts } })
+    const publish = await withRetry(policy, () => processEvent(token, 'live', projectCoords, pagePath, 'publish', forward, logger), `Publish for ${pagePath}`, logger)
+    publishSuccessful = publish.result.success
+    publishAttempts = publish.attempts
+    if (publishSuccessful) {
+      logger.debug(`Publish successful for path: ${pagePath}`)
+    } else {
+      logger.error(`Publish failed for path: ${pagePath}`)
+      failure = publish.result
+    }
+  }
+
+  const body = {
+    previewSuccessful,
+    publishSuccessful,
+    previewAttempts,
+    publishAttempts,
+    pagePath
+  }
+
+  // Verification only reports whether the page made it into the index and CDN; the publish itself already succeeded.
+  if (publishSuccessful && verify) {
+    await onProgress('verify', { attempts: { publish: publishAttempts } })
+    body.verification = await verifyPublication(token, projectCoords, pagePath, verify, logger)
+  }
+
+  if (failure) {
+    body.code = failure.code
+  }
+
+  const success = previewSuccessful && publishSuccessful
+  return {
+    statusCode: success ? 200 : 500,
+    body
+  }
+}
+
+/**
+ * Runs the publish pipeline in reverse for an existing overlay page.
+ *
+ * The live copy is always removed first so the page never stays published without a preview behind it. For `delete`
+ * the preview is only removed once un-live succeeded. A 404 from the Admin API means the resource is already gone,
+ * which is the desired end state and therefore counts as success.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} pagePath - Existing overlay path.
+ * @param {'unpublish'|'delete'} operation - `unpublish` removes live only, `delete` removes live and preview.
+ * @param {Object} [options] - Optional pipeline settings.
+ * @param {string} [options.correlationId] - Correlation ID sent with the Admin API calls.
+ * @param {Function} [options.onProgress] - Called with the phase name ('unpublish', 'preview-delete') before each phase.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+async function removePage(token, projectCoords, pagePath, operation, options, logger) {
+  const { correlationId, onProgress = noop } = options || {}
+
+  await onProgress('unpublish')
+  const unpublishResult = await processEvent(token, 'live', projectCoords, pagePath, 'delete', { correlationId }, logger)
+  const unpublishSuccessful = unpublishResult.success || unpublishResult.status === 404
+  if (unpublishSuccessful) {
+    logger.debug(`Unpublish successful for path: ${pagePath}`)
+  } else {
+    logger.error(`Unpublish failed for path: ${pagePath}`)
+  }
+
+  const body = {
+    operation,
+    unpublishSuccessful,
+    unpublishStatus: unpublishResult.status,
+    pagePath
+  }
+  if (!unpublishSuccessful) {
+    body.code = unpublishResult.code
+  }
+
+  let success = unpublishSuccessful
+  if (operation === 'delete') {
+    body.previewDeleteSuccessful = false
+    if (unpublishSuccessful) {
+      await onProgress('preview-delete')
+      const deleteResult = await processEvent(token, 'preview', projectCoords, pagePath, 'delete', { correlationId }, logger)
+      body.previewDeleteSuccessful = deleteResult.success || deleteResult.status === 404
+      body.previewDeleteStatus = deleteResult.status
+      if (body.previewDeleteSuccessful) {
+        logger.debug(`Preview delete successful for path: ${pagePath}`)
+      } else {
+        logger.error(`Preview delete failed for path: ${pagePath}`)
+        body.code = deleteResult.code
+      }
+    }
+    success = body.previewDeleteSuccessful
+  }
+
+  return {
+    statusCode: success ? 200 : 500,
+    body
+  }
+}
+
+async function noop() {}
+
+module.exports = {
+  publishPage,
+  removePage
+}
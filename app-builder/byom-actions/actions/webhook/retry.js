@@ -0,0 +1,139 @@
+/*
+* <license header>
+*/
+
+/**
+ * Retry policy for Helix Admin API calls made by the webhook pipelines.
+ *
+ * Failed calls are retried with exponential backoff: the n-th retry waits `baseDelay * 2^(n-1)`, capped at
+ * `maxDelay`, and reduced by a random share of up to `jitter` so that concurrent pipelines do not retry in lockstep.
+ * A `Retry-After` header from admin.hlx.page (seconds or an HTTP date) replaces the computed delay.
+ *
+ * Which failures are retried:
+ * - network errors, 429 and 5xx are retryable;
+ * - 401, 403 and 404 are fatal, as are all other 4xx: retrying cannot fix a bad token, a missing permission or path.
+ * For preview calls the status reported by the content source (`preview.status` in the Admin API payload) decides.
+ */
+const { sleep, toNumber } = require('../utils')
+
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: 0.5
+}
+
+/**
+ * Reads the retry policy from the action params, falling back to defaults.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {number} [params.RETRY_ATTEMPTS] - Total number of attempts, including the first one.
+ * @param {number} [params.RETRY_BASE_DELAY] - Delay before the first retry in milliseconds.
+ * @param {number} [params.RETRY_MAX_DELAY] - Upper bound for any delay in milliseconds.
+ * @param {number} [params.RETRY_JITTER] - Share of the delay (0-1) that is randomized.
+ * @returns {{attempts: number, baseDelay: number, maxDelay: number, jitter: number}}
+ */
+function resolveRetryPolicy(params) {
+  return {
+    attempts: Math.max(1, Math.floor(toNumber(params.RETRY_ATTEMPTS, DEFAULT_RETRY_POLICY.attempts))),
+    baseDelay: Math.max(0, toNumber(params.RETRY_BASE_DELAY, DEFAULT_RETRY_POLICY.baseDelay)),
+    maxDelay: Math.max(0, toNumber(params.RETRY_MAX_DELAY, DEFAULT_RETRY_POLICY.maxDelay)),
+    jitter: Math.min(1, Math.max(0, toNumber(params.RETRY_JITTER, DEFAULT_RETRY_POLICY.jitter)))
+  }
+}
+
+/**
+ * Decides whether a failed `processEvent` result is worth another attempt.
+ *
+ * @param {{status?: number, previewStatus?: number}} result - Result of `processEvent`.
+ * @returns {boolean}
+ */
+function isRetryable(result) {
+  const status = result.previewStatus || result.status
+  if (!status) {
+    // No response at all (network error, timeout).
+    return true
+  }
+  return status === 429 || status >= 500
+}
+
+/**
+ * Computes the delay before the next attempt.
+ *
+ * @param {Object} policy - Retry policy.
+ * @param {number} attempt - Number of the attempt that just failed (1-based).
+ * @param {string} [retryAfter] - Value of the `Retry-After` response header.
+ * @param {Function} [random] - Random number source, for tests.
+ * @returns {number} Delay in milliseconds.
+ */
+function computeDelay(policy, attempt, retryAfter, random = Math.random) {
+  const requested = parseRetryAfter(retryAfter)
+  if (requested !== null) {
+    return Math.min(requested, policy.maxDelay)
+  }
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1))
+  return Math.round(exponential * (1 - policy.jitter * random()))
+}
+
+/**
+ * Parses a `Retry-After` header value into milliseconds.
+ *
+ * @param {string} [value] - Delay in seconds or an HTTP date.
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Runs an Admin API call until it succeeds, fails fatally or runs out of attempts.
+ *
+ * @param {Object} policy - Retry policy.
+ * @param {Function} call - Async function returning a `processEvent` result.
+ * @param {string} label - Describes the call in log messages, e.g. "Preview for /byom-page/1".
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{result: Object, attempts: Array<Object>}>} The last result and one summary per attempt.
+ */
+async function withRetry(policy, call, label, logger) {
+  const attempts = []
+  let result
+  for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+    result = await call()
+    const summary = { attempt, success: result.success, status: result.status }
+    if (result.errorMessage) {
+      summary.error = result.errorMessage
+    }
+    attempts.push(summary)
+
+    if (result.success) {
+      break
+    }
+
+    const retryable = isRetryable(result)
+    if (!retryable || attempt === policy.attempts) {
+      logger.info(`${label} attempt ${attempt} failed${retryable ? '' : ' with a fatal status'}`)
+      break
+    }
+
+    const delay = computeDelay(policy, attempt, result.retryAfter)
+    logger.info(`${label} attempt ${attempt} failed, retrying in ${delay}ms`)
+    await sleep(delay)
+  }
+  return { result, attempts }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryable,
+  computeDelay,
+  parseRetryAfter,
+  withRetry
+}
@@ -0,0 +1,115 @@
+/*
+* <license header>
+*/
+
+/**
+ * HMAC signature verification for inbound webhook requests.
+ *
+ * When a shared secret is configured, every request must carry an HMAC-SHA256 signature over the raw `__ow_body`.
+ * Three header formats are supported:
+ * - `byom` (default): `x-byom-signature: sha256=<hex>` and `x-byom-timestamp: <unix seconds>`, signed payload
+ *   `<timestamp>.<raw body>`.
+ * - `github`: `x-hub-signature-256: sha256=<hex>`, signed payload `<raw body>`. GitHub does not sign a timestamp, so
+ *   this scheme cannot block replays.
+ * - `stripe`: `stripe-signature: t=<unix seconds>,v1=<hex>[,v1=<hex>]`, signed payload `<timestamp>.<raw body>`.
+ *
+ * Signed timestamps must lie within the tolerance window around the current time.
+ */
+const crypto = require('crypto')
+
+const SCHEMES = ['byom', 'github', 'stripe']
+const DEFAULT_TOLERANCE_SECONDS = 300
+
+/**
+ * Computes the hex encoded HMAC-SHA256 of a payload.
+ *
+ * @param {string} secret - Shared secret.
+ * @param {string|Buffer} payload - Payload to sign.
+ * @returns {string}
+ */
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex')
+}
+
+/**
+ * Verifies the signature of an inbound request.
+ *
+ * @param {Object} params - Action parameters holding `__ow_headers` and `__ow_body`.
+ * @param {Object} options - Verification options.
+ * @param {string} options.secret - Shared secret.
+ * @param {'byom'|'github'|'stripe'} [options.scheme] - Header format, defaults to 'byom'.
+ * @param {number} [options.tolerance] - Accepted clock difference in seconds, defaults to 300.
+ * @param {number} [options.now] - Current time in milliseconds, for tests.
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function verifySignature(params, options) {
+  const scheme = options.scheme || 'byom'
+  if (!SCHEMES.includes(scheme)) {
+    return { valid: false, reason: `unsupported signature scheme '${scheme}'` }
+  }
+
+  const headers = params.__ow_headers || {}
+  const rawBody = params.__ow_body ? Buffer.from(params.__ow_body, 'base64').toString('utf-8') : ''
+  const { timestamp, signatures } = readSignatureHeaders(scheme, headers)
+
+  if (signatures.length === 0) {
+    return { valid: false, reason: 'missing request signature' }
+  }
+
+  if (scheme !== 'github') {
+    if (!/^\d+$/.test(timestamp || '')) {
+      return { valid: false, reason: 'missing request timestamp' }
+    }
+    const tolerance = Number.isFinite(Number(options.tolerance)) ? Number(options.tolerance) : DEFAULT_TOLERANCE_SECONDS
+    const now = Math.floor((options.now || Date.now()) / 1000)
+    if (Math.abs(now - Number(timestamp)) > tolerance) {
+      return { valid: false, reason: 'request timestamp outside the tolerance window' }
+    }
+  }
+
+  const payload = scheme === 'github' ? rawBody : `${timestamp}.${rawBody}`
+  const expected = sign(options.secret, payload)
+  if (!signatures.some((signature) => safeEqual(signature, expected))) {
+    return { valid: false, reason: 'invalid request signature' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Extracts the timestamp and candidate signatures from the scheme's headers.
+ *
+ * @param {string} scheme - Header format.
+ * @param {Object} headers - Lower-cased request headers.
+ * @returns {{timestamp?: string, signatures: string[]}}
+ */
+function readSignatureHeaders(scheme, headers) {
+  if (scheme === 'stripe') {
+    const parts = String(headers['stripe-signature'] || '').split(',').map((part) => part.trim().split('='))
+    return {
+      timestamp: parts.find(([key]) => key === 't')?.[1],
+      signatures: parts.filter(([key, value]) => key === 'v1' && value).map(([, value]) => value)
+    }
+  }
+
+  const header = scheme === 'github' ? headers['x-hub-signature-256'] : headers['x-byom-signature']
+  const match = /^sha256=([0-9a-f]+)$/i.exec(String(header || '').trim())
+  return {
+    timestamp: scheme === 'byom' ? headers['x-byom-timestamp'] : undefined,
+    signatures: match ? [match[1].toLowerCase()] : []
+  }
+}
+
+/**
+ * Compares two hex strings in constant time.
+ */
+function safeEqual(actual, expected) {
+  const a = Buffer.from(actual, 'utf-8')
+  const b = Buffer.from(expected, 'utf-8')
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+module.exports = {
+  SCHEMES,
+  sign,
+  verifySignature
+}
@@ -0,0 +1,187 @@
+/*
+* <license header>
+*/
+
+/**
+ * Optional verification phase that runs after a successful live publish.
+ *
+ * A 200 from the live endpoint only means Helix accepted the publish. Indexing into `/user-index.json` and the CDN
+ * refresh happen afterwards, so this phase polls until the page is really out:
+ * 1) The `user-id` meta of the preview page is the expected value.
+ * 2) The Admin API status endpoint reports the page as live, with a live `lastModified` no older than the preview
+ *    `lastModified`. Rendering is seeded by the page path, so the `user-id` of a page stays the same across publishes;
+ *    the preview was just made by this publish, so its time tells the version published now from an earlier one.
+ * 3) The Admin API index endpoint returns a record with the expected `userId` and a `lastModified` no older than the
+ *    live `lastModified` (see `config/index-config.yaml`).
+ * 4) Optionally, the live URL serves the expected `user-id` with a `last-modified` header no older than it either. If
+ *    it still serves an older version, the CDN cache of the page is purged once and polling continues.
+ * Times are compared in whole seconds, the precision of HTTP dates and of the index.
+ *
+ * The outcome is reported in the response body; a failed verification does not turn a successful publish into an
+ * error.
+ */
+const fetch = require('node-fetch')
+const { sleep, toNumber } = require('../utils')
+const { entryLastModified } = require('../query-index')
+const { fetchStatus, fetchIndexRecord, purgeCache, previewUrl, liveUrl } = require('./admin')
+
+const DEFAULT_VERIFY_OPTIONS = {
+  interval: 2000,
+  maxPolls: 10,
+  live: false
+}
+
+const USER_ID_META_PATTERN = /<meta\s+name="user-id"\s+content="([^"]*)"/i
+
+/**
+ * Reads the verification options from the action params, falling back to defaults.
+ *
+ * @param {Object} params - Action parameters.
+ * @param {number} [params.VERIFY_POLL_INTERVAL] - Delay between polls in milliseconds.
+ * @param {number} [params.VERIFY_MAX_POLLS] - Maximum number of polls.
+ * @param {boolean} live - Whether to check the live URL as well.
+ * @returns {{interval: number, maxPolls: number, live: boolean}}
+ */
+function resolveVerifyOptions(params, live) {
+  return {
+    interval: Math.max(0, toNumber(params.VERIFY_POLL_INTERVAL, DEFAULT_VERIFY_OPTIONS.interval)),
+    maxPolls: Math.max(1, toNumber(params.VERIFY_MAX_POLLS, DEFAULT_VERIFY_OPTIONS.maxPolls)),
+    live: Boolean(live)
+  }
+}
+
+/**
+ * Polls until a published page is live, indexed and (optionally) served fresh by the CDN.
+ *
+ * @param {string} token - Helix admin token.
+ * @param {string} projectCoords - Helix project coordinates.
+ * @param {string} pagePath - Published overlay path.
+ * @param {{interval: number, maxPolls: number, live: boolean}} options - Verification options.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<Object>} The outcome: `verified`, `expectedUserId`, `live`, `lastModified` (of the published
+ *          version), `indexed`, `indexedUserId`, `indexedLastModified`, `cdnFresh` (with `options.live`), `purged`,
+ *          `polls` and a `reason` if verification failed.
+ */
+async function verifyPublication(token, projectCoords, pagePath, options, logger) {
+  const preview = await readPage(previewUrl(projectCoords, pagePath), token, logger)
+  const expectedUserId = preview ? preview.userId : null
+  const outcome = {
+    verified: false,
+    expectedUserId,
+    live: false,
+    lastModified: null,
+    indexed: false,
+    purged: false,
+    polls: 0
+  }
+  if (options.live) {
+    outcome.cdnFresh = false
+  }
+  if (!expectedUserId) {
+    outcome.reason = 'preview page has no user-id meta'
+    logger.info(`Verification skipped for ${pagePath}: ${outcome.reason}`)
+    return outcome
+  }
+
+  for (let poll = 0; poll < options.maxPolls && !outcome.verified; poll++) {
+    if (poll > 0) {
+      await sleep(options.interval)
+    }
+    outcome.polls = poll + 1
+
+    if (!outcome.live) {
+      const status = await fetchStatus(token, projectCoords, pagePath, logger)
+      const previewed = toSeconds(status?.preview?.lastModified)
+      const published = toSeconds(status?.live?.lastModified)
+      // Until the publish lands, the live version is the one of an earlier publish, older than the new preview.
+      outcome.live = status?.live?.status === 200 && previewed !== null && published !== null && published >= previewed
+      outcome.lastModified = outcome.live ? status.live.lastModified : null
+    }
+    const publishedAt = toSeconds(outcome.lastModified)
+    if (outcome.live && !outcome.indexed) {
+      const record = await fetchIndexRecord(token, projectCoords, pagePath, logger)
+      const indexedAt = entryLastModified(record)
+      outcome.indexedUserId = record ? record.userId : undefined
+      outcome.indexedLastModified = indexedAt ? indexedAt.toUTCString() : undefined
+      outcome.indexed = outcome.indexedUserId === expectedUserId &&
+        Boolean(indexedAt) && toSeconds(indexedAt) >= publishedAt
+    }
+    if (options.live && outcome.live && !outcome.cdnFresh) {
+      const served = await readPage(liveUrl(projectCoords, pagePath), undefined, logger)
+      outcome.cdnFresh = Boolean(served) && served.userId === expectedUserId &&
+        toSeconds(served.lastModified) !== null && toSeconds(served.lastModified) >= publishedAt
+      if (!outcome.cdnFresh && served && !outcome.purged) {
+        // The CDN still serves an older version of the page.
+        logger.info(`Live URL of ${pagePath} serves user ${served.userId} as of ${served.lastModified} instead of ` +
+          `${expectedUserId} as of ${outcome.lastModified}, purging cache`)
+        outcome.purged = await purgeCache(token, projectCoords, pagePath, logger)
+      }
+    }
+
+    outcome.verified = outcome.live && outcome.indexed && (!options.live || outcome.cdnFresh)
+  }
+
+  if (outcome.verified) {
+    logger.debug(`Verified ${pagePath} after ${outcome.polls} poll(s)`)
+  } else {
+    outcome.reason = describeFailure(outcome)
+    logger.info(`Verification failed for ${pagePath}: ${outcome.reason}`)
+  }
+  return outcome
+}
+
+function describeFailure(outcome) {
+  if (!outcome.live) {
+    return `page not live after ${outcome.polls} poll(s)`
+  }
+  const version = `user ${outcome.expectedUserId} as of ${outcome.lastModified}`
+  if (!outcome.indexed) {
+    return `index does not show ${version} after ${outcome.polls} poll(s)`
+  }
+  return `live URL does not serve ${version} after ${outcome.polls} poll(s)`
+}
+
+/**
+ * Converts a date, or a date string as sent by the Admin API and in HTTP headers, to whole epoch seconds.
+ *
+ * @param {Date|string} [value] - Date or date string.
+ * @returns {number|null} The epoch seconds, or null if the value is not a date.
+ */
+function toSeconds(value) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value)
+  return Number.isNaN(time) ? null : Math.floor(time / 1000)
+}
+
+/**
+ * Fetches a page and reads its `user-id` meta and `last-modified` header.
+ *
+ * @param {string} url - Page URL.
+ * @param {string} [token] - Helix token, sent for preview pages of protected sites.
+ * @param {Object} logger - Structured logger instance.
+ * @returns {Promise<{userId: string|null, lastModified: string|null}|null>} The page details, or null if the page
+ *   could not be read.
+ */
+async function readPage(url, token, logger) {
+  const headers = { 'cache-control': 'no-cache' }
+  if (token) {
+    headers.authorization = `token ${token}`
+  }
+  try {
+    const res = await fetch(url, { headers })
+    if (!res.ok) {
+      logger.debug(`Reading ${url} failed: ${res.status}`)
+      return null
+    }
+    const match = USER_ID_META_PATTERN.exec(await res.text())
+    return { userId: match ? match[1] : null, lastModified: res.headers.get('last-modified') }
+  } catch (error) {
+    logger.info(`Reading ${url} failed: ${error.message}`)
+    return null
+  }
+}
+
+module.exports = {
+  DEFAULT_VERIFY_OPTIONS,
+  resolveVerifyOptions,
+  verifyPublication
+}
@@ -0,0 +1,144 @@
+/*
+* <license header>
+*/
+
+const {
+  memoryCache,
+  createLruCache,
+  resolveCachePolicy,
+  cacheKey,
+  cachedFetch
+} = require('./../actions/data-provider/cache.js')
+const { createMemoryStore } = require('./../actions/state.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+const policy = { ttl: 60, staleWhileRevalidate: 600 }
+
+beforeEach(() => {
+  memoryCache.clear()
+  Object.values(logger).forEach(fn => fn.mockReset())
+})
+
+describe('createLruCache', () => {
+  test('evicts the least recently used entry', () => {
+    const cache = createLruCache(2)
+    cache.set('a', 1)
+    cache.set('b', 2)
+    cache.get('a')
+    cache.set('c', 3)
+    expect(cache.get('a')).toBe(1)
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.get('c')).toBe(3)
+    expect(cache.size()).toBe(2)
+  })
+})
+
+describe('resolveCachePolicy', () => {
+  test('uses the defaults of the source type', () => {
+    expect(resolveCachePolicy({ type: 'randomuser' })).toEqual({ ttl: 3600, staleWhileRevalidate: 86400 })
+    expect(resolveCachePolicy({ type: 'static' })).toEqual({ ttl: 0, staleWhileRevalidate: 0 })
+    expect(resolveCachePolicy({ type: 'unknown' })).toEqual({ ttl: 0, staleWhileRevalidate: 0 })
+  })
+
+  test('reads the cache object of the source configuration', () => {
+    expect(resolveCachePolicy({ type: 'rest', cache: { ttl: '30', staleWhileRevalidate: -5 } }))
+      .toEqual({ ttl: 30, staleWhileRevalidate: 0 })
+    expect(resolveCachePolicy({ type: 'rest', cache: { ttl: 'soon' } })).toEqual({ ttl: 300, staleWhileRevalidate: 3600 })
+  })
+})
+
+describe('cacheKey', () => {
+  test('is a valid state key that depends on config, path and nationality', () => {
+    const key = cacheKey({ type: 'randomuser' }, '/byom-page/user', 'US')
+    expect(key).toMatch(/^[a-zA-Z0-9-_.]{1,1024}$/)
+    expect(cacheKey({ type: 'randomuser' }, '/byom-page/user', 'US')).toBe(key)
+    expect(cacheKey({ type: 'randomuser' }, '/byom-page/user', 'FR')).not.toBe(key)
+    expect(cacheKey({ type: 'randomuser', endpoint: 'x' }, '/byom-page/user', 'US')).not.toBe(key)
+  })
+})
+
+describe('cachedFetch', () => {
+  test('loads on a miss and serves hits while fresh', async () => {
+    const load = jest.fn().mockResolvedValue({ name: 'Jane' })
+    const miss = await cachedFetch('k', policy, load, { logger, now: 0 })
+    const hit = await cachedFetch('k', policy, load, { logger, now: 59000 })
+    expect(miss).toEqual({ value: { name: 'Jane' }, status: 'miss' })
+    expect(hit).toEqual({ value: { name: 'Jane' }, status: 'hit' })
+    expect(load).toHaveBeenCalledTimes(1)
+  })
+
+  test('serves stale values while refreshing them', async () => {
+    const load = jest.fn()
+      .mockResolvedValueOnce({ version: 1 })
+      .mockResolvedValueOnce({ version: 2 })
+    await cachedFetch('k', policy, load, { logger, now: 0 })
+    const stale = await cachedFetch('k', policy, load, { logger, now: 61000 })
+    expect(stale.status).toBe('stale')
+    expect(stale.value).toEqual({ version: 1 })
+    await stale.refresh
+    const hit = await cachedFetch('k', policy, load, { logger, now: 62000 })
+    expect(hit).toEqual({ value: { version: 2 }, status: 'hit' })
+  })
+
+  test('keeps serving the stale value if the refresh fails', async () => {
+    const load = jest.fn()
+      .mockResolvedValueOnce({ version: 1 })
+      .mockRejectedValueOnce(new Error('upstream down'))
+    await cachedFetch('k', policy, load, { logger, now: 0 })
+    const stale = await cachedFetch('k', policy, load, { logger, now: 61000 })
+    await stale.refresh
+    expect(logger.warn).toHaveBeenCalledWith('Refreshing k failed: upstream down')
+    expect((await cachedFetch('k', policy, load, { logger, now: 62000 })).status).toBe('stale')
+  })
+
+  test('loads again once the stale window is over', async () => {
+    const load = jest.fn().mockResolvedValue({ name: 'Jane' })
+    await cachedFetch('k', policy, load, { logger, now: 0 })
+    const result = await cachedFetch('k', policy, load, { logger, now: 661000 })
+    expect(result.status).toBe('miss')
+    expect(load).toHaveBeenCalledTimes(2)
+  })
+
+  test('does not cache empty results', async () => {
+    const load = jest.fn().mockResolvedValue(null)
+    await cachedFetch('k', policy, load, { logger, now: 0 })
+    const result = await cachedFetch('k', policy, load, { logger, now: 1000 })
+    expect(result).toEqual({ value: null, status: 'miss' })
+    expect(load).toHaveBeenCalledTimes(2)
+  })
+
+  test('bypasses the cache when the ttl is 0', async () => {
+    const load = jest.fn().mockResolvedValue({ name: 'Jane' })
+    const store = { get: jest.fn(), put: jest.fn() }
+    await cachedFetch('k', { ttl: 0, staleWhileRevalidate: 0 }, load, { store, logger })
+    await cachedFetch('k', { ttl: 0, staleWhileRevalidate: 0 }, load, { store, logger })
+    expect(load).toHaveBeenCalledTimes(2)
+    expect(store.get).not.toHaveBeenCalled()
+    expect(store.put).not.toHaveBeenCalled()
+  })
+
+  test('writes entries to state storage with the full ttl and reads them back', async () => {
+    const store = createMemoryStore()
+    jest.spyOn(store, 'put')
+    const load = jest.fn().mockResolvedValue({ name: 'Jane' })
+    await cachedFetch('k', policy, load, { store, logger, now: Date.now() })
+    expect(store.put).toHaveBeenCalledWith('k', expect.any(String), { ttl: 660 })
+
+    memoryCache.clear()
+    const result = await cachedFetch('k', policy, load, { store, logger, now: Date.now() })
+    expect(result).toEqual({ value: { name: 'Jane' }, status: 'hit' })
+    expect(load).toHaveBeenCalledTimes(1)
+  })
+
+  test('falls back to the upstream if state storage fails', async () => {
+    const store = {
+      get: jest.fn().mockRejectedValue(new Error('state down')),
+      put: jest.fn().mockRejectedValue(new Error('state down'))
+    }
+    const load = jest.fn().mockResolvedValue({ name: 'Jane' })
+    const result = await cachedFetch('k', policy, load, { store, logger, now: 0 })
+    expect(result).toEqual({ value: { name: 'Jane' }, status: 'miss' })
+    expect(logger.warn).toHaveBeenCalledWith('Reading k from state failed: state down')
+    expect(logger.warn).toHaveBeenCalledWith('Writing k to state failed: state down')
+  })
+})
@@ -0,0 +1,47 @@
+/* 
+* <license header>
+*/
+
+const conditional = require('./../actions/data-provider/conditional.js')
+
+const lastModified = new Date('2024-01-01T00:00:00.000Z')
+
+describe('computeEtag', () => {
+  test('hashes the body into a quoted strong ETag', () => {
+    const etag = conditional.computeEtag('<html></html>')
+    expect(etag).toMatch(/^"[A-Za-z0-9_-]{27}"$/)
+    expect(conditional.computeEtag('<html></html>')).toBe(etag)
+    expect(conditional.computeEtag('<html> </html>')).not.toBe(etag)
+  })
+})
+
+describe('toHttpDate', () => {
+  test('formats dates as HTTP dates', () => {
+    expect(conditional.toHttpDate(lastModified)).toBe('Mon, 01 Jan 2024 00:00:00 GMT')
+    expect(conditional.toHttpDate(null)).toBeUndefined()
+  })
+})
+
+describe('isNotModified', () => {
+  const validators = { etag: '"abc"', lastModified }
+
+  test.each([
+    [{ 'if-none-match': '"abc"' }, true],
+    [{ 'if-none-match': 'W/"abc"' }, true],
+    [{ 'if-none-match': '"xyz", "abc"' }, true],
+    [{ 'if-none-match': '*' }, true],
+    [{ 'if-none-match': '"xyz"' }, false],
+    [{ 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' }, true],
+    [{ 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' }, true],
+    [{ 'if-modified-since': 'Sun, 31 Dec 2023 23:59:59 GMT' }, false],
+    [{ 'if-modified-since': 'yesterday' }, false],
+    [{ 'if-none-match': '"xyz"', 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' }, false],
+    [{}, false]
+  ])('%p -> %p', (headers, expected) => {
+    expect(conditional.isNotModified(headers, validators)).toBe(expected)
+  })
+
+  test('ignores If-Modified-Since without a known modification date', () => {
+    expect(conditional.isNotModified({ 'if-modified-since': 'Tue, 02 Jan 2024 00:00:00 GMT' }, { etag: '"abc"' })).toBe(false)
+  })
+})
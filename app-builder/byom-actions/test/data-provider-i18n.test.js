@@ -0,0 +1,104 @@
+/*
+* <license header>
+*/
+
+const fs = require('fs')
+const path = require('path')
+const i18n = require('./../actions/data-provider/i18n.js')
+const { negotiateLanguage } = require('./../actions/data-provider/negotiation.js')
+const helpers = require('./../actions/data-provider/helpers.js')
+const { renderTemplate } = require('./../actions/data-provider/render.js')
+
+describe('resolveLocale', () => {
+  test('reads and removes a locale segment', () => {
+    expect(i18n.resolveLocale('/byom-page/de/users/jane', 'fr')).toEqual({
+      lang: 'de',
+      tag: 'de-DE',
+      path: '/byom-page/users/jane',
+      fromPath: true
+    })
+  })
+
+  test('ignores unsupported or trailing segments', () => {
+    expect(i18n.resolveLocale('/byom-page/it/users/jane').path).toBe('/byom-page/it/users/jane')
+    expect(i18n.resolveLocale('/byom-page/de')).toEqual({ lang: 'en', tag: 'en-US', path: '/byom-page/de', fromPath: false })
+    expect(i18n.resolveLocale('/byom-page/countries/de/x').path).toBe('/byom-page/countries/de/x')
+  })
+
+  test('falls back to Accept-Language', () => {
+    expect(i18n.resolveLocale('/byom-page/users/jane', 'de-AT,de;q=0.9').lang).toBe('de')
+    expect(i18n.resolveLocale('/byom-page/users/jane').lang).toBe('en')
+  })
+})
+
+describe('negotiateLanguage', () => {
+  const supported = ['en', 'de', 'fr']
+
+  test('honors quality values and header order', () => {
+    expect(negotiateLanguage('de;q=0.5, fr', supported, 'en')).toBe('fr')
+    expect(negotiateLanguage('fr, de', supported, 'en')).toBe('fr')
+    expect(negotiateLanguage('ja, de-CH;q=0.8', supported, 'en')).toBe('de')
+  })
+
+  test('falls back for wildcards, exclusions and unsupported languages', () => {
+    expect(negotiateLanguage('*', supported, 'en')).toBe('en')
+    expect(negotiateLanguage('de;q=0', supported, 'en')).toBe('en')
+    expect(negotiateLanguage('ja, zh', supported, 'en')).toBe('en')
+    expect(negotiateLanguage(undefined, supported, 'en')).toBe('en')
+  })
+})
+
+describe('buildAlternates', () => {
+  test('lists every language and x-default', () => {
+    expect(i18n.buildAlternates('/byom-page/users/jane')).toEqual([
+      { hreflang: 'en', href: '/byom-page/users/jane' },
+      { hreflang: 'de', href: '/byom-page/de/users/jane' },
+      { hreflang: 'fr', href: '/byom-page/fr/users/jane' },
+      { hreflang: 'x-default', href: '/byom-page/users/jane' }
+    ])
+    expect(i18n.buildAlternates('/byom-page/users/jane', 'https://example.com/')[1].href).toBe('https://example.com/byom-page/de/users/jane')
+  })
+})
+
+describe('dictionaries', () => {
+  const keys = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) => (
+    value && typeof value === 'object' ? keys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  ))
+  const dir = path.join(__dirname, '../actions/data-provider/locales')
+  const english = keys(JSON.parse(fs.readFileSync(path.join(dir, 'en.json'), 'utf-8'))).sort()
+
+  test.each(Object.keys(i18n.LOCALES))('%s has a dictionary with all strings', (lang) => {
+    expect(keys(JSON.parse(fs.readFileSync(path.join(dir, `${lang}.json`), 'utf-8'))).sort()).toEqual(english)
+  })
+
+  test('fill in placeholders and fall back to the key', () => {
+    const dictionary = i18n.loadDictionary('de')
+    expect(i18n.translate(dictionary, 'userProfile.ageValue', { age: 42 })).toBe('42 Jahre')
+    expect(i18n.translate(dictionary, 'team.summary', { count: 3 })).toBe('Gegründet am  · 3 Mitglieder')
+    expect(i18n.translate(dictionary, 'missing.key')).toBe('missing.key')
+  })
+})
+
+describe('localized helpers', () => {
+  test('format for a locale', () => {
+    expect(helpers.formatDate('2024-03-05', 'long', 'de-DE')).toBe('5. März 2024')
+    expect(helpers.formatDate('2024-03-05', 'long', 'fr-FR')).toBe('5 mars 2024')
+    expect(helpers.formatNumber(1234.5, undefined, 'de-DE')).toBe('1.234,5')
+    expect(helpers.countryName('GB', 'de-DE')).toBe('Vereinigtes Königreich')
+  })
+
+  test('label genders from the dictionary', () => {
+    expect(helpers.genderLabel('Female', i18n.loadDictionary('fr'))).toBe('Femme')
+    expect(helpers.genderLabel('nonbinary', i18n.loadDictionary('fr'))).toBe('nonbinary')
+  })
+
+  test('render templates in the locale', () => {
+    const html = renderTemplate('team', {
+      locale: { lang: 'de', tag: 'de-DE' },
+      record: { name: 'Platform', founded: '2019-01-15', members: [{ name: 'Ada', country: 'GB', since: '2019-04-01' }] }
+    }, { locale: 'de-DE', dictionary: i18n.loadDictionary('de') })
+    expect(html).toContain('<html lang="de">')
+    expect(html).toContain('<p>Gegründet am 15. Januar 2019 · 1 Mitglieder</p>')
+    expect(html).toContain('<p>Vereinigtes Königreich · seit 01.04.2019</p>')
+  })
+})
@@ -0,0 +1,129 @@
+/*
+* <license header>
+*/
+
+jest.mock('node-fetch')
+const fetch = require('node-fetch')
+const { createQueryIndexSource, slugify } = require('./../actions/data-provider/sources/query-index.js')
+const { buildStructuredData } = require('./../actions/data-provider/structured-data.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+
+const jsonResponse = (status, payload) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(payload)
+})
+
+const entry = (slug, name, country, lastModified) => ({
+  path: `/byom-page/users/${slug}`,
+  userFullname: name,
+  userCity: 'Springfield',
+  userCountry: country,
+  userPicture: `https://randomuser.me/api/portraits/men/${slug.length}.jpg`,
+  lastModified
+})
+
+const INDEX = [
+  entry('carol', 'Carol Clark', 'France', 1700000300),
+  entry('alice', 'Alice Adams', 'United Kingdom', 1700000100),
+  entry('bob', 'Bob Brown', 'France', 1700000200),
+  { path: '/byom-page/de/users/bob', userFullname: 'Bob Brown', userCountry: 'France', lastModified: 1700000400 },
+  { path: '/byom-page/directory', userFullname: '', lastModified: 1700000500 },
+  { path: '/byom-page/users/draft', userFullname: '' }
+]
+
+const context = (path, params = {}, lang = 'en') => ({ path, params, lang, siteUrl: 'https://main--site--org.aem.live' })
+
+beforeEach(() => {
+  fetch.mockReset()
+  Object.values(logger).forEach(fn => fn.mockReset())
+  fetch.mockResolvedValue(jsonResponse(200, { total: INDEX.length, offset: 0, limit: 500, data: INDEX }))
+})
+
+describe('slugify', () => {
+  test('turns values into path segments', () => {
+    expect(slugify('United Kingdom')).toBe('united-kingdom')
+    expect(slugify("Côte d'Ivoire")).toBe('cote-d-ivoire')
+    expect(slugify(undefined)).toBe('')
+  })
+})
+
+describe('createQueryIndexSource', () => {
+  test('lists published profiles sorted by name, once per profile', async () => {
+    const source = createQueryIndexSource({ pageSize: 2 })
+    const record = await source.fetchRecord(context('/byom-page/directory'), logger)
+    expect(fetch).toHaveBeenCalledWith('https://main--site--org.aem.live/user-index.json?offset=0&limit=500', expect.any(Object))
+    expect(record).toEqual(expect.objectContaining({ total: 3, page: 1, pageCount: 2, pageSize: 2 }))
+    expect(record.entries.map((e) => e.userFullname)).toEqual(['Alice Adams', 'Bob Brown'])
+    expect(record.lastModified).toBe(new Date(1700000300 * 1000).toISOString())
+  })
+
+  test('reads indexes that span several chunks', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(200, { total: 3, offset: 0, limit: 2, data: INDEX.slice(0, 2) }))
+      .mockResolvedValueOnce(jsonResponse(200, { total: 3, offset: 2, limit: 2, data: INDEX.slice(2, 3) }))
+    const record = await createQueryIndexSource().fetchRecord(context('/byom-page/directory'), logger)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(fetch.mock.calls[1][0]).toContain('offset=2')
+    expect(record.total).toBe(3)
+  })
+
+  test('filters by route parameters compared as slugs', async () => {
+    const source = createQueryIndexSource({ filters: { country: 'userCountry' } })
+    const record = await source.fetchRecord(context('/byom-page/directory/country/united-kingdom', { country: 'united-kingdom' }), logger)
+    expect(record.entries.map((e) => e.userFullname)).toEqual(['Alice Adams'])
+  })
+
+  test('has no listing for filters without matches, but an empty unfiltered one', async () => {
+    const source = createQueryIndexSource({ filters: { country: 'userCountry' } })
+    expect(await source.fetchRecord(context('/byom-page/directory/country/spain', { country: 'spain' }), logger)).toBeNull()
+    fetch.mockResolvedValue(jsonResponse(200, { total: 0, offset: 0, limit: 500, data: [] }))
+    expect(await source.fetchRecord(context('/byom-page/directory'), logger)).toEqual(expect.objectContaining({ entries: [], pageCount: 1 }))
+  })
+
+  test.each(['0', '-1', 'x', '3'])('has no page %s', async (page) => {
+    const source = createQueryIndexSource({ pageSize: 2 })
+    expect(await source.fetchRecord(context(`/byom-page/directory/page-${page}`, { page }), logger)).toBeNull()
+  })
+
+  test('requires SITE_URL for relative index URLs only', () => {
+    expect(createQueryIndexSource().requires).toEqual(['SITE_URL'])
+    expect(createQueryIndexSource({ url: 'https://main--site--org.aem.live/user-index.json' }).requires).toEqual([])
+  })
+
+  test('fails for unreadable indexes and without a site URL', async () => {
+    fetch.mockResolvedValue(jsonResponse(404, {}))
+    await expect(createQueryIndexSource().fetchRecord(context('/byom-page/directory'), logger)).rejects.toThrow('query index responded with 404')
+    await expect(createQueryIndexSource().fetchRecord({ path: '/byom-page/directory', params: {} }, logger))
+      .rejects.toThrow("query index '/user-index.json' needs the SITE_URL input or an absolute URL")
+  })
+
+  test('builds links, positions and pagination', async () => {
+    const source = createQueryIndexSource({ pageSize: 1, filters: { country: 'userCountry' } })
+    const ctx = context('/byom-page/directory/country/france/page-2', { country: 'france', page: '2' }, 'de')
+    const viewModel = source.toViewModel(await source.fetchRecord(ctx, logger), ctx)
+    expect(viewModel).toEqual(expect.objectContaining({
+      filter: { country: 'France' },
+      total: 2,
+      page: 2,
+      pageCount: 2,
+      canonical: 'https://main--site--org.aem.live/byom-page/de/directory/country/france/page-2',
+      prev: 'https://main--site--org.aem.live/byom-page/de/directory/country/france',
+      next: ''
+    }))
+    expect(viewModel.entries).toEqual([expect.objectContaining({ position: 2, name: 'Carol Clark', href: '/byom-page/de/users/carol' })])
+    expect(viewModel.pages.map((page) => page.current)).toEqual([false, true])
+  })
+
+  test('describes listing pages as schema.org item lists', async () => {
+    const source = createQueryIndexSource()
+    const ctx = context('/byom-page/directory')
+    const viewModel = source.toViewModel(await source.fetchRecord(ctx, logger), ctx)
+    expect(buildStructuredData('directory', viewModel, 'en-US')).toEqual(expect.objectContaining({
+      '@type': 'CollectionPage',
+      url: 'https://main--site--org.aem.live/byom-page/directory',
+      mainEntity: expect.objectContaining({ '@type': 'ItemList', numberOfItems: 3 })
+    }))
+  })
+})
@@ -0,0 +1,141 @@
+/*
+* <license header>
+*/
+
+jest.mock('node-fetch')
+const fetch = require('node-fetch')
+const { mediaPath, rehostImages, variantUrl, serveMedia } = require('./../actions/data-provider/media.js')
+const { DEFAULT_URL_POLICY } = require('./../actions/data-provider/sanitize.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+
+const PORTRAIT = 'https://randomuser.me/api/portraits/women/8.jpg'
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xdb, 0x00, 0x43])
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00])
+
+const imageResponse = (contentType, bytes, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => (name === 'content-type' ? contentType : null) },
+  buffer: () => Promise.resolve(bytes)
+})
+
+const request = (path, headers = {}, query) => ({ path, headers, query })
+
+beforeEach(() => {
+  fetch.mockReset()
+  Object.values(logger).forEach(fn => fn.mockReset())
+})
+
+describe('mediaPath', () => {
+  test('encodes the upstream URL and keeps its extension', () => {
+    const token = Buffer.from(PORTRAIT).toString('base64url')
+    expect(mediaPath(PORTRAIT)).toBe(`/byom-media/${token}.jpg`)
+    expect(mediaPath(PORTRAIT, 400)).toBe(`/byom-media/w400/${token}.jpg`)
+    expect(mediaPath('https://cdn.example.com/logo.PNG')).toMatch(/\.png$/)
+    expect(mediaPath('https://images.unsplash.com/photo-1?q=80')).toMatch(/\.jpg$/)
+  })
+})
+
+describe('rehostImages', () => {
+  test('rewrites absolute image fields, also in nested records', () => {
+    const viewModel = {
+      picture: PORTRAIT,
+      website: 'https://example.com/',
+      members: [{ image: PORTRAIT, heroImage: '' }],
+      entries: [{ picture: '/byom-media/abc.jpg' }]
+    }
+    const rehosted = rehostImages(viewModel, 'https://media.example.com/')
+    expect(rehosted.picture).toBe(`https://media.example.com${mediaPath(PORTRAIT)}`)
+    expect(rehosted.website).toBe('https://example.com/')
+    expect(rehosted.members[0]).toEqual({ image: `https://media.example.com${mediaPath(PORTRAIT)}`, heroImage: '' })
+    expect(rehosted.entries[0].picture).toBe('/byom-media/abc.jpg')
+    expect(rehostImages({ avatar: PORTRAIT }).avatar).toBe(mediaPath(PORTRAIT))
+  })
+})
+
+describe('variantUrl', () => {
+  test('picks the upstream variant of a width', () => {
+    expect(variantUrl(PORTRAIT, 48)).toBe('https://randomuser.me/api/portraits/thumb/women/8.jpg')
+    expect(variantUrl(PORTRAIT, 72)).toBe('https://randomuser.me/api/portraits/med/women/8.jpg')
+    expect(variantUrl('https://randomuser.me/api/portraits/thumb/women/8.jpg', 400)).toBe(PORTRAIT)
+    expect(variantUrl('https://images.unsplash.com/photo-1?q=80&w=2000', 750)).toBe('https://images.unsplash.com/photo-1?q=80&w=750')
+    expect(variantUrl('https://cdn.example.com/a.jpg', 750)).toBe('https://cdn.example.com/a.jpg')
+    expect(variantUrl(PORTRAIT)).toBe(PORTRAIT)
+  })
+})
+
+describe('serveMedia', () => {
+  test('serves allowed images base64-encoded with validators', async () => {
+    fetch.mockResolvedValue(imageResponse('image/jpeg; charset=binary', JPEG))
+    const response = await serveMedia(request(mediaPath(PORTRAIT, 48)), DEFAULT_URL_POLICY, logger)
+    expect(fetch).toHaveBeenCalledWith('https://randomuser.me/api/portraits/thumb/women/8.jpg', expect.objectContaining({
+      redirect: 'error',
+      size: 5 * 1024 * 1024
+    }))
+    expect(response).toEqual({
+      statusCode: 200,
+      headers: expect.objectContaining({ 'Content-Type': 'image/jpeg', 'Cache-Control': 'public, max-age=604800', ETag: expect.any(String) }),
+      body: JPEG.toString('base64')
+    })
+
+    const cached = await serveMedia(request(mediaPath(PORTRAIT, 48), { 'if-none-match': response.headers.ETag }), DEFAULT_URL_POLICY, logger)
+    expect(cached.statusCode).toBe(304)
+  })
+
+  test('snaps the width parameter to the next variant', async () => {
+    fetch.mockResolvedValue(imageResponse('image/png', PNG))
+    await serveMedia(request(mediaPath('https://images.unsplash.com/photo-1'), {}, 'width=500&format=webply'), DEFAULT_URL_POLICY, logger)
+    expect(fetch.mock.calls[0][0]).toBe('https://images.unsplash.com/photo-1?w=750')
+  })
+
+  test.each([
+    ['unknown widths', `/byom-media/w333/${Buffer.from(PORTRAIT).toString('base64url')}.jpg`],
+    ['other files', '/byom-media/../secret.json'],
+    ['malformed tokens', '/byom-media/a+b.jpg']
+  ])('returns 404 for %s', async (label, path) => {
+    const response = await serveMedia(request(path), DEFAULT_URL_POLICY, logger)
+    expect(response.error.statusCode).toBe(404)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    'https://evil.example/a.jpg',
+    'http://randomuser.me/api/portraits/women/8.jpg',
+    'file:///etc/passwd'
+  ])('refuses images of %s', async (url) => {
+    const path = `/byom-media/${Buffer.from(url).toString('base64url')}.jpg`
+    const response = await serveMedia(request(path), DEFAULT_URL_POLICY, logger)
+    expect(response.error.statusCode).toBe(403)
+    expect(response.error.body.detail).toBe(`image host of ${path} is not allowed`)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('refuses content that is not an image', async () => {
+    fetch.mockResolvedValue(imageResponse('text/html', Buffer.from('<html>')))
+    const html = await serveMedia(request(mediaPath(PORTRAIT)), DEFAULT_URL_POLICY, logger)
+    expect(html.error.statusCode).toBe(502)
+    expect(html.error.body.detail).toBe("image upstream sent unsupported content type 'text/html'")
+
+    fetch.mockResolvedValue(imageResponse('image/svg+xml', Buffer.from('<svg onload="alert(1)">')))
+    expect((await serveMedia(request(mediaPath(PORTRAIT)), DEFAULT_URL_POLICY, logger)).error.statusCode).toBe(502)
+
+    fetch.mockResolvedValue(imageResponse('image/jpeg', PNG))
+    const mislabeled = await serveMedia(request(mediaPath(PORTRAIT)), DEFAULT_URL_POLICY, logger)
+    expect(mislabeled.error.statusCode).toBe(502)
+    expect(mislabeled.error.body.detail).toBe('image upstream sent data that is not image/jpeg')
+  })
+
+  test('returns 502 for failing upstreams, redirects and oversized images', async () => {
+    fetch.mockResolvedValue(imageResponse('text/plain', Buffer.alloc(0), 404))
+    expect((await serveMedia(request(mediaPath(PORTRAIT)), DEFAULT_URL_POLICY, logger)).error.body.detail).toBe('image upstream responded with 404')
+
+    fetch.mockRejectedValue(new Error('redirect mode is set to error'))
+    expect((await serveMedia(request(mediaPath(PORTRAIT)), DEFAULT_URL_POLICY, logger)).error.body.detail)
+      .toBe('fetching the image failed: redirect mode is set to error')
+
+    fetch.mockResolvedValue({ ...imageResponse('image/jpeg', JPEG), buffer: () => Promise.reject(new Error('content size over limit')) })
+    expect((await serveMedia(request(mediaPath(PORTRAIT)), DEFAULT_URL_POLICY, logger)).error.body.detail)
+      .toBe('reading the image failed: content size over limit')
+  })
+})
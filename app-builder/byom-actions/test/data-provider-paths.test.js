@@ -0,0 +1,101 @@
+/* 
+* <license header>
+*/
+
+const paths = require('./../actions/data-provider/paths.js')
+
+describe('parseOverlayPath', () => {
+  test('accepts overlay paths', () => {
+    expect(paths.parseOverlayPath('/byom-page/users/jane')).toEqual({ path: '/byom-page/users/jane', plain: false })
+    expect(paths.parseOverlayPath('byom-page/1731000000000')).toEqual({ path: '/byom-page/1731000000000', plain: false })
+    expect(paths.parseOverlayPath('/byom-page')).toEqual({ path: '/byom-page', plain: false })
+    expect(paths.parseOverlayPath('/byom-page/users/j.doe_42-x')).toEqual({ path: '/byom-page/users/j.doe_42-x', plain: false })
+  })
+
+  test('rejects paths outside the overlay root', () => {
+    expect(paths.parseOverlayPath('/byom-pageX')).toEqual({ status: 404, message: '/byom-pageX is not an overlay path' })
+    expect(paths.parseOverlayPath('/byom-pages/users/jane').status).toBe(404)
+    expect(paths.parseOverlayPath('/other').status).toBe(404)
+    expect(paths.parseOverlayPath(undefined)).toEqual({ status: 404, message: '/ is not an overlay path' })
+  })
+
+  test('rejects malformed segments', () => {
+    expect(paths.parseOverlayPath('/byom-page/users//jane')).toEqual({
+      status: 400,
+      message: "invalid segment '' in overlay path /byom-page/users//jane"
+    })
+    expect(paths.parseOverlayPath('/byom-page/users/../admin').status).toBe(400)
+    expect(paths.parseOverlayPath('/byom-page/./users').status).toBe(400)
+    expect(paths.parseOverlayPath('/byom-page/users/jane doe').status).toBe(400)
+    expect(paths.parseOverlayPath('/byom-page/users/%2e%2e').status).toBe(400)
+    expect(paths.parseOverlayPath('/byom-page/users/jane?x=1').status).toBe(400)
+  })
+
+  test('limits the path length and depth', () => {
+    expect(paths.parseOverlayPath(`/byom-page/${'a'.repeat(600)}`)).toEqual({
+      status: 400,
+      message: 'overlay path is longer than 512 characters'
+    })
+    expect(paths.parseOverlayPath(`/byom-page${'/a'.repeat(10)}`)).toEqual({
+      status: 400,
+      message: 'overlay path has more than 10 segments'
+    })
+  })
+
+  test('drops a trailing slash', () => {
+    expect(paths.parseOverlayPath('/byom-page/users/jane/')).toEqual({ path: '/byom-page/users/jane', plain: false })
+    expect(paths.parseOverlayPath('/byom-page/')).toEqual({ path: '/byom-page', plain: false })
+    expect(paths.parseOverlayPath('/byom-page/users/jane//').status).toBe(400)
+  })
+
+  test('handles the .plain.html and .md suffixes', () => {
+    expect(paths.parseOverlayPath('/byom-page/users/jane.plain.html')).toEqual({ path: '/byom-page/users/jane', plain: true })
+    expect(paths.parseOverlayPath('/byom-page/users/jane.md')).toEqual({
+      status: 404,
+      message: '/byom-page/users/jane.md is not served; overlay pages are HTML only'
+    })
+  })
+})
+
+describe('path rules', () => {
+  test('allows every overlay path by default', () => {
+    const rules = paths.resolvePathRules({})
+    expect(paths.isPathAllowed('/byom-page', rules)).toBe(true)
+    expect(paths.isPathAllowed('/byom-page/users/jane', rules)).toBe(true)
+  })
+
+  test('reads comma-separated lists, arrays and JSON arrays', () => {
+    const rules = paths.resolvePathRules({
+      ALLOWED_PATHS: '/byom-page/users/**, /byom-page/teams/*',
+      DENIED_PATHS: '["/byom-page/users/test-*"]'
+    })
+    expect(paths.isPathAllowed('/byom-page/users/jane', rules)).toBe(true)
+    expect(paths.isPathAllowed('/byom-page/users/jane/extra', rules)).toBe(true)
+    expect(paths.isPathAllowed('/byom-page/teams/platform', rules)).toBe(true)
+    expect(paths.isPathAllowed('/byom-page/teams/platform/extra', rules)).toBe(false)
+    expect(paths.isPathAllowed('/byom-page/countries/de', rules)).toBe(false)
+    expect(paths.isPathAllowed('/byom-page/users/test-1', rules)).toBe(false)
+
+    const denyOnly = paths.resolvePathRules({ DENIED_PATHS: ['/byom-page/directory/**'] })
+    expect(paths.isPathAllowed('/byom-page/directory/page-2', denyOnly)).toBe(false)
+    expect(paths.isPathAllowed('/byom-page/users/jane', denyOnly)).toBe(true)
+  })
+
+  test('rejects malformed JSON arrays', () => {
+    expect(() => paths.resolvePathRules({ ALLOWED_PATHS: '[/byom-page/**' })).toThrow('ALLOWED_PATHS is not a valid JSON array')
+    expect(() => paths.resolvePathRules({ DENIED_PATHS: '["/byom-page/x"' })).toThrow('DENIED_PATHS is not a valid JSON array')
+  })
+
+  test('matches patterns literally apart from wildcards', () => {
+    expect(paths.compileGlob('/byom-page/a.b').test('/byom-page/aXb')).toBe(false)
+    expect(paths.compileGlob('/byom-page/*').test('/byom-page/a/b')).toBe(false)
+    expect(paths.compileGlob('/byom-page/**').test('/byom-page/a/b')).toBe(true)
+  })
+})
+
+describe('toPlainHtml', () => {
+  test('keeps the content of the main element', () => {
+    expect(paths.toPlainHtml('<html><body><header></header><main>\n  <div>Jane</div>\n</main></body></html>')).toBe('<div>Jane</div>\n')
+    expect(paths.toPlainHtml('<div>no main</div>')).toBe('<div>no main</div>')
+  })
+})
@@ -0,0 +1,115 @@
+/* 
+* <license header>
+*/
+
+const routes = require('./../actions/data-provider/routes.js')
+const helpers = require('./../actions/data-provider/helpers.js')
+const { renderTemplate } = require('./../actions/data-provider/render.js')
+
+describe('resolveRoutes', () => {
+  test('uses the default route table', () => {
+    expect(routes.resolveRoutes({})).toBe(routes.DEFAULT_ROUTES)
+    expect(routes.resolveRoutes({ ROUTES: '' })).toBe(routes.DEFAULT_ROUTES)
+  })
+
+  test('lists the first segments of the default routes as reserved', () => {
+    expect(routes.RESERVED_SEGMENTS).toEqual(['users', 'directory', 'teams', 'rosters', 'countries'])
+  })
+
+  test('accepts arrays and JSON strings', () => {
+    const table = [{ pattern: '/byom-page/people/:id', template: 'user-profile' }]
+    expect(routes.resolveRoutes({ ROUTES: table })).toBe(table)
+    expect(routes.resolveRoutes({ ROUTES: JSON.stringify(table) })).toEqual(table)
+  })
+
+  test('rejects routes without a pattern or with an unsafe template name', () => {
+    expect(() => routes.resolveRoutes({ ROUTES: [{ template: 'team' }] })).toThrow('invalid route at index 0')
+    expect(() => routes.resolveRoutes({ ROUTES: [{ pattern: '/byom-page/x/:id', template: '../secrets' }] })).toThrow('invalid route at index 0')
+  })
+
+  test('rejects malformed JSON as a configuration error', () => {
+    expect(() => routes.resolveRoutes({ ROUTES: '[{"pattern":' })).toThrow(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      message: expect.stringContaining('ROUTES is not valid JSON')
+    }))
+    expect(() => routes.resolveRoutes({ ROUTES: '{}' })).toThrow('ROUTES is not a JSON array')
+    expect(() => routes.resolveRoutes({ ROUTES: [{ template: 'team' }] })).toThrow(expect.objectContaining({ code: 'CONFIG_INVALID' }))
+  })
+})
+
+describe('matchRoute', () => {
+  test('matches the default page types', () => {
+    expect(routes.matchRoute('/byom-page/users/jane', routes.DEFAULT_ROUTES)).toEqual(expect.objectContaining({
+      params: { id: 'jane' },
+      id: 'jane'
+    }))
+    expect(routes.matchRoute('/byom-page/teams/platform/', routes.DEFAULT_ROUTES).route.template).toBe('team')
+    expect(routes.matchRoute('/byom-page/countries/fr', routes.DEFAULT_ROUTES)).toEqual(expect.objectContaining({
+      params: { code: 'fr' },
+      id: 'fr'
+    }))
+  })
+
+  test('does not match other paths', () => {
+    expect(routes.matchRoute('/byom-page/1731000000000', routes.DEFAULT_ROUTES)).toBeNull()
+    expect(routes.matchRoute('/byom-page/users/jane/extra', routes.DEFAULT_ROUTES)).toBeNull()
+  })
+
+  test('escapes literal pattern segments', () => {
+    const table = [{ pattern: '/byom-page/v1.0/:id', template: 'team' }]
+    expect(routes.matchRoute('/byom-page/v1.0/a', table)).not.toBeNull()
+    expect(routes.matchRoute('/byom-page/v1x0/a', table)).toBeNull()
+  })
+
+  test('matches parameters that follow a literal prefix within a segment', () => {
+    expect(routes.matchRoute('/byom-page/directory/page-3', routes.DEFAULT_ROUTES)).toEqual(expect.objectContaining({
+      params: { page: '3' }
+    }))
+    expect(routes.matchRoute('/byom-page/directory/country/france/page-2', routes.DEFAULT_ROUTES).params).toEqual({ country: 'france', page: '2' })
+    expect(routes.matchRoute('/byom-page/directory', routes.DEFAULT_ROUTES).route.template).toBe('directory')
+    expect(routes.matchRoute('/byom-page/directory/3', routes.DEFAULT_ROUTES)).toBeNull()
+  })
+
+  test('matches the group pages', () => {
+    expect(routes.matchRoute('/byom-page/rosters/platform/page-2', routes.DEFAULT_ROUTES)).toEqual(expect.objectContaining({
+      params: { id: 'platform', page: '2' },
+      id: 'platform'
+    }))
+    expect(routes.matchRoute('/byom-page/countries/fr/cohort', routes.DEFAULT_ROUTES).route.template).toBe('cohort')
+    expect(routes.matchRoute('/byom-page/countries/fr', routes.DEFAULT_ROUTES).route.template).toBe('country')
+  })
+})
+
+describe('helpers', () => {
+  test('formatDate', () => {
+    expect(helpers.formatDate('1989-01-01T00:00:00.000Z')).toBe('January 1, 1989')
+    expect(helpers.formatDate('2021-09-15', 'medium')).toBe('Sep 15, 2021')
+    expect(helpers.formatDate('soon')).toBe('soon')
+    expect(helpers.formatDate(undefined)).toBe('')
+  })
+
+  test('formatNumber', () => {
+    expect(helpers.formatNumber(83200000)).toBe('83,200,000')
+    expect(helpers.formatNumber('3.14159', 2)).toBe('3.14')
+    expect(helpers.formatNumber('n/a')).toBe('n/a')
+  })
+
+  test('countryName', () => {
+    expect(helpers.countryName('GB')).toBe('United Kingdom')
+    expect(helpers.countryName('de')).toBe('Germany')
+    expect(helpers.countryName('Atlantis')).toBe('Atlantis')
+  })
+})
+
+describe('renderTemplate', () => {
+  test('renders the shared head and hero partials', () => {
+    const html = renderTemplate('country', {
+      record: { code: 'DE', capital: 'Berlin', population: 83200000, area: 357588, languages: ['German'], image: 'https://example.com/de.jpg' }
+    })
+    expect(html).toContain('<title>Germany - Country Profile</title>')
+    expect(html).toContain('<meta name="description" content="Facts about Germany: capital Berlin, population 83,200,000.">')
+    expect(html).toContain('<meta property="og:type" content="website">')
+    expect(html).toContain('<h1>Germany</h1>')
+    expect(html).toContain('<li>Area: 357,588 km²</li>')
+  })
+})
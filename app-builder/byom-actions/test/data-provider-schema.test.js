@@ -0,0 +1,122 @@
+/*
+* <license header>
+*/
+
+const { resolveSchemas, validateRecord, describeErrors } = require('./../actions/data-provider/sources/schema.js')
+const { createDataSource } = require('./../actions/data-provider/sources/index.js')
+
+describe('validateRecord', () => {
+  test('reports every failing field with its policy', () => {
+    const { valid, errors } = validateRecord({ name: { first: 'Jane' }, age: 'old' }, {
+      'name.first': { type: 'string', policy: 'required' },
+      'name.last': { type: 'string', policy: 'required' },
+      age: { type: 'number' }
+    })
+    expect(valid).toBe(false)
+    expect(errors).toEqual([
+      { field: 'name.last', policy: 'required', message: 'is missing' },
+      { field: 'age', policy: 'optional', message: 'expected number, got "old"' }
+    ])
+    expect(describeErrors(errors)).toBe('name.last is missing (required); age expected number, got "old" (optional)')
+  })
+
+  test('applies defaults to optional fields and removes mistyped ones', () => {
+    const record = { tags: 'a,b', nested: 'text' }
+    const result = validateRecord(record, {
+      tags: { type: 'array', default: [] },
+      'nested.value': { type: 'number', default: 0 },
+      bio: { type: 'string' },
+      'street.name': { type: 'string', default: '' }
+    })
+    expect(result.valid).toBe(true)
+    expect(result.record).toEqual({ tags: [], nested: { value: 0 }, street: { name: '' } })
+    expect(record).toEqual({ tags: 'a,b', nested: 'text' })
+  })
+
+  test('coerces numeric strings and numbers', () => {
+    const { record } = validateRecord({ population: '83200000', postcode: 10115 }, {
+      population: { type: 'number' },
+      postcode: { type: 'string' }
+    })
+    expect(record).toEqual({ population: 83200000, postcode: '10115' })
+  })
+
+  test('derives fields from other fields', () => {
+    const { record, errors } = validateRecord({ first: 'Jane', last: 'Roe', email: 'jane@example.com' }, {
+      fullName: { policy: 'derived', from: ['first', 'middle', 'last'] },
+      login: { policy: 'derived', from: 'email' },
+      username: { policy: 'derived', derive: (user) => user.email.split('@')[0] },
+      initials: { policy: 'derived', derive: (user) => user.missing.value, default: '?' }
+    })
+    expect(record).toEqual(expect.objectContaining({
+      fullName: 'Jane Roe',
+      login: 'jane@example.com',
+      username: 'jane',
+      initials: '?'
+    }))
+    expect(errors).toEqual([{ field: 'initials', policy: 'derived', message: 'is missing' }])
+  })
+
+  test('keeps present values of derived fields', () => {
+    expect(validateRecord({ fullName: 'J. Roe', first: 'Jane' }, { fullName: { policy: 'derived', from: 'first' } }).record.fullName)
+      .toBe('J. Roe')
+  })
+
+  test('validates dates', () => {
+    const { errors } = validateRecord({ a: '2024-01-01', b: 'soon', c: {} }, {
+      a: { type: 'date' },
+      b: { type: 'date' },
+      c: { type: 'date' }
+    })
+    expect(errors.map((error) => error.field)).toEqual(['b', 'c'])
+  })
+
+  test('rejects unknown types and policies', () => {
+    expect(() => validateRecord({}, { a: { type: 'uuid' } })).toThrow("invalid schema rule for 'a'")
+    expect(() => validateRecord({}, { a: { policy: 'sometimes' } })).toThrow("invalid schema rule for 'a'")
+  })
+})
+
+describe('resolveSchemas', () => {
+  test('extends the declared schemas with the configured ones', () => {
+    const source = createDataSource({ type: 'randomuser' })
+    const schemas = resolveSchemas(source, { schema: { raw: { email: { type: 'string', policy: 'required' } } } })
+    expect(schemas.raw['name.first']).toEqual({ type: 'string', policy: 'required' })
+    expect(schemas.raw.email).toEqual({ type: 'string', policy: 'required' })
+    expect(schemas.view.fullName).toEqual({ type: 'string', policy: 'required' })
+  })
+
+  test('is empty for sources without schemas', () => {
+    expect(resolveSchemas(createDataSource({ type: 'static', file: 'users.json' }), {})).toEqual({ raw: {}, view: {} })
+  })
+})
+
+describe('randomuser schema', () => {
+  const source = createDataSource({ type: 'randomuser' })
+  const { raw, view } = resolveSchemas(source)
+
+  test('turns a minimal API user into a complete view model', () => {
+    const checked = validateRecord({ name: { first: 'Jane', last: 'Roe' }, login: { uuid: 'abc' }, email: 'jane@example.com' }, raw)
+    expect(checked.valid).toBe(true)
+    const viewModel = source.toViewModel(checked.record)
+    expect(viewModel).toEqual(expect.objectContaining({
+      fullName: 'Jane Roe',
+      username: 'jane',
+      address: '',
+      dob: '',
+      age: null,
+      idName: 'ID',
+      timezone: ''
+    }))
+    expect(validateRecord(viewModel, view).valid).toBe(true)
+  })
+
+  test('derives the age from the date of birth', () => {
+    const { record } = validateRecord({
+      name: { first: 'Jane', last: 'Roe' },
+      login: { uuid: 'abc', username: 'jane' },
+      dob: { date: '1990-06-15T00:00:00.000Z' }
+    }, raw)
+    expect(record.dob.age).toBeGreaterThanOrEqual(35)
+  })
+})
@@ -0,0 +1,37 @@
+/* 
+* <license header>
+*/
+
+const seed = require('./../actions/data-provider/seed.js')
+
+describe('seedFromPath', () => {
+  test('is stable per path and differs between paths', () => {
+    expect(seed.seedFromPath('/byom-page/1')).toBe(seed.seedFromPath('/byom-page/1'))
+    expect(seed.seedFromPath('/byom-page/1')).not.toBe(seed.seedFromPath('/byom-page/2'))
+    expect(seed.seedFromPath('/byom-page/1')).toMatch(/^[0-9a-f]{16}$/)
+  })
+})
+
+describe('createRandom', () => {
+  test('returns the same sequence for the same seed', () => {
+    const a = seed.createRandom('45cd68df5378cd65')
+    const b = seed.createRandom('45cd68df5378cd65')
+    const sequence = [a(), a(), a()]
+    expect([b(), b(), b()]).toEqual(sequence)
+    sequence.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    })
+  })
+
+  test('returns different sequences for different seeds', () => {
+    expect(seed.createRandom('00000001')()).not.toBe(seed.createRandom('00000002')())
+  })
+})
+
+describe('seedToUuid', () => {
+  test('formats a stable version 4 UUID', () => {
+    expect(seed.seedToUuid('abc')).toBe(seed.seedToUuid('abc'))
+    expect(seed.seedToUuid('abc')).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+  })
+})
@@ -0,0 +1,246 @@
+/* 
+* <license header>
+*/
+
+jest.mock('node-fetch')
+const fetch = require('node-fetch')
+const sources = require('./../actions/data-provider/sources')
+const { DELETED_RECORD, readPath, mapRecord, isDeleted } = require('./../actions/data-provider/sources/mapping.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+
+const jsonResponse = (status, payload) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: '',
+  json: () => Promise.resolve(payload)
+})
+
+beforeEach(() => {
+  fetch.mockReset()
+  Object.values(logger).forEach(fn => fn.mockReset())
+})
+
+describe('resolveDataSources', () => {
+  test('defaults to randomuser.me for all overlay pages', () => {
+    expect(sources.resolveDataSources({})).toEqual(sources.DEFAULT_DATA_SOURCES)
+    expect(sources.resolveDataSources({ DATA_SOURCES: '' })).toEqual(sources.DEFAULT_DATA_SOURCES)
+  })
+
+  test('accepts objects and JSON strings', () => {
+    const config = { '/byom-page/team/': { type: 'static', file: 'users.json' } }
+    expect(sources.resolveDataSources({ DATA_SOURCES: config })).toBe(config)
+    expect(sources.resolveDataSources({ DATA_SOURCES: JSON.stringify(config) })).toEqual(config)
+  })
+
+  test('rejects malformed JSON as a configuration error', () => {
+    expect(() => sources.resolveDataSources({ DATA_SOURCES: '{"/byom-page/":' })).toThrow(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      message: expect.stringContaining('DATA_SOURCES is not valid JSON')
+    }))
+    expect(() => sources.resolveDataSources({ DATA_SOURCES: '["randomuser"]' })).toThrow('DATA_SOURCES is not a JSON object')
+  })
+})
+
+describe('selectDataSource', () => {
+  const config = {
+    '/byom-page/': { type: 'randomuser' },
+    '/byom-page/team': { type: 'static', file: 'users.json' },
+    '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}' }
+  }
+
+  test('picks the longest matching prefix and derives the record id', () => {
+    expect(sources.selectDataSource('/byom-page/team/jane-roe', config)).toEqual(expect.objectContaining({ prefix: '/byom-page/team', id: 'jane-roe' }))
+    expect(sources.selectDataSource('/byom-page/crm/42', config).source.type).toBe('rest')
+    expect(sources.selectDataSource('/byom-page/teammate', config)).toEqual(expect.objectContaining({ prefix: '/byom-page/', id: 'teammate' }))
+    expect(sources.selectDataSource('/byom-page', config).source.type).toBe('randomuser')
+  })
+
+  test('returns null when no prefix matches', () => {
+    expect(sources.selectDataSource('/other/1', { '/byom-page/': { type: 'randomuser' } })).toBeNull()
+  })
+
+  test('rejects unknown types and incomplete configurations', () => {
+    expect(() => sources.createDataSource({ type: 'ftp' })).toThrow("unknown data source type 'ftp'")
+    expect(() => sources.createDataSource({ type: 'static' })).toThrow("static data source needs a 'file'")
+    expect(() => sources.createDataSource({ type: 'rest' })).toThrow("rest data source needs a 'url'")
+  })
+})
+
+describe('mapping', () => {
+  test('reads dotted paths', () => {
+    expect(readPath({ a: { b: [{ c: 1 }] } }, 'a.b.0.c')).toBe(1)
+    expect(readPath({ a: null }, 'a.b')).toBeUndefined()
+  })
+
+  test('maps records to view models', () => {
+    const record = { name: { first: 'Jane', last: 'Roe' }, contact: { email: 'jane@example.com' } }
+    expect(mapRecord(record, { fullName: ['name.first', 'name.last'], email: 'contact.email', phone: 'contact.phone' })).toEqual({
+      fullName: 'Jane Roe',
+      email: 'jane@example.com'
+    })
+    expect(mapRecord(record)).toEqual(record)
+  })
+
+  test('detects records marked as deleted', () => {
+    expect(isDeleted({ meta: { deletedAt: '2024-05-01' } }, 'meta.deletedAt')).toBe(true)
+    expect(isDeleted({ deleted: 'false' }, 'deleted')).toBe(false)
+    expect(isDeleted({ deleted: 0 }, 'deleted')).toBe(false)
+    expect(isDeleted({ deleted: true })).toBe(false)
+  })
+})
+
+describe('randomuser source', () => {
+  const source = sources.createDataSource({ type: 'randomuser' })
+
+  test('fetches a user with the nationality filter', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { results: [{ login: { uuid: 'u-1' } }] }))
+    const record = await source.fetchRecord({ nationality: 'GB' }, logger)
+    expect(fetch).toHaveBeenCalledWith('https://randomuser.me/api/?nat=GB')
+    expect(record).toEqual({ login: { uuid: 'u-1' } })
+  })
+
+  test('passes the page seed to the API', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { results: [{ login: { uuid: 'u-1' } }] }))
+    await source.fetchRecord({ seed: 'abc123', nationality: 'US,GB' }, logger)
+    expect(fetch).toHaveBeenCalledWith('https://randomuser.me/api/?seed=abc123&nat=US,GB')
+  })
+
+  test('returns null and generates a fallback from the seed when the API fails', async () => {
+    fetch.mockResolvedValue(jsonResponse(503, {}))
+    expect(await source.fetchRecord({ seed: 'abc123' }, logger)).toBeNull()
+    const user = source.fallback({ seed: 'abc123' })
+    expect(source.fallback({ seed: 'abc123' })).toEqual(user)
+    expect(source.fallback({ seed: 'def456' }).uuid).not.toBe(user.uuid)
+    expect(user.uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+  })
+
+  test('generates fallback users of the requested nationality', () => {
+    const user = source.fallback({ seed: 'abc123', nationality: 'de,fr' })
+    expect(user).toEqual(expect.objectContaining({ nationality: 'DE', country: 'Germany' }))
+    expect(user.phone).toMatch(/^0221-\d{7}$/)
+  })
+})
+
+describe('randomuser group source', () => {
+  const { seedFromPath } = require('./../actions/data-provider/seed.js')
+  const apiUser = (uuid) => ({ name: { first: 'Ann', last: uuid }, login: { uuid }, location: { country: 'France' } })
+  const cohort = sources.createDataSource({ type: 'randomuser', results: 3, nationalityParam: 'code' })
+
+  test('requests N users with the group seed and page', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { results: [apiUser('u-1'), apiUser('u-2')] }))
+    const context = { path: '/byom-page/countries/fr/cohort/page-2', params: { code: 'fr', page: '2' } }
+    const record = await cohort.fetchRecord(context, logger)
+    const seed = seedFromPath('/byom-page/countries/fr/cohort')
+    expect(fetch).toHaveBeenCalledWith(`https://randomuser.me/api/?seed=${seed}&results=3&page=2&nat=FR`)
+    expect(record.page).toBe(2)
+    expect(record.members.map((user) => user.login.uuid)).toEqual(['u-1', 'u-2'])
+    expect(cohort.toViewModel(record, context)).toEqual(expect.objectContaining({ count: 2, page: 2, nationality: 'FR' }))
+    expect(cohort.toViewModel(record, context).members[0]).toEqual(expect.objectContaining({ fullName: 'Ann u-1', uuid: 'u-1' }))
+  })
+
+  test('leaves invalid users out of the group', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { results: [apiUser('u-1'), { name: { first: 'No' } }] }))
+    const record = await cohort.fetchRecord({ path: '/byom-page/countries/fr/cohort', params: { code: 'fr' } }, logger)
+    expect(record.members).toHaveLength(1)
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Left out invalid group member 1 of /byom-page/countries/fr/cohort'))
+  })
+
+  test('has no group for unknown nationalities or invalid pages', async () => {
+    expect(await cohort.fetchRecord({ path: '/byom-page/countries/xx/cohort', params: { code: 'xx' } }, logger)).toBeNull()
+    expect(await cohort.fetchRecord({ path: '/byom-page/countries/fr/cohort/page-0', params: { code: 'fr', page: '0' } }, logger)).toBeNull()
+    expect(cohort.fallback({ path: '/byom-page/countries/xx/cohort', params: { code: 'xx' } })).toBeNull()
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('generates a stable fallback group from the seed', () => {
+    const context = { path: '/byom-page/countries/de/cohort', params: { code: 'de' } }
+    const group = cohort.fallback(context)
+    expect(group).toEqual(cohort.fallback(context))
+    expect(group.members).toHaveLength(3)
+    expect(new Set(group.members.map((user) => user.uuid)).size).toBe(3)
+    expect(group.members.every((user) => user.nationality === 'DE')).toBe(true)
+  })
+
+  test('generates a different fallback user for every member', () => {
+    const group = cohort.fallback({ path: '/byom-page/countries/fr/cohort', params: { code: 'fr' } })
+    const distinct = (field) => new Set(group.members.map((user) => user[field])).size
+    expect(distinct('fullName')).toBe(group.members.length)
+    expect(distinct('username')).toBe(group.members.length)
+    expect(distinct('uuid')).toBe(group.members.length)
+  })
+
+  test('caps the number of users', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { results: [apiUser('u-1')] }))
+    await sources.createDataSource({ type: 'randomuser', results: 10000 }).fetchRecord({ path: '/byom-page/rosters/a', params: {}, seed: 's' }, logger)
+    expect(fetch.mock.calls[0][0]).toContain('results=100&')
+  })
+})
+
+describe('static source', () => {
+  const source = sources.createDataSource({ type: 'static', file: '../../package.json' })
+
+  test('looks records up by id in the bundled file', async () => {
+    const team = sources.createDataSource({ type: 'static', file: 'users.json', mapping: { fullName: 'fullName', city: 'city' } })
+    const record = await team.fetchRecord({ id: 'jane-roe' }, logger)
+    expect(team.toViewModel(record)).toEqual({ fullName: 'Ms Jane Roe', city: 'Brighton' })
+    expect(await team.fetchRecord({ id: 'nobody' }, logger)).toBeNull()
+  })
+
+  test('reports records marked as deleted', async () => {
+    const team = sources.createDataSource({ type: 'static', file: 'users.json', deletedField: 'city' })
+    expect(await team.fetchRecord({ id: 'jane-roe' }, logger)).toBe(DELETED_RECORD)
+  })
+
+  test('ignores prototype keys in object files', async () => {
+    const fs = require('fs')
+    jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify({ 'jane-roe': { fullName: 'Ms Jane Roe' } }))
+    const team = sources.createDataSource({ type: 'static', file: 'team.json' })
+    expect(await team.fetchRecord({ id: 'jane-roe' }, logger)).toEqual({ fullName: 'Ms Jane Roe' })
+    for (const id of ['constructor', '__proto__', 'toString']) {
+      expect(await team.fetchRecord({ id }, logger)).toBeNull()
+    }
+    fs.readFileSync.mockRestore()
+  })
+
+  test('only reads files from the data directory', async () => {
+    await expect(source.fetchRecord({ id: 'x' }, logger)).rejects.toThrow('ENOENT')
+  })
+})
+
+describe('rest source', () => {
+  const source = sources.createDataSource({
+    type: 'rest',
+    url: 'https://crm.example.com/people/{id}?country={nationality}',
+    headers: { 'x-api-key': 'secret' },
+    recordPath: 'data',
+    mapping: { fullName: 'displayName', email: 'mail' }
+  })
+
+  test('fetches and maps a record', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, { data: { displayName: 'Jane Roe', mail: 'jane@example.com' } }))
+    const record = await source.fetchRecord({ id: 'jane roe', nationality: 'GB' }, logger)
+    expect(fetch).toHaveBeenCalledWith('https://crm.example.com/people/jane%20roe?country=GB', {
+      headers: { accept: 'application/json', 'x-api-key': 'secret' }
+    })
+    expect(source.toViewModel(record)).toEqual({ fullName: 'Jane Roe', email: 'jane@example.com' })
+  })
+
+  test('returns null for unknown records and throws on upstream errors', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(404, {}))
+    expect(await source.fetchRecord({ id: '1' }, logger)).toBeNull()
+    fetch.mockResolvedValueOnce(jsonResponse(500, {}))
+    await expect(source.fetchRecord({ id: '1' }, logger)).rejects.toThrow('REST data source responded with 500')
+  })
+
+  test('reports records deleted upstream', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(410, {}))
+    expect(await source.fetchRecord({ id: '1' }, logger)).toBe(DELETED_RECORD)
+
+    const flagged = sources.createDataSource({ type: 'rest', url: 'https://crm.example.com/people/{id}', deletedField: 'status.deleted' })
+    fetch.mockResolvedValueOnce(jsonResponse(200, { name: 'Jane Roe', status: { deleted: true } }))
+    expect(await flagged.fetchRecord({ id: '1' }, logger)).toBe(DELETED_RECORD)
+    fetch.mockResolvedValueOnce(jsonResponse(200, { name: 'Jane Roe', status: { deleted: false } }))
+    expect(await flagged.fetchRecord({ id: '1' }, logger)).toEqual({ name: 'Jane Roe', status: { deleted: false } })
+  })
+})
@@ -0,0 +1,88 @@
+/*
+* <license header>
+*/
+
+const { buildStructuredData } = require('./../actions/data-provider/structured-data.js')
+const { negotiateMediaType } = require('./../actions/data-provider/negotiation.js')
+const { jsonLd } = require('./../actions/data-provider/helpers.js')
+const { renderTemplate } = require('./../actions/data-provider/render.js')
+
+describe('buildStructuredData', () => {
+  test('builds a ProfilePage around the Person of a user profile', () => {
+    const structuredData = buildStructuredData('user-profile', {
+      fullName: 'Ms Jane Roe',
+      username: 'janeroe',
+      email: 'jane@example.com',
+      uuid: 'abc',
+      postcode: 10115,
+      city: 'Berlin',
+      timestamp: '2024-01-01T00:00:00.000Z'
+    })
+    expect(structuredData).toEqual({
+      '@context': 'https://schema.org',
+      '@type': 'ProfilePage',
+      name: 'Ms Jane Roe - User Profile',
+      dateModified: '2024-01-01T00:00:00.000Z',
+      mainEntity: {
+        '@type': 'Person',
+        identifier: 'abc',
+        name: 'Ms Jane Roe',
+        alternateName: 'janeroe',
+        email: 'jane@example.com',
+        address: { '@type': 'PostalAddress', addressLocality: 'Berlin', postalCode: '10115' }
+      }
+    })
+  })
+
+  test('lists team members as Persons', () => {
+    const structuredData = buildStructuredData('team', {
+      id: 'platform',
+      name: 'Platform',
+      members: [{ name: 'Ada', role: 'Lead', country: 'GB' }]
+    })
+    expect(structuredData.member).toEqual([
+      { '@type': 'Person', name: 'Ada', jobTitle: 'Lead', nationality: { '@type': 'Country', name: 'United Kingdom' } }
+    ])
+  })
+
+  test('returns null for page types without structured data', () => {
+    expect(buildStructuredData('landing', { name: 'x' })).toBeNull()
+  })
+})
+
+describe('negotiateMediaType', () => {
+  test('defaults to HTML', () => {
+    expect(negotiateMediaType()).toBe('text/html')
+    expect(negotiateMediaType('')).toBe('text/html')
+    expect(negotiateMediaType('*/*')).toBe('text/html')
+    expect(negotiateMediaType('application/xml')).toBe('text/html')
+    expect(negotiateMediaType('application/json;q=0, text/html;q=0')).toBe('text/html')
+  })
+
+  test('picks JSON when it has the highest quality', () => {
+    expect(negotiateMediaType('application/json')).toBe('application/json')
+    expect(negotiateMediaType('Application/JSON; charset=utf-8')).toBe('application/json')
+    expect(negotiateMediaType('text/*;q=0.2, application/*;q=0.8')).toBe('application/json')
+    expect(negotiateMediaType('application/json;q=0.9, */*;q=1')).toBe('text/html')
+  })
+
+  test('uses the most specific matching range', () => {
+    expect(negotiateMediaType('*/*;q=0.9, text/html;q=0.1')).toBe('application/json')
+  })
+})
+
+describe('jsonLd helper', () => {
+  test('escapes characters that could end the script element', () => {
+    const serialized = jsonLd({ name: '</script><script>alert(1)</script>', note: 'a & b\u2028' })
+    expect(serialized).not.toMatch(/[<>&\u2028]/)
+    expect(JSON.parse(serialized)).toEqual({ name: '</script><script>alert(1)</script>', note: 'a & b\u2028' })
+  })
+
+  test('is rendered unescaped by the head-meta partial', () => {
+    const html = renderTemplate('country', {
+      record: { code: 'FR', capital: 'Paris' },
+      structuredData: { '@type': 'Country', name: 'Côte "d" <b>' }
+    })
+    expect(html).toContain('<script type="application/ld+json">{"@type":"Country","name":"Côte \\"d\\" \\u003cb\\u003e"}</script>')
+  })
+})
@@ -5,10 +5,13 @@
 jest.mock('@adobe/aio-sdk', () => ({
   Core: {
     Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
   }
 }))
 
-const { Core } = require('@adobe/aio-sdk')
+const { Core, State } = require('@adobe/aio-sdk')
 const mockLoggerInstance = {
   info: jest.fn(),
   debug: jest.fn(),
@@ -20,6 +23,11 @@ Core.Logger.mockReturnValue(mockLoggerInstance)
 jest.mock('node-fetch')
 const fetch = require('node-fetch')
 const action = require('./../actions/data-provider/index.js')
+const { seedFromPath } = require('./../actions/data-provider/seed.js')
+const { memoryCache } = require('./../actions/data-provider/cache.js')
+const { createMemoryStore } = require('./../actions/state.js')
+
+const userSeed = seedFromPath('/byom-page/user')
 
 const mockApiResponse = {
   results: [
@@ -92,6 +100,9 @@ beforeEach(() => {
   Core.Logger.mockClear()
   Object.values(mockLoggerInstance).forEach(fn => fn.mockReset())
   fetch.mockReset()
+  memoryCache.clear()
+  State.init.mockReset()
+  State.init.mockResolvedValue(createMemoryStore())
   
   // Default mock for API fetch - successful response
   fetch.mockResolvedValue({
@@ -118,11 +129,125 @@ describe('data-provider', () => {
     expect(response).toEqual({
       error: {
         statusCode: 404,
-        body: { error: '/invalid-path is not an overlay path' }
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 404, detail: '/invalid-path is not an overlay path' })
+      }
+    })
+  })
+
+  test('should log and return the correlation ID the webhook forwards', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { 'x-content-source-correlation-id': 'publish-1' }
+    })
+    expect(response.headers['x-correlation-id']).toBe('publish-1')
+    expect(mockLoggerInstance.info).toHaveBeenCalledWith('[publish-1] Invoked data-provider action')
+
+    const missing = await action.main({
+      ...fakeParams,
+      __ow_path: '/invalid-path',
+      __ow_headers: { 'x-content-source-correlation-id': 'publish-1' }
+    })
+    expect(missing.error.body).toEqual(expect.objectContaining({ code: 'NOT_FOUND', correlationId: 'publish-1', instance: '/invalid-path' }))
+  })
+
+  test('should return 504 when the data source times out', async () => {
+    fetch.mockRejectedValue(Object.assign(new Error('network timeout'), { type: 'request-timeout' }))
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      DATA_SOURCES: { '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}' } }
+    })
+    expect(response.error.statusCode).toBe(504)
+    expect(response.error.body.code).toBe('UPSTREAM_TIMEOUT')
+  })
+
+  test('should reject paths that only start like the overlay root', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-pageX' })
+    expect(response.error.statusCode).toBe(404)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('should return 400 for malformed overlay paths', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/users/../admin' })
+    expect(response).toEqual({
+      error: {
+        statusCode: 400,
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 400, detail: "invalid segment '..' in overlay path /byom-page/users/../admin" })
       }
     })
   })
 
+  test('should serve paths with a trailing slash as the same page', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user/' })
+    expect(response.statusCode).toBe(200)
+    expect(fetch.mock.calls[0][0]).toContain(`seed=${userSeed}`)
+  })
+
+  test('should serve the page content only for .plain.html', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user.plain.html' })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain('John Doe')
+    expect(response.body).not.toContain('<head>')
+    expect(response.body).not.toContain('<main')
+    expect(fetch.mock.calls[0][0]).toContain(`seed=${userSeed}`)
+  })
+
+  test('should only serve paths the allow and deny patterns permit', async () => {
+    const params = { ...fakeParams, ALLOWED_PATHS: '/byom-page/users/*', DENIED_PATHS: '/byom-page/users/test-*' }
+    expect((await action.main({ ...params, __ow_path: '/byom-page/users/jane' })).statusCode).toBe(200)
+    expect((await action.main({ ...params, __ow_path: '/byom-page/de/users/jane' })).statusCode).toBe(200)
+    expect(await action.main({ ...params, __ow_path: '/byom-page/users/test-1' })).toEqual({
+      error: {
+        statusCode: 404,
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 404, detail: '/byom-page/users/test-1 is not served' })
+      }
+    })
+    expect((await action.main({ ...params, __ow_path: '/byom-page/teams/platform' })).error.statusCode).toBe(404)
+  })
+
+  test('should return a configuration problem for malformed path patterns', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/users/jane', ALLOWED_PATHS: '[/byom-page/**' })
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body).toEqual(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      detail: expect.stringContaining('ALLOWED_PATHS is not a valid JSON array')
+    }))
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('should return a configuration problem for malformed URL hosts', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/users/jane', ALLOWED_URL_HOSTS: '["randomuser.me"' })
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body).toEqual(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      detail: expect.stringContaining('ALLOWED_URL_HOSTS is not a valid JSON array')
+    }))
+  })
+
+  test('should return a configuration problem for malformed data sources', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/1731000000000', DATA_SOURCES: '{"/byom-page/":' })
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body).toEqual(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      detail: expect.stringContaining('DATA_SOURCES is not valid JSON')
+    }))
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('should return a configuration problem for malformed routes', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/users/jane', ROUTES: '[{"pattern":' })
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body).toEqual(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      detail: expect.stringContaining('ROUTES is not valid JSON')
+    }))
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
   test('should return HTML content with correct status code for valid path', async () => {
     const validParams = { ...fakeParams, __ow_path: '/byom-page/user' }
     const response = await action.main(validParams)
@@ -185,7 +310,7 @@ describe('data-provider', () => {
   test('should fetch and render API user data', async () => {
     const validParams = { ...fakeParams, __ow_path: '/byom-page/user' }
     const response = await action.main(validParams)
-    expect(fetch).toHaveBeenCalledWith('https://randomuser.me/api/')
+    expect(fetch).toHaveBeenCalledWith(`https://randomuser.me/api/?seed=${userSeed}`)
     expect(response.body).toContain('Mr John Doe')
     expect(response.body).toContain('San Francisco')
     expect(response.body).toContain('john.doe@example.com')
@@ -226,7 +351,7 @@ describe('data-provider', () => {
       }
     }
     const response = await action.main(validParams)
-    expect(fetch).toHaveBeenCalledWith('https://randomuser.me/api/')
+    expect(fetch).toHaveBeenCalledWith(`https://randomuser.me/api/?seed=${userSeed}`)
     expect(response.statusCode).toBe(200)
     expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('Invalid nationality format'))
   })
@@ -241,11 +366,691 @@ describe('data-provider', () => {
     const validParams = { ...fakeParams, __ow_path: '/byom-page/user' }
     const response = await action.main(validParams)
     expect(response.statusCode).toBe(200)
-    expect(response.body).toContain('John Doe')
-    expect(response.body).toContain('johndoe')
+    expect(response.body).toContain('class="user-profile"')
+    expect(response.body).toMatch(/<meta name="user-id" content="[0-9a-f-]{36}">/)
     expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to fetch from Random User API'))
   })
 
+  test('should render the same fallback user for every render of a path', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' })
+    const userId = (body) => /<meta name="user-id" content="([^"]+)">/.exec(body)[1]
+
+    const first = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const second = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const other = await action.main({ ...fakeParams, __ow_path: '/byom-page/other-user' })
+
+    expect(userId(second.body)).toBe(userId(first.body))
+    expect(userId(other.body)).not.toBe(userId(first.body))
+  })
+
+  test('should pass the path seed and nationality to the Random User API', async () => {
+    await action.main({ ...fakeParams, __ow_path: '/byom-page/user', __ow_headers: { 'x-content-source-location': 'GB' } })
+    expect(fetch).toHaveBeenCalledWith(`https://randomuser.me/api/?seed=${userSeed}&nat=GB`)
+  })
+
+  test('should render records of a configured static data source', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/team/jane-roe',
+      DATA_SOURCES: JSON.stringify({ '/byom-page/team/': { type: 'static', file: 'users.json' } })
+    })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain('Ms Jane Roe')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('should return 404 for records a data source does not know', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/team/nobody',
+      DATA_SOURCES: { '/byom-page/team/': { type: 'static', file: 'users.json' } }
+    })
+    expect(response.error.statusCode).toBe(404)
+    expect(response.error.body.detail).toBe('no record found for /byom-page/team/nobody')
+  })
+
+  test('should render mapped records of a REST data source', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ name: 'Jane Roe', mail: 'jane@example.com' })
+    })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      DATA_SOURCES: { '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}', mapping: { fullName: 'name', email: 'mail' } } }
+    })
+    expect(fetch).toHaveBeenCalledWith('https://crm.example.com/people/42', expect.any(Object))
+    expect(response.body).toContain('<h1>Jane Roe</h1>')
+    expect(response.body).toContain('jane@example.com')
+  })
+
+  test('should mask secrets of upstream records in pages and JSON', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ name: 'Jane Roe', token: 'crm-access-42', note: 'call with Bearer a1b2c3d4e5f6g7h8' })
+    })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      __ow_headers: { accept: 'application/json' },
+      DATA_SOURCES: { '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}', mapping: { fullName: 'name', accessToken: 'token', note: 'note' } } }
+    })
+    expect(response.body.record).toEqual(expect.objectContaining({
+      fullName: 'Jane Roe',
+      accessToken: '<hidden>',
+      note: 'call with Bearer <hidden>'
+    }))
+    expect(JSON.stringify(Object.values(mockLoggerInstance).map(fn => fn.mock.calls))).not.toContain('crm-access-42')
+  })
+
+  test('should return 410 for records deleted upstream', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 410, json: () => Promise.resolve({}) })
+    const params = {
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      DATA_SOURCES: { '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}', mapping: { fullName: 'name' } } }
+    }
+    expect(await action.main(params)).toEqual({
+      error: {
+        statusCode: 410,
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 410, detail: '/byom-page/crm/42 was deleted upstream' })
+      }
+    })
+    // The deletion is cached
+    expect((await action.main(params)).error.statusCode).toBe(410)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('should return 410 for static records marked as deleted', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/team/jane-roe',
+      DATA_SOURCES: { '/byom-page/team/': { type: 'static', file: 'users.json', deletedField: 'city' } }
+    })
+    expect(response.error.statusCode).toBe(410)
+  })
+
+  test('should render team pages from the route table', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/teams/platform' })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain('<h1>Platform Team</h1>')
+    expect(response.body).toContain('class="cards"')
+    expect(response.body).toContain('United Kingdom · since Apr 1, 2019')
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('should render country pages from the route table', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/countries/de' })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain('<title>Germany - Country Profile</title>')
+    expect(response.body).toContain('Population: 83,200,000')
+  })
+
+  test('should render user pages from the route table', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/users/john' })
+    expect(fetch).toHaveBeenCalledWith(`https://randomuser.me/api/?seed=${seedFromPath('/byom-page/users/john')}`)
+    expect(response.body).toContain('class="user-profile"')
+    expect(response.body).toContain('Mr John Doe')
+  })
+
+  test('should use a custom route table', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/people/jane-roe',
+      ROUTES: [{ pattern: '/byom-page/people/:id', template: 'user-profile', source: { type: 'static', file: 'users.json' } }]
+    })
+    expect(response.body).toContain('<h1>Ms Jane Roe</h1>')
+  })
+
+  test('should return the same ETag for every render of an unchanged record', async () => {
+    const first = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const second = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(first.headers.ETag).toMatch(/^"[A-Za-z0-9_-]+"$/)
+    expect(second.headers.ETag).toBe(first.headers.ETag)
+    expect(first.headers['Last-Modified']).toBeUndefined()
+  })
+
+  test('should return 304 when If-None-Match matches', async () => {
+    const { headers } = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { 'if-none-match': headers.ETag }
+    })
+    expect(response).toEqual({
+      statusCode: 304,
+      headers: {
+        ETag: headers.ETag,
+        'Content-Language': 'en',
+        Vary: 'Accept, Accept-Language',
+        'x-byom-cache': 'hit',
+        'x-correlation-id': expect.any(String)
+      }
+    })
+  })
+
+  test('should send Last-Modified and honor If-Modified-Since for dated records', async () => {
+    const fresh = await action.main({ ...fakeParams, __ow_path: '/byom-page/countries/fr' })
+    expect(fresh.headers['Last-Modified']).toBe('Mon, 01 Jan 2024 00:00:00 GMT')
+    expect(fresh.body).toContain('<meta name="timestamp" content="2024-01-01T00:00:00.000Z">')
+
+    const unchanged = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/countries/fr',
+      __ow_headers: { 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' }
+    })
+    expect(unchanged.statusCode).toBe(304)
+
+    const stale = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/countries/fr',
+      __ow_headers: { 'if-modified-since': 'Sun, 31 Dec 2023 00:00:00 GMT' }
+    })
+    expect(stale.statusCode).toBe(200)
+  })
+
+  test('should take Last-Modified from REST responses', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: { get: (name) => (name === 'last-modified' ? 'Tue, 05 Mar 2024 10:00:00 GMT' : null) },
+      json: () => Promise.resolve({ name: 'Jane Roe' })
+    })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      DATA_SOURCES: { '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}', mapping: { fullName: 'name' } } }
+    })
+    expect(response.headers['Last-Modified']).toBe('Tue, 05 Mar 2024 10:00:00 GMT')
+  })
+
+  test('should serve cached records without calling the upstream again', async () => {
+    const first = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const second = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(first.headers['x-byom-cache']).toBe('miss')
+    expect(second.headers['x-byom-cache']).toBe('hit')
+    expect(second.body).toBe(first.body)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('should share cached records through state storage', async () => {
+    const store = createMemoryStore()
+    State.init.mockResolvedValue(store)
+    await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    // A cold container only has the state tier
+    memoryCache.clear()
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.headers['x-byom-cache']).toBe('hit')
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('should cache records per nationality', async () => {
+    await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { 'x-content-source-location': 'FR' }
+    })
+    expect(response.headers['x-byom-cache']).toBe('miss')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('should not cache fallback users', async () => {
+    fetch.mockRejectedValue(new Error('API Error'))
+    await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(mockApiResponse) })
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.headers['x-byom-cache']).toBe('miss')
+    expect(response.body).toContain('John Doe')
+  })
+
+  test('should honor the cache policy of a data source', async () => {
+    const params = {
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      DATA_SOURCES: { '/byom-page/': { type: 'randomuser', cache: { ttl: 0 } } }
+    }
+    await action.main(params)
+    const response = await action.main(params)
+    expect(response.headers['x-byom-cache']).toBe('miss')
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(State.init).not.toHaveBeenCalled()
+  })
+
+  test('should cache in memory only when state storage is unavailable', async () => {
+    State.init.mockRejectedValue(new Error('no credentials'))
+    await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.headers['x-byom-cache']).toBe('hit')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('State storage unavailable'))
+  })
+
+  test('should return the view model for Accept: application/json', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { accept: 'application/json' }
+    })
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['Content-Type']).toBe('application/json')
+    expect(response.headers.Vary).toBe('Accept, Accept-Language')
+    expect(response.body.record).toEqual(expect.objectContaining({
+      fullName: 'Mr John Doe',
+      email: 'john.doe@example.com',
+      path: '/byom-page/user'
+    }))
+    expect(response.body.route).toEqual({ path: '/byom-page/user', params: {} })
+    expect(response.body.structuredData['@type']).toBe('ProfilePage')
+  })
+
+  test('should prefer HTML unless JSON is acceptable with a higher quality', async () => {
+    const render = (accept) => action.main({ ...fakeParams, __ow_path: '/byom-page/user', __ow_headers: { accept } })
+    expect((await render('text/html,application/json')).headers['Content-Type']).toBe('text/html')
+    expect((await render('*/*')).headers['Content-Type']).toBe('text/html')
+    expect((await render('image/png')).headers['Content-Type']).toBe('text/html')
+    expect((await render('text/html;q=0.5, application/json')).headers['Content-Type']).toBe('application/json')
+  })
+
+  test('should give JSON and HTML responses their own ETags', async () => {
+    const html = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const json = await action.main({ ...fakeParams, __ow_path: '/byom-page/user', __ow_headers: { accept: 'application/json' } })
+    expect(json.headers.ETag).not.toBe(html.headers.ETag)
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { accept: 'application/json', 'if-none-match': json.headers.ETag }
+    })
+    expect(response.statusCode).toBe(304)
+  })
+
+  test('should embed the same data as schema.org JSON-LD', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    const match = /<script type="application\/ld\+json">(.*?)<\/script>/s.exec(response.body)
+    expect(match).not.toBeNull()
+    const structuredData = JSON.parse(match[1])
+    expect(structuredData).toEqual(expect.objectContaining({
+      '@context': 'https://schema.org',
+      '@type': 'ProfilePage'
+    }))
+    expect(structuredData.mainEntity).toEqual(expect.objectContaining({
+      '@type': 'Person',
+      name: 'Mr John Doe',
+      email: 'john.doe@example.com',
+      identifier: '123e4567-e89b-12d3-a456-426614174000'
+    }))
+    expect(structuredData.mainEntity.address.addressLocality).toBe('San Francisco')
+  })
+
+  test('should embed JSON-LD for team and country pages', async () => {
+    const team = await action.main({ ...fakeParams, __ow_path: '/byom-page/teams/platform' })
+    expect(team.body).toContain('"@type":"Organization"')
+    const country = await action.main({ ...fakeParams, __ow_path: '/byom-page/countries/fr' })
+    expect(country.body).toContain('"@type":"Country","identifier":"FR","name":"France"')
+  })
+
+  test('should escape hostile upstream fields', async () => {
+    const hostile = JSON.parse(JSON.stringify(mockApiResponse))
+    hostile.results[0].name.first = '<script>alert(1)</script>'
+    hostile.results[0].location.city = '"><img src=x onerror=alert(1)>'
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(hostile) })
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).not.toContain('<script>alert(1)</script>')
+    expect(response.body).not.toContain('<img src=x')
+    expect(response.body).toContain('&lt;script&gt;alert(1)&lt;/script&gt;')
+    expect(response.body).not.toMatch(/<\/script><script>/)
+  })
+
+  test('should drop record URLs with disallowed schemes or hosts', async () => {
+    const hostile = JSON.parse(JSON.stringify(mockApiResponse))
+    hostile.results[0].picture.large = 'javascript:alert(1)'
+    hostile.results[0].email = 'x" onmouseover="alert(1)'
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(hostile) })
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.body).not.toContain('javascript:')
+    expect(response.body).not.toContain('onmouseover')
+    expect(response.body).toContain('<meta name="user-picture" content="">')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('Dropped picture: URL scheme or host not allowed'))
+  })
+
+  test('should allow record URLs on configured hosts', async () => {
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ name: 'Jane Roe', photo: 'https://cdn.crm.example.com/jane.jpg' })
+    })
+    const params = {
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      DATA_SOURCES: { '/byom-page/crm/': { type: 'rest', url: 'https://crm.example.com/people/{id}', mapping: { fullName: 'name', picture: 'photo' } } }
+    }
+    expect((await action.main(params)).body).not.toContain('https://cdn.crm.example.com/jane.jpg')
+    memoryCache.clear()
+    const response = await action.main({ ...params, ALLOWED_URL_HOSTS: 'crm.example.com' })
+    const token = Buffer.from('https://cdn.crm.example.com/jane.jpg').toString('base64url')
+    expect(response.body).toContain(`<img src="/byom-media/${token}.jpg"`)
+  })
+
+  test('should rehost all images under first-party media paths', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.body).not.toMatch(/(src|content)="https:\/\/(randomuser\.me|images\.unsplash\.com)/)
+    const portrait = Buffer.from('https://randomuser.me/api/portraits/men/1.jpg').toString('base64url')
+    expect(response.body).toContain(`<meta name="user-picture" content="/byom-media/${portrait}.jpg">`)
+    const hero = Buffer.from('https://images.unsplash.com/photo-1522071820081-009f0129c71c?q=80').toString('base64url')
+    expect(response.body).toContain(`<img src="/byom-media/w1200/${hero}.jpg"`)
+  })
+
+  test('should build absolute media URLs with MEDIA_URL', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { accept: 'application/json' },
+      MEDIA_URL: 'https://ns.adobeioruntime.net/api/v1/web/byom-actions/data-provider/'
+    })
+    expect(response.body.record.picture).toMatch(/^https:\/\/ns\.adobeioruntime\.net\/api\/v1\/web\/byom-actions\/data-provider\/byom-media\/[\w-]+\.jpg$/)
+    expect(response.body.structuredData.mainEntity.image).toBe(response.body.record.picture)
+  })
+
+  test('should serve rehosted images', async () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10])
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'image/jpeg' },
+      buffer: () => Promise.resolve(jpeg)
+    })
+    const token = Buffer.from('https://randomuser.me/api/portraits/men/1.jpg').toString('base64url')
+    const response = await action.main({ ...fakeParams, __ow_path: `/byom-media/${token}.jpg`, __ow_query: 'width=60&format=webply' })
+    expect(fetch).toHaveBeenCalledWith('https://randomuser.me/api/portraits/med/men/1.jpg', expect.objectContaining({ redirect: 'error' }))
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['Content-Type']).toBe('image/jpeg')
+    expect(Buffer.from(response.body, 'base64')).toEqual(jpeg)
+  })
+
+  test('should not leak request headers into pages, JSON or logs', async () => {
+    const headers = {
+      authorization: 'token secret-admin-token',
+      'x-content-source-authorization': 'Bearer secret-source-token',
+      cookie: 'session=secret-cookie',
+      'x-content-source-location': 'US'
+    }
+    const html = await action.main({ ...fakeParams, __ow_path: '/byom-page/user', __ow_headers: headers })
+    const json = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { ...headers, accept: 'application/json' }
+    })
+    const logged = JSON.stringify(Object.values(mockLoggerInstance).map(fn => fn.mock.calls))
+    for (const output of [html.body, JSON.stringify(json.body), logged]) {
+      expect(output).not.toContain('secret-')
+    }
+    expect(logged).toContain('x-content-source-location')
+  })
+
+  test('should render partial API users instead of failing', async () => {
+    const partial = JSON.parse(JSON.stringify(mockApiResponse))
+    delete partial.results[0].location.street
+    delete partial.results[0].dob
+    delete partial.results[0].id
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(partial) })
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toContain('<h1>Mr John Doe</h1>')
+    expect(response.body).toContain('<meta name="user-city" content="San Francisco">')
+    expect(mockLoggerInstance.info).toHaveBeenCalledWith(expect.stringContaining(
+      'Partial record for /byom-page/user: location.street.number is missing (optional)'
+    ))
+  })
+
+  test('should use the fallback user if a required field is missing', async () => {
+    const partial = JSON.parse(JSON.stringify(mockApiResponse))
+    delete partial.results[0].name
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(partial) })
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['x-byom-cache']).toBe('miss')
+    expect(mockLoggerInstance.warn).toHaveBeenCalledWith(
+      expect.stringContaining('Invalid record for /byom-page/user: name.first is missing (required); name.last is missing (required)')
+    )
+    // Invalid records are not cached
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(mockApiResponse) })
+    expect((await action.main({ ...fakeParams, __ow_path: '/byom-page/user' })).body).toContain('<h1>Mr John Doe</h1>')
+  })
+
+  test('should return 502 with the failing fields for invalid records of sources without fallback', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ mail: 'jane@example.com' }) })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      DATA_SOURCES: {
+        '/byom-page/crm/': {
+          type: 'rest',
+          url: 'https://crm.example.com/people/{id}',
+          mapping: { fullName: 'name', email: 'mail' },
+          schema: { view: { fullName: { type: 'string', policy: 'required' } } }
+        }
+      }
+    })
+    expect(response).toEqual({
+      error: {
+        statusCode: 502,
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 502, detail: 'record for /byom-page/crm/42 is invalid: fullName is missing (required)' })
+      }
+    })
+  })
+
+  test('should apply derived fields and defaults of configured schemas', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ first: 'Jane', last: 'Roe' }) })
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/crm/42',
+      __ow_headers: { accept: 'application/json' },
+      DATA_SOURCES: {
+        '/byom-page/crm/': {
+          type: 'rest',
+          url: 'https://crm.example.com/people/{id}',
+          schema: {
+            raw: { fullName: { type: 'string', policy: 'derived', from: ['first', 'last'] } },
+            view: { city: { type: 'string', default: 'Unknown' } }
+          }
+        }
+      }
+    })
+    expect(response.body.record).toEqual(expect.objectContaining({ fullName: 'Jane Roe', city: 'Unknown' }))
+  })
+
+  test('should render the locale of a locale path segment', async () => {
+    const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/de/user' })
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['Content-Language']).toBe('de')
+    expect(response.body).toContain('<html lang="de">')
+    expect(response.body).toContain('<title>Mr John Doe - Benutzerprofil</title>')
+    expect(response.body).toContain('<h3>Kontaktdaten</h3>')
+    expect(response.body).toContain('<span class="detail-value">Männlich</span>')
+    expect(response.body).toContain('<span class="detail-value">35 Jahre</span>')
+    expect(response.body).toContain('<span class="detail-value">1. Januar 1989</span>')
+    // The user behind a page is the same in every language
+    expect(fetch).toHaveBeenCalledWith(`https://randomuser.me/api/?seed=${userSeed}`)
+  })
+
+  test('should pick the locale from Accept-Language', async () => {
+    const french = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { 'accept-language': 'fr-CH, fr;q=0.9, en;q=0.8' }
+    })
+    expect(french.body).toContain('<html lang="fr">')
+    expect(french.body).toContain('<h3>Coordonnées</h3>')
+
+    const unsupported = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/user',
+      __ow_headers: { 'accept-language': 'ja, *;q=0.5' }
+    })
+    expect(unsupported.body).toContain('<html lang="en">')
+    expect(unsupported.body).toContain('<h3>Contact Information</h3>')
+  })
+
+  test('should prefer the locale path segment over Accept-Language', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/de/user',
+      __ow_headers: { 'accept-language': 'fr' }
+    })
+    expect(response.body).toContain('<html lang="de">')
+  })
+
+  test('should link all language versions with hreflang alternates', async () => {
+    const response = await action.main({
+      ...fakeParams,
+      __ow_path: '/byom-page/fr/countries/de',
+      SITE_URL: 'https://main--site--org.aem.live/'
+    })
+    expect(response.body).toContain('<link rel="alternate" hreflang="en" href="https://main--site--org.aem.live/byom-page/countries/de">')
+    expect(response.body).toContain('<link rel="alternate" hreflang="de" href="https://main--site--org.aem.live/byom-page/de/countries/de">')
+    expect(response.body).toContain('<link rel="alternate" hreflang="fr" href="https://main--site--org.aem.live/byom-page/fr/countries/de">')
+    expect(response.body).toContain('<link rel="alternate" hreflang="x-default" href="https://main--site--org.aem.live/byom-page/countries/de">')
+    expect(response.body).toContain('<title>Allemagne - Profil du pays</title>')
+    // French groups digits with narrow no-break spaces
+    expect(response.body).toMatch(/Population : 83\s200\s000/)
+  })
+
+  describe('group pages', () => {
+    const secondUser = {
+      ...mockApiResponse.results[0],
+      name: { title: 'Ms', first: 'Jane', last: 'Roe' },
+      login: { ...mockApiResponse.results[0].login, uuid: '223e4567-e89b-12d3-a456-426614174000', username: 'janeroe' }
+    }
+
+    beforeEach(() => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ results: [mockApiResponse.results[0], secondUser] })
+      })
+    })
+
+    test('should render a team roster of several users from one API call', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/rosters/platform' })
+      expect(response.statusCode).toBe(200)
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/randomuser\.me\/api\/\?seed=[0-9a-f]+&results=12&page=1$/)
+      expect(response.body).toContain('<title>Team platform - Roster, page 1</title>')
+      expect(response.body).toContain('<meta name="member-count" content="2">')
+      expect(response.body).toContain('<p><strong>Mr John Doe</strong></p>')
+      expect(response.body).toContain('<p><strong>Ms Jane Roe</strong></p>')
+      expect(response.body).toContain('"@type":"ItemList"')
+    })
+
+    test('should emit a metadata block per record for the index', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/rosters/platform' })
+      const blocks = response.body.match(/<div class="record-metadata">/g)
+      expect(blocks).toHaveLength(2)
+      expect(response.body).toMatch(/<div>User Id<\/div>\s*<div>223e4567-e89b-12d3-a456-426614174000<\/div>/)
+    })
+
+    test('should serve the group as JSON', async () => {
+      const response = await action.main({
+        ...fakeParams,
+        __ow_path: '/byom-page/countries/fr/cohort/page-3',
+        __ow_headers: { accept: 'application/json' }
+      })
+      expect(fetch.mock.calls[0][0]).toMatch(/&results=12&page=3&nat=FR$/)
+      expect(response.body.record).toEqual(expect.objectContaining({ count: 2, page: 3, nationality: 'FR' }))
+      expect(response.body.record.members.map((member) => member.username)).toEqual(['johndoe123', 'janeroe'])
+    })
+
+    test('should render a fallback cohort when the API fails', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' })
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/de/countries/de/cohort' })
+      expect(response.statusCode).toBe(200)
+      expect(response.body).toContain('<h1>Menschen aus Deutschland</h1>')
+      expect(response.body.match(/<div class="record-metadata">/g)).toHaveLength(12)
+    })
+
+    test('should return 404 for nationalities the API does not know', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/countries/jp/cohort' })
+      expect(response.error.statusCode).toBe(404)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('directory pages', () => {
+    const SITE_URL = 'https://main--site--org.aem.live'
+    const profiles = Array.from({ length: 25 }, (value, index) => ({
+      path: `/byom-page/users/user-${String(index).padStart(2, '0')}`,
+      userFullname: `User ${String(index).padStart(2, '0')}`,
+      userCity: 'Lyon',
+      userCountry: index % 5 === 0 ? 'France' : 'Germany',
+      lastModified: 1700000000 + index
+    }))
+
+    beforeEach(() => {
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ total: profiles.length, offset: 0, limit: 500, data: profiles })
+      })
+    })
+
+    test('should link the profiles of the first page', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/directory', SITE_URL })
+      expect(response.statusCode).toBe(200)
+      expect(fetch).toHaveBeenCalledWith(`${SITE_URL}/user-index.json?offset=0&limit=500`, expect.any(Object))
+      expect(response.body).toContain('<title>User directory - Page 1 of 2</title>')
+      expect(response.body).toContain('<a href="/byom-page/users/user-00">User 00</a>')
+      expect(response.body).toContain('<a href="/byom-page/users/user-19">User 19</a>')
+      expect(response.body).not.toContain('User 20')
+      expect(response.body).toContain(`<link rel="canonical" href="${SITE_URL}/byom-page/directory">`)
+      expect(response.body).toContain(`<link rel="next" href="${SITE_URL}/byom-page/directory/page-2">`)
+      expect(response.body).not.toContain('rel="prev"')
+      expect(response.body).toContain('"@type":"CollectionPage"')
+      expect(response.headers['Last-Modified']).toBe(new Date(1700000024 * 1000).toUTCString())
+    })
+
+    test('should link the previous page from the last page', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/directory/page-2', SITE_URL })
+      expect(response.body).toContain('<a href="/byom-page/users/user-24">User 24</a>')
+      expect(response.body).toContain(`<a href="${SITE_URL}/byom-page/directory" rel="prev">`)
+      expect(response.body).not.toContain('rel="next"')
+    })
+
+    test('should filter by country in the language of the page', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/de/directory/country/france', SITE_URL })
+      expect(response.body).toContain('<h1>Benutzer in France</h1>')
+      expect(response.body).toContain('<a href="/byom-page/de/users/user-05">User 05</a>')
+      expect(response.body).not.toContain('User 01')
+      expect(response.body).toContain(`<link rel="canonical" href="${SITE_URL}/byom-page/de/directory/country/france">`)
+    })
+
+    test('should return 404 for pages past the end', async () => {
+      for (const path of ['/byom-page/directory/page-3', '/byom-page/directory/page-0', '/byom-page/directory/country/spain']) {
+        const response = await action.main({ ...fakeParams, __ow_path: path, SITE_URL })
+        expect(response.error.statusCode).toBe(404)
+      }
+    })
+
+    test('should be unavailable without SITE_URL', async () => {
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/directory' })
+      expect(response.error.statusCode).toBe(503)
+      expect(response.error.body).toEqual(expect.objectContaining({
+        code: 'NOT_CONFIGURED',
+        detail: '/byom-page/directory needs the SITE_URL input',
+        instance: '/byom-page/directory'
+      }))
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should read an absolute index URL without SITE_URL', async () => {
+      const ROUTES = [{ pattern: '/byom-page/directory', template: 'directory', source: { type: 'index', url: `${SITE_URL}/user-index.json` } }]
+      const response = await action.main({ ...fakeParams, __ow_path: '/byom-page/directory', ROUTES })
+      expect(response.statusCode).toBe(200)
+    })
+  })
+
   test('if there is an error should return a 500 and log the error', async () => {
     const fakeError = new Error('template error')
     const fs = require('fs')
@@ -258,7 +1063,8 @@ describe('data-provider', () => {
     expect(response).toEqual({
       error: {
         statusCode: 500,
-        body: { error: 'server error' }
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 500, detail: 'server error' })
       }
     })
     expect(mockLoggerInstance.error).toHaveBeenCalledWith(fakeError)
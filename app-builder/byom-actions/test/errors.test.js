@@ -0,0 +1,75 @@
+/* 
+* <license header>
+*/
+
+const errors = require('./../actions/errors.js')
+
+describe('problemDetails', () => {
+  test('builds RFC 7807 documents for typed codes', () => {
+    expect(errors.problemDetails(502, 'Admin API responded with 403', { code: 'ADMIN_API_FORBIDDEN', correlationId: 'abc' })).toEqual({
+      type: 'urn:byom-actions:error:admin-api-forbidden',
+      title: 'Admin API rejected the token',
+      status: 502,
+      detail: 'Admin API responded with 403',
+      code: 'ADMIN_API_FORBIDDEN',
+      correlationId: 'abc'
+    })
+  })
+
+  test('derives the code from the status', () => {
+    expect(errors.problemDetails(404, 'x').code).toBe('NOT_FOUND')
+    expect(errors.problemDetails(504, 'x').code).toBe('UPSTREAM_TIMEOUT')
+    expect(errors.problemDetails(418, 'x').code).toBe('INVALID_PARAM')
+    expect(errors.problemDetails(503, 'x').code).toBe('INTERNAL_ERROR')
+    expect(errors.problemDetails(400, 'x', { code: 'NO_SUCH_CODE' }).code).toBe('INVALID_PARAM')
+  })
+
+  test('uses named codes only when asked for', () => {
+    expect(errors.problemDetails(503, 'x', { code: 'NOT_CONFIGURED' })).toEqual(expect.objectContaining({
+      code: 'NOT_CONFIGURED',
+      title: 'Not configured'
+    }))
+  })
+})
+
+describe('correlation IDs', () => {
+  test('prefer the forwarded header over the caller header', () => {
+    expect(errors.readCorrelationId({ 'x-content-source-correlation-id': 'from-webhook', 'x-correlation-id': 'from-helix' }))
+      .toBe('from-webhook')
+    expect(errors.readCorrelationId({ 'x-correlation-id': 'caller-1' })).toBe('caller-1')
+    expect(errors.readCorrelationId({})).toBeUndefined()
+    expect(errors.readCorrelationId(undefined)).toBeUndefined()
+  })
+
+  test('ignore values that are no safe tokens', () => {
+    expect(errors.readCorrelationId({ 'x-correlation-id': 'abc\nforged log line' })).toBeUndefined()
+    expect(errors.readCorrelationId({ 'x-correlation-id': 'a'.repeat(200) })).toBeUndefined()
+  })
+
+  test('are generated for requests without one', () => {
+    expect(errors.resolveCorrelationId({})).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+    expect(errors.resolveCorrelationId({ 'x-correlation-id': 'caller-1' })).toBe('caller-1')
+  })
+
+  test('prefix log messages', () => {
+    const logger = { info: jest.fn(), error: jest.fn() }
+    const wrapped = errors.withCorrelationId(logger, 'abc')
+    const failure = new Error('boom')
+    wrapped.info('Invoked webhook action', 'extra')
+    wrapped.error(failure)
+    expect(logger.info).toHaveBeenCalledWith('[abc] Invoked webhook action', 'extra')
+    expect(logger.error).toHaveBeenCalledWith(failure)
+    expect(wrapped.correlationId).toBe('abc')
+    expect(wrapped.debug).toBeUndefined()
+    expect(errors.withCorrelationId(logger)).toBe(logger)
+  })
+})
+
+describe('isTimeoutError', () => {
+  test('recognizes fetch timeouts', () => {
+    expect(errors.isTimeoutError(Object.assign(new Error('timeout'), { type: 'request-timeout' }))).toBe(true)
+    expect(errors.isTimeoutError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true)
+    expect(errors.isTimeoutError(new Error('boom'))).toBe(false)
+    expect(errors.isTimeoutError(undefined)).toBe(false)
+  })
+})
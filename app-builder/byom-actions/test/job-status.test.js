@@ -0,0 +1,73 @@
+/* 
+* <license header>
+*/
+
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
+  }
+}))
+
+const { Core, State } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+const { createMemoryStore } = require('./../actions/state.js')
+const { createJob } = require('./../actions/jobs.js')
+const action = require('./../actions/job-status/index.js')
+
+const jobId = '123e4567-e89b-42d3-a456-426614174000'
+let store
+
+beforeEach(async () => {
+  Object.values(mockLoggerInstance).forEach(fn => fn.mockReset())
+  store = createMemoryStore()
+  State.init.mockResolvedValue(store)
+  await createJob(store, jobId, { operation: 'publish', pagePath: '/byom-page/a' })
+})
+
+describe('job-status', () => {
+  test('main should be defined', () => {
+    expect(action.main).toBeInstanceOf(Function)
+  })
+
+  test('should set logger to use LOG_LEVEL param', async () => {
+    await action.main({ jobId, LOG_LEVEL: 'trace' })
+    expect(Core.Logger).toHaveBeenCalledWith('job-status', { level: 'trace' })
+  })
+
+  test('should return the job record for the jobId param', async () => {
+    const response = await action.main({ jobId })
+    expect(response.statusCode).toBe(200)
+    expect(response.body).toEqual(expect.objectContaining({ jobId, state: 'queued', pagePath: '/byom-page/a' }))
+  })
+
+  test('should read the job id from the path', async () => {
+    const response = await action.main({ __ow_path: `/${jobId}` })
+    expect(response.body.jobId).toBe(jobId)
+  })
+
+  test('should return 400 for missing or malformed ids', async () => {
+    const { error } = await action.main({})
+    expect(error.statusCode).toBe(400)
+    expect(error.body.detail).toBe("missing parameter(s) 'jobId'")
+    expect((await action.main({ jobId: 'job-1' })).error.statusCode).toBe(400)
+  })
+
+  test('should return 404 for unknown jobs', async () => {
+    const response = await action.main({ jobId: '00000000-0000-4000-8000-000000000000' })
+    expect(response.error.statusCode).toBe(404)
+  })
+
+  test('should return 500 when state storage fails', async () => {
+    const fakeError = new Error('state unavailable')
+    State.init.mockRejectedValue(fakeError)
+    const response = await action.main({ jobId })
+    expect(response.error.statusCode).toBe(500)
+    expect(response.error.body).toEqual(expect.objectContaining({ code: 'INTERNAL_ERROR', detail: 'server error' }))
+    expect(mockLoggerInstance.error).toHaveBeenCalledWith(fakeError)
+  })
+})
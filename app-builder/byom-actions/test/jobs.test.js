@@ -0,0 +1,55 @@
+/* 
+* <license header>
+*/
+
+const { createMemoryStore } = require('./../actions/state.js')
+const jobs = require('./../actions/jobs.js')
+
+const jobId = '123e4567-e89b-42d3-a456-426614174000'
+
+test('interface', () => {
+  expect(typeof jobs.createJob).toBe('function')
+  expect(typeof jobs.readJob).toBe('function')
+  expect(typeof jobs.updateJob).toBe('function')
+  expect(typeof jobs.isJobId).toBe('function')
+})
+
+describe('isJobId', () => {
+  test('accepts UUIDs only', () => {
+    expect(jobs.isJobId(jobId)).toBe(true)
+    expect(jobs.isJobId('../job')).toBe(false)
+    expect(jobs.isJobId(undefined)).toBe(false)
+  })
+})
+
+describe('job records', () => {
+  test('createJob stores a queued job', async () => {
+    const store = createMemoryStore()
+    const job = await jobs.createJob(store, jobId, { operation: 'publish', pagePath: '/byom-page/a' })
+    expect(job).toEqual({
+      jobId,
+      state: 'queued',
+      phase: 'queued',
+      operation: 'publish',
+      pagePath: '/byom-page/a',
+      attempts: {},
+      errors: [],
+      createdAt: expect.any(String),
+      updatedAt: expect.any(String)
+    })
+    await expect(jobs.readJob(store, jobId)).resolves.toEqual(job)
+  })
+
+  test('updateJob merges attempts per phase', async () => {
+    const store = createMemoryStore()
+    await jobs.createJob(store, jobId, {})
+    await jobs.updateJob(store, jobId, { phase: 'live', attempts: { preview: [{ attempt: 1 }] } })
+    const job = await jobs.updateJob(store, jobId, { phase: 'done', attempts: { publish: [{ attempt: 1 }] } })
+    expect(job.phase).toBe('done')
+    expect(job.attempts).toEqual({ preview: [{ attempt: 1 }], publish: [{ attempt: 1 }] })
+  })
+
+  test('readJob returns null for unknown jobs', async () => {
+    await expect(jobs.readJob(createMemoryStore(), jobId)).resolves.toBeNull()
+  })
+})
@@ -0,0 +1,159 @@
+/*
+* <license header>
+*/
+
+jest.mock('@adobe/aio-sdk', () => ({
+  Core: {
+    Logger: jest.fn()
+  }
+}))
+
+const { Core } = require('@adobe/aio-sdk')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+Core.Logger.mockReturnValue(mockLoggerInstance)
+
+jest.mock('node-fetch')
+const fetch = require('node-fetch')
+const action = require('./../actions/sitemap/index.js')
+const { escapeXml } = require('./../actions/sitemap/xml.js')
+
+const SITE_URL = 'https://main--site--org.aem.live'
+const entries = Array.from({ length: 5 }, (value, index) => ({
+  path: `/byom-page/users/user-${index}`,
+  userId: `123e4567-e89b-42d3-a456-42661417400${index}`,
+  userFullname: `User ${index}`,
+  userCity: 'Lyon',
+  userCountry: 'France',
+  lastModified: 1700000000 + index * 60
+}))
+
+// Serves the index like Helix does, honoring offset and limit.
+function mockIndex(data) {
+  fetch.mockImplementation((url) => {
+    const query = new URL(url).searchParams
+    const offset = Number(query.get('offset'))
+    const limit = Number(query.get('limit'))
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ total: data.length, offset, limit, data: data.slice(offset, offset + limit) })
+    })
+  })
+}
+
+beforeEach(() => {
+  Object.values(mockLoggerInstance).forEach(fn => fn.mockReset())
+  fetch.mockReset()
+  mockIndex(entries)
+})
+
+describe('sitemap', () => {
+  test('main should be defined', () => {
+    expect(action.main).toBeInstanceOf(Function)
+  })
+
+  test('should set logger to use LOG_LEVEL param', async () => {
+    await action.main({ SITE_URL, LOG_LEVEL: 'trace' })
+    expect(Core.Logger).toHaveBeenCalledWith('sitemap', { level: 'trace' })
+  })
+
+  test('should list all indexed pages with their lastmod', async () => {
+    const response = await action.main({ __ow_path: '/sitemap.xml', SITE_URL: `${SITE_URL}/` })
+    expect(response.statusCode).toBe(200)
+    expect(response.headers['Content-Type']).toBe('application/xml; charset=utf-8')
+    expect(fetch).toHaveBeenCalledWith(`${SITE_URL}/user-index.json?offset=0&limit=500`, expect.any(Object))
+    expect(response.body).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">')
+    expect(response.body).toContain(`<url><loc>${SITE_URL}/byom-page/users/user-0</loc><lastmod>2023-11-14T22:13:20.000Z</lastmod></url>`)
+    expect(response.body.match(/<url>/g)).toHaveLength(5)
+    expect(response.headers['Last-Modified']).toBe(new Date((1700000000 + 4 * 60) * 1000).toUTCString())
+  })
+
+  test('should serve a sitemap index when the index holds more pages than a sitemap', async () => {
+    const params = { SITE_URL, SITEMAP_URL: 'https://sitemaps.example.com', SITEMAP_PAGE_SIZE: '2' }
+    const response = await action.main({ ...params, __ow_path: '/sitemap.xml' })
+    expect(response.body).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">')
+    expect(response.body).toContain('<sitemap><loc>https://sitemaps.example.com/sitemap-1.xml</loc></sitemap>')
+    expect(response.body).toContain('<sitemap><loc>https://sitemaps.example.com/sitemap-3.xml</loc></sitemap>')
+    expect(response.body).not.toContain('sitemap-4.xml')
+
+    const page = await action.main({ ...params, __ow_path: '/sitemap-3.xml' })
+    expect(fetch).toHaveBeenLastCalledWith(`${SITE_URL}/user-index.json?offset=4&limit=2`, expect.any(Object))
+    expect(page.body).toContain('/byom-page/users/user-4</loc>')
+    expect(page.body.match(/<url>/g)).toHaveLength(1)
+  })
+
+  test('should read sitemap pages larger than an index chunk', async () => {
+    mockIndex(Array.from({ length: 1200 }, (value, index) => ({ path: `/byom-page/p${index}`, lastModified: 1700000000 })))
+    const response = await action.main({ SITE_URL, __ow_path: '/sitemap-1.xml' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(fetch).toHaveBeenLastCalledWith(`${SITE_URL}/user-index.json?offset=500&limit=500`, expect.any(Object))
+    expect(response.body.match(/<url>/g)).toHaveLength(1000)
+  })
+
+  test('should return 404 for sitemap pages past the end and unknown paths', async () => {
+    for (const path of ['/sitemap-0.xml', '/sitemap-2.xml', '/robots.txt']) {
+      const response = await action.main({ SITE_URL, __ow_path: path })
+      expect(response.error.statusCode).toBe(404)
+    }
+  })
+
+  test('should serve the most recent profiles as Atom feed', async () => {
+    const response = await action.main({ SITE_URL, __ow_path: '/feed.atom', FEED_SIZE: 2 })
+    expect(response.headers['Content-Type']).toBe('application/atom+xml; charset=utf-8')
+    expect(response.body).toContain('<feed xmlns="http://www.w3.org/2005/Atom">')
+    expect(response.body).toContain(`<link rel="self" type="application/atom+xml" href="${SITE_URL}/feed.atom"/>`)
+    expect(response.body).toContain('<title>Recently published profiles</title>')
+    expect(response.body).toContain('<id>urn:uuid:123e4567-e89b-42d3-a456-426614174004</id>')
+    expect(response.body).toContain('<summary>Lyon, France</summary>')
+    expect(response.body.match(/<entry>/g)).toHaveLength(2)
+    expect(response.body.indexOf('User 4')).toBeLessThan(response.body.indexOf('User 3'))
+    expect(response.body).not.toContain('User 2')
+  })
+
+  test('should serve the feed as RSS and list each profile once', async () => {
+    mockIndex([...entries, { ...entries[1], path: '/byom-page/de/users/user-1', lastModified: 1700009999 }])
+    const response = await action.main({ SITE_URL, __ow_path: '/feed.rss', FEED_TITLE: 'New & noteworthy' })
+    expect(response.headers['Content-Type']).toBe('application/rss+xml; charset=utf-8')
+    expect(response.body).toContain('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">')
+    expect(response.body).toContain('<title>New &amp; noteworthy</title>')
+    expect(response.body).toContain(`<link>${SITE_URL}/byom-page/de/users/user-1</link>`)
+    expect(response.body).not.toContain(`<link>${SITE_URL}/byom-page/users/user-1</link>`)
+    expect(response.body.match(/<item>/g)).toHaveLength(5)
+  })
+
+  test('should return 304 when If-None-Match matches', async () => {
+    const first = await action.main({ SITE_URL, __ow_path: '/sitemap.xml' })
+    const second = await action.main({ SITE_URL, __ow_path: '/sitemap.xml', __ow_headers: { 'if-none-match': first.headers.ETag } })
+    expect(second).toEqual({
+      statusCode: 304,
+      headers: { ETag: first.headers.ETag, 'Last-Modified': first.headers['Last-Modified'], 'Cache-Control': 'max-age=300' }
+    })
+  })
+
+  test('should answer 503 without SITE_URL', async () => {
+    const response = await action.main({ __ow_path: '/sitemap.xml' })
+    expect(response.error.statusCode).toBe(503)
+    expect(response.error.body).toEqual(expect.objectContaining({
+      code: 'NOT_CONFIGURED',
+      detail: "the sitemap needs the 'SITE_URL' input"
+    }))
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test('should return 502 if the index cannot be read', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 503 })
+    const response = await action.main({ SITE_URL, __ow_path: '/sitemap.xml' })
+    expect(response.error.statusCode).toBe(502)
+    expect(response.error.body).toEqual(expect.objectContaining({
+      code: 'UPSTREAM_ERROR',
+      detail: 'reading the query index failed: query index responded with 503'
+    }))
+    expect(mockLoggerInstance.error).toHaveBeenCalledWith(expect.objectContaining({ message: 'query index responded with 503' }))
+  })
+})
+
+describe('escapeXml', () => {
+  test('escapes markup and drops characters XML cannot hold', () => {
+    expect(escapeXml('<a href="x">Tom & \'Jerry\'</a>\u0001')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; &apos;Jerry&apos;&lt;/a&gt;')
+  })
+})
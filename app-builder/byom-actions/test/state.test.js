@@ -0,0 +1,49 @@
+/* 
+* <license header>
+*/
+
+jest.mock('@adobe/aio-sdk', () => ({
+  State: {
+    init: jest.fn()
+  }
+}))
+
+const { State } = require('@adobe/aio-sdk')
+const state = require('./../actions/state.js')
+
+test('interface', () => {
+  expect(typeof state.getStateStore).toBe('function')
+  expect(typeof state.createMemoryStore).toBe('function')
+})
+
+describe('getStateStore', () => {
+  test('initializes the App Builder state store', async () => {
+    const store = {}
+    State.init.mockResolvedValue(store)
+    await expect(state.getStateStore()).resolves.toBe(store)
+  })
+})
+
+describe('createMemoryStore', () => {
+  test('stores string values with an expiration', async () => {
+    const store = state.createMemoryStore(() => 0)
+    await expect(store.put('key', 'value', { ttl: 60 })).resolves.toBe('key')
+    await expect(store.get('key')).resolves.toEqual({ value: 'value', expiration: new Date(60000).toISOString() })
+  })
+
+  test('expires values after their ttl', async () => {
+    let now = 0
+    const store = state.createMemoryStore(() => now)
+    await store.put('key', 'value', { ttl: 10 })
+    now = 10000
+    await expect(store.get('key')).resolves.toBeUndefined()
+  })
+
+  test('deletes values', async () => {
+    const store = state.createMemoryStore()
+    await store.put('key', 'value')
+    await expect(store.delete('key')).resolves.toBe('key')
+    await expect(store.delete('key')).resolves.toBeNull()
+    await expect(store.get('key')).resolves.toBeUndefined()
+  })
+})
@@ -3,10 +3,13 @@
 */
 
 const utils = require('./../actions/utils.js')
+const { withCorrelationId } = require('./../actions/errors.js')
 
 test('interface', () => {
+  expect(typeof utils.createLogger).toBe('function')
   expect(typeof utils.errorResponse).toBe('function')
   expect(typeof utils.stringParameters).toBe('function')
+  expect(typeof utils.sleep).toBe('function')
 })
 
 describe('errorResponse', () => {
@@ -15,7 +18,14 @@ describe('errorResponse', () => {
     expect(res).toEqual({
       error: {
         statusCode: 400,
-        body: { error: 'errorMessage' }
+        headers: { 'Content-Type': 'application/problem+json' },
+        body: {
+          type: 'urn:byom-actions:error:invalid-param',
+          title: 'Invalid parameter',
+          status: 400,
+          detail: 'errorMessage',
+          code: 'INVALID_PARAM'
+        }
       }
     })
   })
@@ -26,22 +36,44 @@ describe('errorResponse', () => {
     }
     const res = utils.errorResponse(400, 'errorMessage', logger)
     expect(logger.info).toHaveBeenCalledWith('400: errorMessage')
+    expect(res.error.statusCode).toBe(400)
+    expect(res.error.body.detail).toBe('errorMessage')
+  })
+
+  test('(400, errorMessage, logger, { code, instance }) with a correlation ID', () => {
+    const logger = withCorrelationId({ info: jest.fn() }, 'abc-123')
+    const res = utils.errorResponse(400, "missing parameter(s) 'TOKEN'", logger, { code: 'MISSING_PARAM', instance: '/webhook' })
     expect(res).toEqual({
       error: {
         statusCode: 400,
-        body: { error: 'errorMessage' }
+        headers: { 'Content-Type': 'application/problem+json', 'x-correlation-id': 'abc-123' },
+        body: {
+          type: 'urn:byom-actions:error:missing-param',
+          title: 'Missing parameter',
+          status: 400,
+          detail: "missing parameter(s) 'TOKEN'",
+          code: 'MISSING_PARAM',
+          instance: '/webhook',
+          correlationId: 'abc-123'
+        }
       }
     })
   })
 })
 
 describe('stringParameters', () => {
-  test('no auth header', () => {
+  test('no secrets', () => {
     const params = {
-      a: 1, b: 2, __ow_headers: { 'x-api-key': 'fake-api-key' }
+      a: 1, b: 2, __ow_headers: { accept: 'text/html' }
     }
     expect(utils.stringParameters(params)).toEqual(JSON.stringify(params))
   })
+  test('with api key header', () => {
+    const params = {
+      a: 1, b: 2, __ow_headers: { 'x-api-key': 'fake-api-key' }
+    }
+    expect(utils.stringParameters(params)).toEqual(JSON.stringify({ ...params, __ow_headers: { 'x-api-key': '<hidden>' } }))
+  })
   test('with auth header', () => {
     const params = {
       a: 1, b: 2, __ow_headers: { 'x-api-key': 'fake-api-key', authorization: 'secret' }
@@ -49,4 +81,63 @@ describe('stringParameters', () => {
     expect(utils.stringParameters(params)).toEqual(expect.stringContaining('"authorization":"<hidden>"'))
     expect(utils.stringParameters(params)).not.toEqual(expect.stringContaining('secret'))
   })
+  test('with token params and cookies', () => {
+    const params = {
+      TOKEN: 'aem-token', __ow_headers: { cookie: 'session=abc', 'x-content-source-authorization': 'Bearer upstream' }
+    }
+    const logged = utils.stringParameters(params)
+    expect(logged).not.toEqual(expect.stringContaining('aem-token'))
+    expect(logged).not.toEqual(expect.stringContaining('session=abc'))
+    expect(logged).not.toEqual(expect.stringContaining('upstream'))
+  })
+})
+
+describe('stripControlCharacters', () => {
+  test('removes control characters but keeps whitespace', () => {
+    expect(utils.stripControlCharacters('a\u0000b\u0008c\u000bd\u001fe\u007ff')).toBe('abcdef')
+    expect(utils.stripControlCharacters('line\tone\r\nline two é 😀')).toBe('line\tone\r\nline two é 😀')
+  })
+})
+
+describe('toNumber', () => {
+  test('reads numbers and numeric strings', () => {
+    expect(utils.toNumber('2000', 1)).toBe(2000)
+    expect(utils.toNumber(0, 1)).toBe(0)
+    expect(utils.toNumber('x', 1)).toBe(1)
+    expect(utils.toNumber('', 1)).toBe(1)
+    expect(utils.toNumber(undefined, 1)).toBe(1)
+    expect(utils.toNumber(Infinity, 1)).toBe(1)
+  })
+})
+
+describe('toList', () => {
+  test('reads arrays, comma-separated lists and JSON arrays', () => {
+    expect(utils.toList(['a', ''], 'HOSTS')).toEqual(['a'])
+    expect(utils.toList(' a, b ,', 'HOSTS')).toEqual(['a', 'b'])
+    expect(utils.toList('["a", " b "]', 'HOSTS')).toEqual(['a', 'b'])
+    expect(utils.toList(undefined, 'HOSTS')).toEqual([])
+  })
+
+  test('throws a configuration error for malformed JSON arrays', () => {
+    expect(() => utils.toList('["a"', 'HOSTS')).toThrow(expect.objectContaining({
+      code: 'CONFIG_INVALID',
+      message: expect.stringContaining('HOSTS is not a valid JSON array')
+    }))
+    expect(() => utils.toList('[', 'HOSTS')).toThrow('HOSTS is not a valid JSON array')
+  })
+})
+
+describe('sleep', () => {
+  test('resolves after the given delay', async () => {
+    jest.useFakeTimers()
+    const resolved = jest.fn()
+    const promise = utils.sleep(100).then(resolved)
+    jest.advanceTimersByTime(99)
+    await Promise.resolve()
+    expect(resolved).not.toHaveBeenCalled()
+    jest.advanceTimersByTime(1)
+    await promise
+    expect(resolved).toHaveBeenCalled()
+    jest.useRealTimers()
+  })
 })
@@ -0,0 +1,150 @@
+/* 
+* <license header>
+*/
+
+jest.mock('node-fetch')
+const fetch = require('node-fetch')
+const batch = require('./../actions/webhook/batch.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+const projectCoords = 'owner/repo/main'
+const polling = { interval: 0, maxPolls: 3 }
+const retryPolicy = { attempts: 3, baseDelay: 0, maxDelay: 0, jitter: 0 }
+
+const jsonResponse = (status, payload) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(payload),
+  text: () => Promise.resolve(JSON.stringify(payload))
+})
+
+beforeEach(() => {
+  fetch.mockReset()
+  Object.values(logger).forEach(fn => fn.mockReset())
+})
+
+describe('resolveBatchOptions', () => {
+  test('uses defaults', () => {
+    expect(batch.resolveBatchOptions({})).toEqual({
+      concurrency: 5,
+      bulkThreshold: 20,
+      polling: { interval: 2000, maxPolls: 60 },
+      retryPolicy: { attempts: 3, baseDelay: 500, maxDelay: 10000, jitter: 0.5 }
+    })
+  })
+
+  test('reads numeric params', () => {
+    expect(batch.resolveBatchOptions({ BATCH_CONCURRENCY: '2', BULK_THRESHOLD: 50, BULK_POLL_INTERVAL: 0, BULK_MAX_POLLS: 'x' })).toEqual({
+      concurrency: 2,
+      bulkThreshold: 50,
+      polling: { interval: 0, maxPolls: 60 },
+      retryPolicy: { attempts: 3, baseDelay: 500, maxDelay: 10000, jitter: 0.5 }
+    })
+  })
+})
+
+describe('mapWithConcurrency', () => {
+  test('keeps order and never exceeds the limit', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    const results = await batch.mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+      inFlight++
+      maxInFlight = Math.max(maxInFlight, inFlight)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      inFlight--
+      return index
+    })
+    expect(results).toEqual([0, 1, 2, 3, 4])
+    expect(maxInFlight).toBe(2)
+  })
+})
+
+describe('publishBatch', () => {
+  test('publishes small batches page by page', async () => {
+    fetch.mockImplementation((url) => {
+      if (url.includes('/preview/')) {
+        const status = url.endsWith('/byom-page/b') ? 500 : 200
+        return Promise.resolve(jsonResponse(200, { preview: { status } }))
+      }
+      return Promise.resolve(jsonResponse(200, {}))
+    })
+
+    const pages = [{ pagePath: '/byom-page/a' }, { pagePath: '/byom-page/b', nationality: 'GB' }]
+    const options = { concurrency: 2, bulkThreshold: 10, polling, retryPolicy }
+    const response = await batch.publishBatch('token', projectCoords, pages, options, logger)
+
+    expect(response.statusCode).toBe(207)
+    expect(response.body).toEqual(expect.objectContaining({
+      mode: 'concurrent',
+      status: 'partial',
+      total: 2,
+      succeeded: 1,
+      failed: 1
+    }))
+    expect(response.body.results.map(result => [result.pagePath, result.publishSuccessful])).toEqual([
+      ['/byom-page/a', true],
+      ['/byom-page/b', false]
+    ])
+    const gbCall = fetch.mock.calls.find(([url]) => url.endsWith('/byom-page/b'))
+    expect(gbCall[1].headers['x-content-source-location']).toBe('GB')
+  })
+
+  test('uses bulk jobs per nationality for large batches', async () => {
+    let jobCount = 0
+    const jobPaths = {}
+    fetch.mockImplementation((url, options = {}) => {
+      if (url.endsWith('/*')) {
+        const name = `job-${++jobCount}`
+        jobPaths[name] = JSON.parse(options.body).paths
+        return Promise.resolve(jsonResponse(202, { job: { name } }))
+      }
+      const name = url.split('/').slice(-2)[0]
+      const resources = jobPaths[name].map(path => ({ path, status: path === '/byom-page/c' ? 404 : 200 }))
+      return Promise.resolve(jsonResponse(200, { state: 'stopped', data: { resources } }))
+    })
+
+    const pages = [
+      { pagePath: '/byom-page/a', nationality: 'US' },
+      { pagePath: '/byom-page/b', nationality: 'FR' },
+      { pagePath: '/byom-page/c', nationality: 'US' }
+    ]
+    const options = { concurrency: 2, bulkThreshold: 3, polling }
+    const response = await batch.publishBatch('token', projectCoords, pages, options, logger)
+
+    expect(response.statusCode).toBe(207)
+    expect(response.body.mode).toBe('bulk')
+    expect(response.body.succeeded).toBe(2)
+    expect(response.body.results).toEqual([
+      { pagePath: '/byom-page/a', previewSuccessful: true, previewStatus: 200, publishSuccessful: true, publishStatus: 200 },
+      { pagePath: '/byom-page/b', previewSuccessful: true, previewStatus: 200, publishSuccessful: true, publishStatus: 200 },
+      { pagePath: '/byom-page/c', previewSuccessful: false, previewStatus: 404, publishSuccessful: false }
+    ])
+
+    const starts = fetch.mock.calls.filter(([url]) => url.endsWith('/*'))
+    expect(starts.map(([url, options]) => [url, options.headers['x-content-source-location'], JSON.parse(options.body).paths])).toEqual([
+      [`https://admin.hlx.page/preview/${projectCoords}/*`, 'US', ['/byom-page/a', '/byom-page/c']],
+      [`https://admin.hlx.page/live/${projectCoords}/*`, 'US', ['/byom-page/a']],
+      [`https://admin.hlx.page/preview/${projectCoords}/*`, 'FR', ['/byom-page/b']],
+      [`https://admin.hlx.page/live/${projectCoords}/*`, 'FR', ['/byom-page/b']]
+    ])
+    expect(fetch).toHaveBeenCalledWith(`https://admin.hlx.page/job/${projectCoords}/preview/job-1/details`, expect.any(Object))
+  })
+
+  test('fails all pages when a bulk job does not finish', async () => {
+    fetch.mockImplementation((url) => {
+      if (url.endsWith('/*')) {
+        return Promise.resolve(jsonResponse(202, { job: { name: 'job-1' } }))
+      }
+      return Promise.resolve(jsonResponse(200, { state: 'running' }))
+    })
+
+    const pages = [{ pagePath: '/byom-page/a' }, { pagePath: '/byom-page/b' }]
+    const response = await batch.publishBatch('token', projectCoords, pages, { concurrency: 1, bulkThreshold: 1, polling }, logger)
+
+    expect(response.statusCode).toBe(500)
+    expect(response.body.status).toBe('failed')
+    expect(response.body.jobs).toEqual([{ topic: 'preview', name: 'job-1', nationality: undefined, paths: 2, success: false }])
+    expect(fetch).toHaveBeenCalledTimes(1 + polling.maxPolls)
+    expect(logger.error).toHaveBeenCalledWith('Bulk preview job job-1 did not finish after 3 polls')
+  })
+})
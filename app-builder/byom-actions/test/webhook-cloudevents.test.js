@@ -0,0 +1,114 @@
+/* 
+* <license header>
+*/
+
+const cloudevents = require('./../actions/webhook/cloudevents.js')
+
+const structured = {
+  specversion: '1.0',
+  type: 'com.example.user.updated',
+  source: '/crm/users',
+  id: 'evt-1',
+  subject: 'user-42',
+  datacontenttype: 'application/json',
+  data: { username: 'JaneRoe', nat: 'GB' }
+}
+
+describe('readChallenge', () => {
+  test('reads the challenge from params, query string or body', () => {
+    expect(cloudevents.readChallenge({ challenge: 'a' }, {})).toBe('a')
+    expect(cloudevents.readChallenge({ __ow_query: 'challenge=b&x=1' }, {})).toBe('b')
+    expect(cloudevents.readChallenge({}, { challenge: 'c' })).toBe('c')
+    expect(cloudevents.readChallenge({}, { challenge: 42 })).toBeUndefined()
+    expect(cloudevents.readChallenge({}, {})).toBeUndefined()
+  })
+})
+
+describe('readCloudEvent', () => {
+  test('reads structured events', () => {
+    const body = JSON.stringify(structured)
+    const event = cloudevents.readCloudEvent({ 'content-type': 'application/cloudevents+json' }, body, structured)
+    expect(event.id).toBe('evt-1')
+    expect(event.data).toEqual(structured.data)
+  })
+
+  test('reads structured events delivered as plain JSON', () => {
+    const event = cloudevents.readCloudEvent({ 'content-type': 'application/json' }, JSON.stringify(structured), structured)
+    expect(event.type).toBe('com.example.user.updated')
+  })
+
+  test('reads binary events', () => {
+    const headers = {
+      'content-type': 'application/json',
+      'ce-specversion': '1.0',
+      'ce-type': 'com.example.user.deleted',
+      'ce-source': '/crm/users',
+      'ce-id': 'evt-2'
+    }
+    const event = cloudevents.readCloudEvent(headers, JSON.stringify({ id: 'u1' }), { id: 'u1' })
+    expect(event.type).toBe('com.example.user.deleted')
+    expect(event.data).toEqual({ id: 'u1' })
+  })
+
+  test('returns null for plain requests', () => {
+    expect(cloudevents.readCloudEvent({ 'content-type': 'application/json' }, '{"NATIONALITY":"US"}', { NATIONALITY: 'US' })).toBeNull()
+  })
+
+  test('rejects invalid events', () => {
+    const invalid = { specversion: '1.0', type: 'com.example.user.updated', id: 'evt-3' }
+    expect(() => cloudevents.readCloudEvent({}, JSON.stringify(invalid), invalid)).toThrow("invalid CloudEvent: should have required property 'source'")
+  })
+})
+
+describe('mapEventType', () => {
+  test.each([
+    ['com.example.user.created', 'publish'],
+    ['com.example.user.updated', 'publish'],
+    ['com.example.user.published', 'publish'],
+    ['com.example.user.unpublished', 'unpublish'],
+    ['com.example.user.deleted', 'delete'],
+    ['com.example.user.viewed', null]
+  ])('%s -> %s', (type, expected) => {
+    expect(cloudevents.mapEventType(type)).toBe(expected)
+  })
+
+  test('prefers the explicit type map', () => {
+    expect(cloudevents.mapEventType('com.example.user.viewed', { 'com.example.user.viewed': 'publish' })).toBe('publish')
+  })
+})
+
+describe('eventToInputs', () => {
+  test('maps event data to page inputs', () => {
+    expect(cloudevents.eventToInputs(structured)).toEqual({
+      OPERATION: 'publish',
+      IDEMPOTENCY_KEY: '/crm/users:evt-1',
+      PAGE_ID: 'JaneRoe',
+      NATIONALITY: 'GB'
+    })
+  })
+
+  test('falls back to the subject and prefers explicit paths', () => {
+    expect(cloudevents.eventToInputs({ ...structured, data: {} }).PAGE_ID).toBe('user-42')
+    expect(cloudevents.eventToInputs({ ...structured, data: { path: '/byom-page/x', id: 'y' } })).toEqual(expect.objectContaining({ PAGE_PATH: '/byom-page/x' }))
+  })
+
+  test('returns null for unmapped types', () => {
+    expect(cloudevents.eventToInputs({ ...structured, type: 'com.example.user.viewed' })).toBeNull()
+  })
+})
+
+describe('resolveTypeMap', () => {
+  test('accepts objects and JSON strings', () => {
+    expect(cloudevents.resolveTypeMap({ EVENT_TYPE_MAP: '{"a":"delete"}' })).toEqual({ a: 'delete' })
+    expect(cloudevents.resolveTypeMap({ EVENT_TYPE_MAP: { a: 'publish' } })).toEqual({ a: 'publish' })
+    expect(cloudevents.resolveTypeMap({})).toBeUndefined()
+  })
+
+  test('falls back to the defaults for malformed maps', () => {
+    const logger = { warn: jest.fn() }
+    expect(cloudevents.resolveTypeMap({ EVENT_TYPE_MAP: '{"a":"delete"' }, logger)).toBeUndefined()
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('EVENT_TYPE_MAP is not valid JSON'))
+    expect(cloudevents.resolveTypeMap({ EVENT_TYPE_MAP: '["a"]' }, logger)).toBeUndefined()
+    expect(logger.warn).toHaveBeenCalledWith('EVENT_TYPE_MAP is not an object, using the default event types')
+  })
+})
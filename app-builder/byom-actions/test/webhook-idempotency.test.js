@@ -0,0 +1,96 @@
+/* 
+* <license header>
+*/
+
+const { createMemoryStore } = require('./../actions/state.js')
+const idempotency = require('./../actions/webhook/idempotency.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+const ok = { statusCode: 200, body: { pagePath: '/byom-page/a' } }
+
+describe('readIdempotencyKey', () => {
+  test('prefers the header over the body', () => {
+    const params = { __ow_headers: { 'idempotency-key': 'header' } }
+    expect(idempotency.readIdempotencyKey(params, { IDEMPOTENCY_KEY: 'body' })).toBe('header')
+    expect(idempotency.readIdempotencyKey({}, { IDEMPOTENCY_KEY: 'body' })).toBe('body')
+    expect(idempotency.readIdempotencyKey({}, { idempotencyKey: 42 })).toBe('42')
+    expect(idempotency.readIdempotencyKey({}, {})).toBeUndefined()
+  })
+})
+
+describe('fingerprintRequest', () => {
+  test('covers the body and the request inputs among the params', () => {
+    const inputs = ['PAGE_PATH', 'OPERATION']
+    const body = Buffer.from('{}').toString('base64')
+    const base = idempotency.fingerprintRequest({ __ow_body: body, PAGE_PATH: '/byom-page/a' }, inputs)
+    expect(idempotency.fingerprintRequest({ __ow_body: body, PAGE_PATH: '/byom-page/a', TOKEN: 'other' }, inputs)).toBe(base)
+    expect(idempotency.fingerprintRequest({ __ow_body: body, PAGE_PATH: '/byom-page/b' }, inputs)).not.toBe(base)
+    expect(idempotency.fingerprintRequest({ __ow_body: body, PAGE_PATH: '/byom-page/a', OPERATION: 'delete' }, inputs)).not.toBe(base)
+    expect(idempotency.fingerprintRequest({ PAGE_PATH: '/byom-page/a' }, inputs)).not.toBe(base)
+  })
+})
+
+describe('withIdempotency', () => {
+  test('runs the handler once and replays its response', async () => {
+    const store = createMemoryStore()
+    const handler = jest.fn().mockResolvedValue(ok)
+
+    const first = await idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+    const second = await idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(first).toBe(ok)
+    expect(second).toEqual({ ...ok, headers: { 'Idempotent-Replayed': 'true' } })
+  })
+
+  test('runs again once the ttl has passed', async () => {
+    let now = 0
+    const store = createMemoryStore(() => now)
+    const handler = jest.fn().mockResolvedValue(ok)
+
+    await idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+    now = 61000
+    await idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+
+    expect(handler).toHaveBeenCalledTimes(2)
+  })
+
+  test('returns 409 while the first run is in progress', async () => {
+    const store = createMemoryStore()
+    let finish
+    const handler = () => new Promise(resolve => { finish = resolve })
+
+    const first = idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+    await new Promise(resolve => setImmediate(resolve))
+    const second = await idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+    finish(ok)
+
+    expect(second.error.statusCode).toBe(409)
+    await expect(first).resolves.toBe(ok)
+  })
+
+  test('returns 422 when the key is reused for a different request', async () => {
+    const store = createMemoryStore()
+    await idempotency.withIdempotency(store, 'key', 'fp-1', 60, () => Promise.resolve(ok), logger)
+    const response = await idempotency.withIdempotency(store, 'key', 'fp-2', 60, () => Promise.resolve(ok), logger)
+    expect(response.error.statusCode).toBe(422)
+  })
+
+  test('forgets server errors and thrown errors', async () => {
+    const store = createMemoryStore()
+    const handler = jest.fn()
+      .mockResolvedValueOnce({ statusCode: 500, body: {} })
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce(ok)
+
+    await idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)
+    await expect(idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)).rejects.toThrow('boom')
+    await expect(idempotency.withIdempotency(store, 'key', 'fp', 60, handler, logger)).resolves.toBe(ok)
+    expect(handler).toHaveBeenCalledTimes(3)
+  })
+
+  test('rejects overly long keys', async () => {
+    const response = await idempotency.withIdempotency(createMemoryStore(), 'k'.repeat(256), 'fp', 60, jest.fn(), logger)
+    expect(response.error.statusCode).toBe(400)
+  })
+})
@@ -0,0 +1,114 @@
+/* 
+* <license header>
+*/
+
+jest.mock('./../actions/utils.js', () => ({
+  ...jest.requireActual('./../actions/utils.js'),
+  sleep: jest.fn(() => Promise.resolve())
+}))
+
+const { sleep } = require('./../actions/utils.js')
+const retry = require('./../actions/webhook/retry.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+const policy = { attempts: 4, baseDelay: 100, maxDelay: 1000, jitter: 0 }
+
+beforeEach(() => {
+  sleep.mockClear()
+  logger.info.mockReset()
+})
+
+describe('resolveRetryPolicy', () => {
+  test('uses defaults', () => {
+    expect(retry.resolveRetryPolicy({})).toEqual(retry.DEFAULT_RETRY_POLICY)
+  })
+
+  test('reads and clamps params', () => {
+    expect(retry.resolveRetryPolicy({ RETRY_ATTEMPTS: '0', RETRY_BASE_DELAY: '250', RETRY_MAX_DELAY: 2000, RETRY_JITTER: 3 })).toEqual({
+      attempts: 1,
+      baseDelay: 250,
+      maxDelay: 2000,
+      jitter: 1
+    })
+  })
+})
+
+describe('isRetryable', () => {
+  test.each([
+    [{ error: new Error('socket hang up') }, true],
+    [{ status: 429 }, true],
+    [{ status: 500 }, true],
+    [{ status: 503 }, true],
+    [{ status: 200, previewStatus: 502 }, true],
+    [{ status: 200, previewStatus: 404 }, false],
+    [{ status: 401 }, false],
+    [{ status: 403 }, false],
+    [{ status: 404 }, false],
+    [{ status: 400 }, false]
+  ])('%p -> %p', (result, expected) => {
+    expect(retry.isRetryable(result)).toBe(expected)
+  })
+})
+
+describe('computeDelay', () => {
+  test('grows exponentially up to the max delay', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => retry.computeDelay(policy, attempt))).toEqual([100, 200, 400, 800, 1000])
+  })
+
+  test('applies jitter', () => {
+    const jittered = { ...policy, jitter: 0.5 }
+    expect(retry.computeDelay(jittered, 2, undefined, () => 0)).toBe(200)
+    expect(retry.computeDelay(jittered, 2, undefined, () => 1)).toBe(100)
+  })
+
+  test('prefers Retry-After, capped at the max delay', () => {
+    expect(retry.computeDelay(policy, 1, '0')).toBe(0)
+    expect(retry.computeDelay(policy, 1, '120')).toBe(1000)
+  })
+})
+
+describe('parseRetryAfter', () => {
+  test('parses seconds and HTTP dates', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Fri, 01 Nov 2024 10:00:00 GMT'))
+    expect(retry.parseRetryAfter('3')).toBe(3000)
+    expect(retry.parseRetryAfter('Fri, 01 Nov 2024 10:00:05 GMT')).toBe(5000)
+    expect(retry.parseRetryAfter('soon')).toBeNull()
+    expect(retry.parseRetryAfter(undefined)).toBeNull()
+    Date.now.mockRestore()
+  })
+})
+
+describe('withRetry', () => {
+  test('retries until success and waits between attempts', async () => {
+    const call = jest.fn()
+      .mockResolvedValueOnce({ success: false, status: 500 })
+      .mockResolvedValueOnce({ success: false, status: 429, retryAfter: '1', errorMessage: 'rate limited' })
+      .mockResolvedValueOnce({ success: true, status: 200 })
+
+    const { result, attempts } = await retry.withRetry(policy, call, 'Preview', logger)
+
+    expect(result.success).toBe(true)
+    expect(attempts).toEqual([
+      { attempt: 1, success: false, status: 500 },
+      { attempt: 2, success: false, status: 429, error: 'rate limited' },
+      { attempt: 3, success: true, status: 200 }
+    ])
+    expect(sleep.mock.calls).toEqual([[100], [1000]])
+  })
+
+  test('stops at fatal statuses', async () => {
+    const call = jest.fn().mockResolvedValue({ success: false, status: 403 })
+    const { attempts } = await retry.withRetry(policy, call, 'Publish', logger)
+    expect(attempts).toHaveLength(1)
+    expect(sleep).not.toHaveBeenCalled()
+    expect(logger.info).toHaveBeenCalledWith('Publish attempt 1 failed with a fatal status')
+  })
+
+  test('gives up after the configured attempts', async () => {
+    const call = jest.fn().mockResolvedValue({ success: false, status: 502 })
+    const { result, attempts } = await retry.withRetry(policy, call, 'Preview', logger)
+    expect(result.success).toBe(false)
+    expect(attempts).toHaveLength(4)
+    expect(sleep).toHaveBeenCalledTimes(3)
+  })
+})
@@ -0,0 +1,82 @@
+/* 
+* <license header>
+*/
+
+const { sign, verifySignature } = require('./../actions/webhook/signature.js')
+
+const secret = 'shared-secret'
+const rawBody = JSON.stringify({ NATIONALITY: 'US' })
+const now = 1730457600000
+const timestamp = String(now / 1000)
+
+const request = (headers, body = rawBody) => ({
+  __ow_headers: headers,
+  __ow_body: Buffer.from(body).toString('base64')
+})
+
+describe('verifySignature', () => {
+  describe('byom scheme', () => {
+    const headers = {
+      'x-byom-signature': `sha256=${sign(secret, `${timestamp}.${rawBody}`)}`,
+      'x-byom-timestamp': timestamp
+    }
+
+    test('accepts a valid signature', () => {
+      expect(verifySignature(request(headers), { secret, now })).toEqual({ valid: true })
+    })
+
+    test('rejects a missing signature', () => {
+      expect(verifySignature(request({}), { secret, now })).toEqual({ valid: false, reason: 'missing request signature' })
+    })
+
+    test('rejects a missing timestamp', () => {
+      const result = verifySignature(request({ 'x-byom-signature': headers['x-byom-signature'] }), { secret, now })
+      expect(result).toEqual({ valid: false, reason: 'missing request timestamp' })
+    })
+
+    test('rejects a tampered body', () => {
+      const result = verifySignature(request(headers, JSON.stringify({ NATIONALITY: 'FR' })), { secret, now })
+      expect(result).toEqual({ valid: false, reason: 'invalid request signature' })
+    })
+
+    test('rejects a wrong secret', () => {
+      expect(verifySignature(request(headers), { secret: 'other', now }).valid).toBe(false)
+    })
+
+    test('rejects replays outside the tolerance window', () => {
+      const result = verifySignature(request(headers), { secret, now: now + 301 * 1000 })
+      expect(result).toEqual({ valid: false, reason: 'request timestamp outside the tolerance window' })
+      expect(verifySignature(request(headers), { secret, now: now + 301 * 1000, tolerance: 600 }).valid).toBe(true)
+    })
+  })
+
+  describe('github scheme', () => {
+    test('accepts a signature over the raw body', () => {
+      const headers = { 'x-hub-signature-256': `sha256=${sign(secret, rawBody)}` }
+      expect(verifySignature(request(headers), { secret, scheme: 'github', now })).toEqual({ valid: true })
+    })
+
+    test('ignores headers of other schemes', () => {
+      const headers = { 'x-byom-signature': `sha256=${sign(secret, rawBody)}` }
+      expect(verifySignature(request(headers), { secret, scheme: 'github', now }).reason).toBe('missing request signature')
+    })
+  })
+
+  describe('stripe scheme', () => {
+    test('accepts any matching v1 signature', () => {
+      const valid = sign(secret, `${timestamp}.${rawBody}`)
+      const headers = { 'stripe-signature': `t=${timestamp},v1=${'0'.repeat(64)},v1=${valid}` }
+      expect(verifySignature(request(headers), { secret, scheme: 'stripe', now })).toEqual({ valid: true })
+    })
+
+    test('rejects stale timestamps', () => {
+      const old = String(Number(timestamp) - 3600)
+      const headers = { 'stripe-signature': `t=${old},v1=${sign(secret, `${old}.${rawBody}`)}` }
+      expect(verifySignature(request(headers), { secret, scheme: 'stripe', now }).reason).toBe('request timestamp outside the tolerance window')
+    })
+  })
+
+  test('rejects unknown schemes', () => {
+    expect(verifySignature(request({}), { secret, scheme: 'custom', now })).toEqual({ valid: false, reason: "unsupported signature scheme 'custom'" })
+  })
+})
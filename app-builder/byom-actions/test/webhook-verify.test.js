@@ -0,0 +1,215 @@
+/* 
+* <license header>
+*/
+
+jest.mock('node-fetch')
+const fetch = require('node-fetch')
+const verify = require('./../actions/webhook/verify.js')
+
+const logger = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+const projectCoords = 'owner/repo/main'
+const pagePath = '/byom-page/jane'
+const options = { interval: 0, maxPolls: 3, live: false }
+
+const PREVIEW_URL = 'https://main--repo--owner.aem.page/byom-page/jane'
+const LIVE_URL = 'https://main--repo--owner.aem.live/byom-page/jane'
+const STATUS_URL = 'https://admin.hlx.page/status/owner/repo/main/byom-page/jane'
+const INDEX_URL = 'https://admin.hlx.page/index/owner/repo/main/byom-page/jane'
+const CACHE_URL = 'https://admin.hlx.page/cache/owner/repo/main/byom-page/jane'
+
+const EARLIER = 'Sun, 05 Oct 2025 09:00:00 GMT'
+const PREVIEWED = 'Mon, 06 Oct 2025 10:00:00 GMT'
+const PUBLISHED = 'Mon, 06 Oct 2025 10:00:02 GMT'
+
+const jsonResponse = (status, payload) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(payload),
+  text: () => Promise.resolve(JSON.stringify(payload))
+})
+const htmlResponse = (userId, lastModified = PREVIEWED) => ({
+  ok: true,
+  status: 200,
+  headers: { get: (name) => (name === 'last-modified' ? lastModified : null) },
+  text: () => Promise.resolve(`<html><head><meta name="user-id" content="${userId}"></head></html>`)
+})
+const pageStatus = (live) => jsonResponse(200, { preview: { status: 200, lastModified: PREVIEWED }, live })
+const liveStatus = pageStatus({ status: 200, lastModified: PUBLISHED })
+const indexRecord = (userId, lastModified = PUBLISHED) => jsonResponse(200, {
+  results: [{ name: 'pages', record: { userId, lastModified: Date.parse(lastModified) / 1000 } }]
+})
+
+/**
+ * Routes fetch calls by URL; every route is a list of responses handed out in order, the last one repeating.
+ */
+function route(routes) {
+  const calls = {}
+  fetch.mockImplementation((url) => {
+    const responses = routes[url]
+    if (!responses) {
+      return Promise.reject(new Error(`unexpected request to ${url}`))
+    }
+    calls[url] = (calls[url] || 0) + 1
+    return Promise.resolve(responses[Math.min(calls[url], responses.length) - 1])
+  })
+}
+
+beforeEach(() => {
+  fetch.mockReset()
+  Object.values(logger).forEach(fn => fn.mockReset())
+})
+
+describe('resolveVerifyOptions', () => {
+  test('uses defaults', () => {
+    expect(verify.resolveVerifyOptions({})).toEqual(verify.DEFAULT_VERIFY_OPTIONS)
+  })
+
+  test('reads numeric params and the live flag', () => {
+    expect(verify.resolveVerifyOptions({ VERIFY_POLL_INTERVAL: '0', VERIFY_MAX_POLLS: 'x' }, true)).toEqual({
+      interval: 0,
+      maxPolls: 10,
+      live: true
+    })
+  })
+})
+
+describe('verifyPublication', () => {
+  test('verifies a live and indexed page', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-1')],
+      [STATUS_URL]: [liveStatus],
+      [INDEX_URL]: [indexRecord('u-1')]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, options, logger)
+
+    expect(outcome).toEqual({
+      verified: true,
+      expectedUserId: 'u-1',
+      live: true,
+      lastModified: PUBLISHED,
+      indexed: true,
+      indexedUserId: 'u-1',
+      indexedLastModified: PUBLISHED,
+      purged: false,
+      polls: 1
+    })
+    expect(fetch).toHaveBeenCalledWith(PREVIEW_URL, { headers: { 'cache-control': 'no-cache', authorization: 'token token' } })
+  })
+
+  test('waits for a live version newer than the preview', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-1')],
+      [STATUS_URL]: [pageStatus({ status: 404 }), pageStatus({ status: 200, lastModified: EARLIER }), liveStatus],
+      [INDEX_URL]: [indexRecord('u-1')]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, { ...options, maxPolls: 5 }, logger)
+
+    expect(outcome.verified).toBe(true)
+    expect(outcome.polls).toBe(3)
+  })
+
+  test('polls until the index shows the published user and version', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-2')],
+      [STATUS_URL]: [liveStatus],
+      [INDEX_URL]: [jsonResponse(404, {}), indexRecord('u-1'), indexRecord('u-2', EARLIER), indexRecord('u-2')]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, { ...options, maxPolls: 5 }, logger)
+
+    expect(outcome.verified).toBe(true)
+    expect(outcome.polls).toBe(4)
+  })
+
+  test('reports a page that never gets indexed', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-2')],
+      [STATUS_URL]: [liveStatus],
+      [INDEX_URL]: [indexRecord('u-2', EARLIER)]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, options, logger)
+
+    expect(outcome).toEqual(expect.objectContaining({
+      verified: false,
+      live: true,
+      indexed: false,
+      indexedUserId: 'u-2',
+      indexedLastModified: EARLIER,
+      polls: 3,
+      reason: `index does not show user u-2 as of ${PUBLISHED} after 3 poll(s)`
+    }))
+  })
+
+  test('purges the cache once when the live URL is stale', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-2')],
+      [STATUS_URL]: [liveStatus],
+      [INDEX_URL]: [indexRecord('u-2')],
+      [LIVE_URL]: [htmlResponse('u-1', EARLIER), htmlResponse('u-2', EARLIER), htmlResponse('u-2', PUBLISHED)],
+      [CACHE_URL]: [jsonResponse(200, {})]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, { ...options, live: true }, logger)
+
+    expect(outcome).toEqual(expect.objectContaining({ verified: true, cdnFresh: true, purged: true, polls: 3 }))
+    expect(fetch).toHaveBeenCalledWith(LIVE_URL, { headers: { 'cache-control': 'no-cache' } })
+    const purges = fetch.mock.calls.filter(([url]) => url === CACHE_URL)
+    expect(purges).toEqual([[CACHE_URL, { method: 'POST', headers: { authorization: 'token token' } }]])
+  })
+
+  test('reports a live URL that keeps serving an older version', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-2')],
+      [STATUS_URL]: [liveStatus],
+      [INDEX_URL]: [indexRecord('u-2')],
+      [LIVE_URL]: [htmlResponse('u-2', EARLIER)],
+      [CACHE_URL]: [jsonResponse(200, {})]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, { ...options, live: true }, logger)
+
+    expect(outcome).toEqual(expect.objectContaining({
+      verified: false,
+      cdnFresh: false,
+      purged: true,
+      reason: `live URL does not serve user u-2 as of ${PUBLISHED} after 3 poll(s)`
+    }))
+  })
+
+  test('reports a page that never goes live', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-1')],
+      [STATUS_URL]: [jsonResponse(500, {})]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, options, logger)
+
+    expect(outcome.verified).toBe(false)
+    expect(outcome.lastModified).toBeNull()
+    expect(outcome.reason).toBe('page not live after 3 poll(s)')
+    expect(fetch).not.toHaveBeenCalledWith(INDEX_URL, expect.anything())
+  })
+
+  test('does not take a live version without lastModified for the published one', async () => {
+    route({
+      [PREVIEW_URL]: [htmlResponse('u-1')],
+      [STATUS_URL]: [pageStatus({ status: 200 })]
+    })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, options, logger)
+
+    expect(outcome).toEqual(expect.objectContaining({ verified: false, live: false, polls: 3 }))
+  })
+
+  test('gives up without a user-id on the preview page', async () => {
+    route({ [PREVIEW_URL]: [jsonResponse(401, {})] })
+
+    const outcome = await verify.verifyPublication('token', projectCoords, pagePath, options, logger)
+
+    expect(outcome).toEqual(expect.objectContaining({ verified: false, expectedUserId: null, polls: 0, reason: 'preview page has no user-id meta' }))
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+})
@@ -5,15 +5,23 @@
 jest.mock('@adobe/aio-sdk', () => ({
   Core: {
     Logger: jest.fn()
+  },
+  State: {
+    init: jest.fn()
   }
 }))
 
-const { Core } = require('@adobe/aio-sdk')
-const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+const { Core, State } = require('@adobe/aio-sdk')
+const { createMemoryStore } = require('./../actions/state.js')
+const mockLoggerInstance = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
 Core.Logger.mockReturnValue(mockLoggerInstance)
 
 jest.mock('node-fetch')
 const fetch = require('node-fetch')
+jest.mock('openwhisk')
+const openwhisk = require('openwhisk')
+const mockInvoke = jest.fn()
+openwhisk.mockReturnValue({ actions: { invoke: mockInvoke } })
 const action = require('./../actions/webhook/index.js')
 
 const FIXED_TIME = 1730457600000
@@ -23,8 +31,12 @@ beforeEach(() => {
   Core.Logger.mockClear()
   mockLoggerInstance.info.mockReset()
   mockLoggerInstance.debug.mockReset()
+  mockLoggerInstance.warn.mockReset()
   mockLoggerInstance.error.mockReset()
   fetch.mockReset()
+  State.init.mockReset()
+  State.init.mockResolvedValue(createMemoryStore())
+  mockInvoke.mockReset()
   jest.spyOn(Date, 'now').mockReturnValue(FIXED_TIME)
 })
 
@@ -35,7 +47,8 @@ afterEach(() => {
 const baseParams = {
   LOG_LEVEL: 'info',
   PROJECT_COORDS: 'owner/repo/main',
-  TOKEN: 'aem-token'
+  TOKEN: 'aem-token',
+  RETRY_BASE_DELAY: 0
 }
 
 describe('webhook', () => {
@@ -58,7 +71,8 @@ describe('webhook', () => {
     expect(response).toEqual({
       error: {
         statusCode: 400,
-        body: { error: "missing parameter(s) 'TOKEN'" }
+        headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+        body: expect.objectContaining({ status: 400, detail: "missing parameter(s) 'TOKEN'" })
       }
     })
   })
@@ -220,6 +234,800 @@ describe('webhook', () => {
     expect(response.body.previewSuccessful).toBe(true)
     expect(response.body.publishSuccessful).toBe(false)
     expect(response.body.pagePath).toBe(fixedPath)
-    expect(mockLoggerInstance.error).toHaveBeenCalledWith(`Publish failed for path: ${fixedPath}`)
+    expect(mockLoggerInstance.error).toHaveBeenCalledWith(expect.stringContaining(`Publish failed for path: ${fixedPath}`))
+  })
+
+  describe('correlation IDs', () => {
+    const previewSuccess = { ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) }
+
+    test('should forward a generated correlation ID to the data provider and return it', async () => {
+      fetch.mockResolvedValue(previewSuccess)
+
+      const response = await action.main(baseParams)
+
+      const correlationId = response.headers['x-correlation-id']
+      expect(correlationId).toMatch(/^[0-9a-f-]{36}$/)
+      for (const [, options] of fetch.mock.calls) {
+        expect(options.headers['x-content-source-correlation-id']).toBe(correlationId)
+      }
+      expect(mockLoggerInstance.info).toHaveBeenCalledWith(`[${correlationId}] Invoked webhook action`)
+    })
+
+    test('should keep the correlation ID of the caller', async () => {
+      fetch.mockResolvedValue(previewSuccess)
+
+      const response = await action.main({ ...baseParams, __ow_headers: { 'x-correlation-id': 'crm-sync-42' } })
+
+      expect(response.headers['x-correlation-id']).toBe('crm-sync-42')
+      expect(fetch.mock.calls[0][1].headers['x-content-source-correlation-id']).toBe('crm-sync-42')
+    })
+
+    test('should return problem documents with the correlation ID', async () => {
+      const response = await action.main({ PROJECT_COORDS: 'owner/repo/main', __ow_headers: { 'x-correlation-id': 'crm-sync-42' } })
+
+      expect(response.error.headers).toEqual({ 'Content-Type': 'application/problem+json', 'x-correlation-id': 'crm-sync-42' })
+      expect(response.error.body).toEqual(expect.objectContaining({ code: 'MISSING_PARAM', correlationId: 'crm-sync-42' }))
+    })
+  })
+
+  describe('redaction', () => {
+    test('should never log the tokens of the params, request body or headers', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) })
+      const body = { NATIONALITY: 'ES', TOKEN: 'body-admin-token' }
+
+      const response = await action.main({
+        ...baseParams,
+        LOG_LEVEL: 'debug',
+        TOKEN: 'params-admin-token',
+        __ow_body: Buffer.from(JSON.stringify(body)).toString('base64'),
+        __ow_method: 'post',
+        __ow_headers: { authorization: 'Bearer aio-access-token', cookie: 'session=abc' }
+      })
+
+      expect(response.statusCode).toBe(200)
+      const logged = JSON.stringify(Object.values(mockLoggerInstance).map(fn => fn.mock.calls))
+      expect(logged).toContain('Parsed body params')
+      for (const secret of ['body-admin-token', 'params-admin-token', 'aio-access-token', 'session=abc']) {
+        expect(logged).not.toContain(secret)
+      }
+    })
+
+    test('should mask keys added with REDACT_KEYS', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) })
+      const body = { PROJECT_COORDS: 'owner/repo/main', TOKEN: 'aem-token', CRM_SESSION: 'crm-session-1' }
+
+      await action.main({ RETRY_BASE_DELAY: 0, REDACT_KEYS: 'crm-session', __ow_body: Buffer.from(JSON.stringify(body)).toString('base64') })
+
+      expect(JSON.stringify(mockLoggerInstance.debug.mock.calls)).not.toContain('crm-session-1')
+    })
+  })
+
+  describe('unpublish and delete operations', () => {
+    const existingPath = '/byom-page/1730000000000'
+    const noContent = {
+      ok: true,
+      status: 204,
+      json: () => Promise.reject(new Error('no body'))
+    }
+
+    test('should return 400 when PAGE_PATH is missing for unpublish', async () => {
+      const response = await action.main({ ...baseParams, OPERATION: 'unpublish' })
+      expect(response).toEqual({
+        error: {
+          statusCode: 400,
+          headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+          body: expect.objectContaining({ status: 400, detail: "missing parameter(s) 'PAGE_PATH'" })
+        }
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should return 400 for unsupported operations', async () => {
+      const response = await action.main({ ...baseParams, OPERATION: 'archive', PAGE_PATH: existingPath })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toContain("unsupported operation 'archive'")
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should report an unsupported operation without a path as an invalid parameter', async () => {
+      const response = await action.main({ ...baseParams, OPERATION: 'archive' })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body).toEqual(expect.objectContaining({
+        code: 'INVALID_PARAM',
+        detail: expect.stringContaining("unsupported operation 'archive'")
+      }))
+    })
+
+    test('should return 400 when PAGE_PATH is not an overlay path', async () => {
+      const response = await action.main({ ...baseParams, OPERATION: 'delete', PAGE_PATH: '/index' })
+      expect(response).toEqual({
+        error: {
+          statusCode: 400,
+          headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+          body: expect.objectContaining({ status: 400, detail: "'/index' is not an overlay page path" })
+        }
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should only remove the live copy on unpublish', async () => {
+      fetch.mockResolvedValueOnce(noContent)
+
+      const response = await action.main({ ...baseParams, OPERATION: 'unpublish', PAGE_PATH: existingPath })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body).toEqual({
+        operation: 'unpublish',
+        unpublishSuccessful: true,
+        unpublishStatus: 204,
+        pagePath: existingPath
+      })
+      expect(fetch).toHaveBeenCalledTimes(1)
+      const [url, options] = fetch.mock.calls[0]
+      expect(url).toBe(`https://admin.hlx.page/live/${baseParams.PROJECT_COORDS}${existingPath}`)
+      expect(options.method).toBe('DELETE')
+    })
+
+    test('should un-live first and then remove the preview on delete', async () => {
+      fetch
+        .mockResolvedValueOnce(noContent)
+        .mockResolvedValueOnce(noContent)
+
+      // operation and path may also be sent in the JSON body
+      const bodyBase64 = Buffer.from(JSON.stringify({ operation: 'delete', pagePath: 'byom-page/1730000000000/' })).toString('base64')
+      const response = await action.main({ ...baseParams, __ow_body: bodyBase64 })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body).toEqual({
+        operation: 'delete',
+        unpublishSuccessful: true,
+        unpublishStatus: 204,
+        previewDeleteSuccessful: true,
+        previewDeleteStatus: 204,
+        pagePath: existingPath
+      })
+      expect(fetch.mock.calls.map(([url, options]) => [url, options.method])).toEqual([
+        [`https://admin.hlx.page/live/${baseParams.PROJECT_COORDS}${existingPath}`, 'DELETE'],
+        [`https://admin.hlx.page/preview/${baseParams.PROJECT_COORDS}${existingPath}`, 'DELETE']
+      ])
+    })
+
+    test('should treat already removed resources as success', async () => {
+      const notFound = { ok: false, status: 404, statusText: 'Not Found', text: () => Promise.resolve('') }
+      fetch
+        .mockResolvedValueOnce(notFound)
+        .mockResolvedValueOnce(notFound)
+
+      const response = await action.main({ ...baseParams, OPERATION: 'delete', PAGE_PATH: existingPath })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.unpublishSuccessful).toBe(true)
+      expect(response.body.previewDeleteSuccessful).toBe(true)
+    })
+
+    test('should keep the preview and return 500 when un-live fails', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Server Error', text: () => Promise.resolve('failure') })
+
+      const response = await action.main({ ...baseParams, OPERATION: 'delete', PAGE_PATH: existingPath })
+
+      expect(response.statusCode).toBe(500)
+      expect(response.body.unpublishSuccessful).toBe(false)
+      expect(response.body.previewDeleteSuccessful).toBe(false)
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(mockLoggerInstance.error).toHaveBeenCalledWith(expect.stringContaining(`Unpublish failed for path: ${existingPath}`))
+    })
+  })
+
+  describe('stable page paths', () => {
+    const previewSuccess = { ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) }
+    const publishSuccess = { ok: true, status: 200, json: () => Promise.resolve({ status: 200 }) }
+
+    test('should derive the page path from PAGE_ID', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+
+      const response = await action.main({ ...baseParams, PAGE_ID: '123E4567-e89b-12d3-a456-426614174000' })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.pagePath).toBe('/byom-page/123e4567-e89b-12d3-a456-426614174000')
+      expect(fetch.mock.calls[0][0]).toBe(`https://admin.hlx.page/preview/${baseParams.PROJECT_COORDS}/byom-page/123e4567-e89b-12d3-a456-426614174000`)
+    })
+
+    test('should republish to an explicit PAGE_PATH', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+
+      const bodyBase64 = Buffer.from(JSON.stringify({ pagePath: '/byom-page/johndoe123' })).toString('base64')
+      const response = await action.main({ ...baseParams, __ow_body: bodyBase64 })
+
+      expect(response.body.pagePath).toBe('/byom-page/johndoe123')
+    })
+
+    test('should resolve the path to remove from PAGE_ID', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, status: 204, json: () => Promise.reject(new Error('no body')) })
+
+      const response = await action.main({ ...baseParams, OPERATION: 'unpublish', PAGE_ID: 'johndoe123' })
+
+      expect(response.statusCode).toBe(200)
+      expect(fetch.mock.calls[0][0]).toBe(`https://admin.hlx.page/live/${baseParams.PROJECT_COORDS}/byom-page/johndoe123`)
+    })
+
+    test('should return 400 when PAGE_ID has no usable characters', async () => {
+      const response = await action.main({ ...baseParams, PAGE_ID: '../!!' })
+      expect(response).toEqual({
+        error: {
+          statusCode: 400,
+          headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+          body: expect.objectContaining({ status: 400, detail: "'../!!' cannot be used as a page id" })
+        }
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should return 400 when PAGE_ID names a routed page type', async () => {
+      const response = await action.main({ ...baseParams, PAGE_ID: 'Directory' })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toBe("'Directory' cannot be used as a page id")
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should return 400 when PAGE_PATH is below a routed page type', async () => {
+      const response = await action.main({ ...baseParams, PAGE_PATH: '/byom-page/users/jane' })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toBe("'/byom-page/users/jane' is not an overlay page path")
+      expect(fetch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('toPathSegment', () => {
+    test.each([
+      ['johndoe123', 'johndoe123'],
+      ['John.Doe_42', 'john-doe-42'],
+      ['  Émilie Dupont  ', 'emilie-dupont'],
+      ['../../etc/passwd', 'etc-passwd'],
+      [42, '42'],
+      ['---', null],
+      [undefined, null]
+    ])('%p -> %p', (input, expected) => {
+      expect(action.toPathSegment(input)).toBe(expected)
+    })
+
+    test('should cap the segment length', () => {
+      expect(action.toPathSegment('a'.repeat(300))).toHaveLength(100)
+    })
+  })
+
+  test('generatePagePath should fall back to the timestamp', () => {
+    expect(action.generatePagePath()).toBe(fixedPath)
+    expect(action.generatePagePath('Jane Roe')).toBe('/byom-page/jane-roe')
+  })
+
+  test('normalizePagePath should reject junk and traversal', () => {
+    expect(action.normalizePagePath('byom-page/abc/')).toBe('/byom-page/abc')
+    expect(action.normalizePagePath('/byom-pageX/abc')).toBeNull()
+    expect(action.normalizePagePath('/byom-page/../index')).toBeNull()
+    expect(action.normalizePagePath('/byom-page/a b')).toBeNull()
+  })
+
+  test('normalizePagePath should reject the segments of routed page types', () => {
+    expect(action.normalizePagePath('/byom-page/teams/platform')).toBeNull()
+    expect(action.normalizePagePath('/byom-page/countries/fr/cohort')).toBeNull()
+    expect(action.normalizePagePath('/byom-page/directory')).toBeNull()
+    expect(action.normalizePagePath('/byom-page/teamsters')).toBe('/byom-page/teamsters')
+  })
+
+  describe('batch mode', () => {
+    test('should publish every page and aggregate the results', async () => {
+      fetch.mockImplementation((url) => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(url.includes('/preview/') ? { preview: { status: 200 } } : {})
+      }))
+
+      const pages = [{ id: 'Jane Roe' }, { path: '/byom-page/john', nationality: 'GB' }]
+      const bodyBase64 = Buffer.from(JSON.stringify({ pages, NATIONALITY: 'US' })).toString('base64')
+      const response = await action.main({ ...baseParams, __ow_body: bodyBase64 })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.status).toBe('succeeded')
+      expect(response.body.results.map(result => result.pagePath)).toEqual(['/byom-page/jane-roe', '/byom-page/john'])
+      const locations = Object.fromEntries(fetch.mock.calls.map(([url, options]) => [url, options.headers['x-content-source-location']]))
+      expect(locations[`https://admin.hlx.page/preview/${baseParams.PROJECT_COORDS}/byom-page/jane-roe`]).toBe('US')
+      expect(locations[`https://admin.hlx.page/preview/${baseParams.PROJECT_COORDS}/byom-page/john`]).toBe('GB')
+    })
+
+    test('should return 400 for an empty batch', async () => {
+      const response = await action.main({ ...baseParams, PAGES: [] })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toBe("'PAGES' must be a non-empty array of at most 1000 page descriptors")
+    })
+
+    test('should return 400 for unresolvable or duplicate descriptors', async () => {
+      const response = await action.main({ ...baseParams, PAGES: [{ id: 'a' }, {}, { path: '/byom-page/a' }, { path: '/other' }, { id: 'users' }] })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toBe('invalid page descriptor(s) at index 1, 2, 3, 4')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should reject batches for reverse operations', async () => {
+      const response = await action.main({ ...baseParams, OPERATION: 'delete', PAGES: [{ id: 'a' }] })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toBe("batch mode does not support operation 'delete'")
+    })
+  })
+
+  describe('signature verification', () => {
+    const { sign } = require('./../actions/webhook/signature.js')
+    const secret = 'shared-secret'
+    const bodyJson = JSON.stringify({ PAGE_ID: 'jane' })
+
+    test('should return 401 for unsigned requests when a secret is configured', async () => {
+      const response = await action.main({ ...baseParams, WEBHOOK_SECRET: secret, __ow_body: Buffer.from(bodyJson).toString('base64') })
+      expect(response).toEqual({
+        error: {
+          statusCode: 401,
+          headers: expect.objectContaining({ 'Content-Type': 'application/problem+json' }),
+          body: expect.objectContaining({ status: 401, detail: 'missing request signature' })
+        }
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should run the pipeline for signed requests', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) })
+
+      const timestamp = String(Math.floor(FIXED_TIME / 1000))
+      const response = await action.main({
+        ...baseParams,
+        WEBHOOK_SECRET: secret,
+        __ow_body: Buffer.from(bodyJson).toString('base64'),
+        __ow_headers: {
+          'x-byom-signature': `sha256=${sign(secret, `${timestamp}.${bodyJson}`)}`,
+          'x-byom-timestamp': timestamp
+        }
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.pagePath).toBe('/byom-page/jane')
+    })
+  })
+
+  describe('idempotency', () => {
+    const previewSuccess = { ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) }
+    const publishSuccess = { ok: true, status: 200, json: () => Promise.resolve({}) }
+
+    test('should replay the first response for a repeated Idempotency-Key', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+      const params = { ...baseParams, __ow_headers: { 'idempotency-key': 'delivery-1' } }
+
+      const first = await action.main(params)
+      Date.now.mockReturnValue(FIXED_TIME + 1000)
+      const second = await action.main(params)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(first.body.pagePath).toBe(fixedPath)
+      expect(second.statusCode).toBe(200)
+      expect(second.body).toEqual(first.body)
+      expect(second.headers['Idempotent-Replayed']).toBe('true')
+      expect(State.init).toHaveBeenCalled()
+    })
+
+    test('should accept the key in the body', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+      const params = { ...baseParams, __ow_body: Buffer.from(JSON.stringify({ idempotencyKey: 'delivery-2' })).toString('base64') }
+
+      await action.main(params)
+      const second = await action.main(params)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(second.headers['Idempotent-Replayed']).toBe('true')
+    })
+
+    test('should reject a repeated key with different request params', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+      const params = { ...baseParams, PAGE_PATH: '/byom-page/jane', __ow_headers: { 'idempotency-key': 'delivery-4' } }
+
+      await action.main(params)
+      const second = await action.main({ ...params, PAGE_PATH: '/byom-page/john', OPERATION: 'delete' })
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(second.error.statusCode).toBe(422)
+    })
+
+    test('should run again after a failed first run', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 500 } }) })
+      const params = { ...baseParams, __ow_headers: { 'idempotency-key': 'delivery-3' } }
+
+      await action.main(params)
+      await action.main(params)
+
+      expect(fetch).toHaveBeenCalledTimes(6)
+    })
+
+    test('should not use state storage without a key', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+      await action.main(baseParams)
+      expect(State.init).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('retry policy', () => {
+    const headers = (values) => ({ get: (name) => values[name] })
+
+    test('should not retry fatal preview statuses', async () => {
+      fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        headers: headers({ 'x-error': 'invalid token' }),
+        text: () => Promise.resolve('')
+      })
+
+      const response = await action.main(baseParams)
+
+      expect(response.statusCode).toBe(500)
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(response.body.previewAttempts).toEqual([{ attempt: 1, success: false, status: 401, error: 'invalid token' }])
+      expect(response.body.code).toBe('ADMIN_API_FORBIDDEN')
+    })
+
+    test('should report timeouts of the content source', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 504 } }) })
+
+      const response = await action.main({ ...baseParams, RETRY_ATTEMPTS: 1 })
+
+      expect(response.statusCode).toBe(500)
+      expect(response.body.code).toBe('UPSTREAM_TIMEOUT')
+    })
+
+    test('should not retry when the content source answers 404', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 404 } }) })
+
+      const response = await action.main(baseParams)
+
+      expect(response.body.previewSuccessful).toBe(false)
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test('should retry rate limited calls and honor Retry-After', async () => {
+      fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          statusText: 'Too Many Requests',
+          headers: headers({ 'retry-after': '0' }),
+          text: () => Promise.resolve('')
+        })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) })
+
+      const response = await action.main({ ...baseParams, RETRY_BASE_DELAY: 60000 })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.previewAttempts.map(attempt => attempt.status)).toEqual([429, 200])
+      expect(mockLoggerInstance.info).toHaveBeenCalledWith(expect.stringContaining(`Preview for ${fixedPath} attempt 1 failed, retrying in 0ms`))
+    })
+
+    test('should retry the live publish step', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) })
+        .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable', text: () => Promise.resolve('') })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) })
+
+      const response = await action.main(baseParams)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.publishSuccessful).toBe(true)
+      expect(response.body.publishAttempts).toEqual([
+        { attempt: 1, success: false, status: 503 },
+        { attempt: 2, success: true, status: 200 }
+      ])
+    })
+
+    test('should honor RETRY_ATTEMPTS', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 502 } }) })
+
+      const response = await action.main({ ...baseParams, RETRY_ATTEMPTS: 5 })
+
+      expect(response.body.previewAttempts).toHaveLength(5)
+      expect(fetch).toHaveBeenCalledTimes(5)
+    })
+  })
+
+  describe('verification', () => {
+    const json = (payload) => ({ ok: true, status: 200, json: () => Promise.resolve(payload) })
+    const previewedAt = 'Mon, 06 Oct 2025 10:00:00 GMT'
+    const publishedAt = 'Mon, 06 Oct 2025 10:00:02 GMT'
+    const html = { ok: true, status: 200, headers: { get: () => null }, text: () => Promise.resolve('<meta name="user-id" content="u-1">') }
+
+    test('should verify the page after publishing when VERIFY is set', async () => {
+      fetch
+        .mockResolvedValueOnce(json({ preview: { status: 200 } }))
+        .mockResolvedValueOnce(json({}))
+        .mockResolvedValueOnce(html)
+        .mockResolvedValueOnce(json({ preview: { lastModified: previewedAt }, live: { status: 200, lastModified: publishedAt } }))
+        .mockResolvedValueOnce(json({ results: [{ record: { userId: 'u-1', lastModified: Date.parse(publishedAt) / 1000 } }] }))
+
+      const response = await action.main({ ...baseParams, PAGE_ID: 'jane', VERIFY: true, VERIFY_POLL_INTERVAL: 0 })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.verification).toEqual(expect.objectContaining({
+        verified: true,
+        expectedUserId: 'u-1',
+        lastModified: publishedAt,
+        polls: 1
+      }))
+      expect(fetch.mock.calls[3][0]).toBe('https://admin.hlx.page/status/owner/repo/main/byom-page/jane')
+      expect(fetch.mock.calls[4][0]).toBe('https://admin.hlx.page/index/owner/repo/main/byom-page/jane')
+    })
+
+    test('should keep the publish successful when verification fails', async () => {
+      fetch
+        .mockResolvedValueOnce(json({ preview: { status: 200 } }))
+        .mockResolvedValueOnce(json({}))
+        .mockResolvedValueOnce(html)
+        .mockResolvedValue({ ok: false, status: 404 })
+
+      const response = await action.main({ ...baseParams, PAGE_ID: 'jane', VERIFY: 'true', VERIFY_POLL_INTERVAL: 0, VERIFY_MAX_POLLS: 2 })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.verification).toEqual(expect.objectContaining({ verified: false, reason: 'page not live after 2 poll(s)' }))
+    })
+
+    test('should not verify without VERIFY', async () => {
+      fetch
+        .mockResolvedValueOnce(json({ preview: { status: 200 } }))
+        .mockResolvedValueOnce(json({}))
+
+      const response = await action.main({ ...baseParams, PAGE_ID: 'jane' })
+
+      expect(response.body.verification).toBeUndefined()
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('async mode', () => {
+    const previewSuccess = { ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) }
+    const publishSuccess = { ok: true, status: 200, json: () => Promise.resolve({}) }
+    const { readJob } = require('./../actions/jobs.js')
+
+    beforeEach(() => {
+      process.env.__OW_ACTION_NAME = '/ns/byom-actions/webhook'
+    })
+
+    afterEach(() => {
+      delete process.env.__OW_ACTION_NAME
+    })
+
+    test('should queue a job and invoke itself in the background', async () => {
+      const store = await State.init()
+      const bodyJson = { PAGE_ID: 'jane', ASYNC: true }
+      const response = await action.main({
+        ...baseParams,
+        __ow_method: 'post',
+        __ow_headers: { 'content-type': 'application/json' },
+        __ow_body: Buffer.from(JSON.stringify(bodyJson)).toString('base64')
+      })
+
+      expect(response.statusCode).toBe(202)
+      expect(response.body).toEqual({ jobId: expect.any(String), state: 'queued', operation: 'publish', pagePath: '/byom-page/jane' })
+      expect(fetch).not.toHaveBeenCalled()
+
+      const job = await readJob(store, response.body.jobId)
+      expect(job).toEqual(expect.objectContaining({ state: 'queued', phase: 'queued', pagePath: '/byom-page/jane' }))
+
+      expect(mockInvoke).toHaveBeenCalledWith({
+        name: '/ns/byom-actions/webhook',
+        blocking: false,
+        params: {
+          BACKGROUND_JOB_ID: response.body.jobId,
+          BACKGROUND_BODY: bodyJson,
+          CORRELATION_ID: response.headers['x-correlation-id']
+        }
+      })
+    })
+
+    test('should not pass secrets to the background invocation', async () => {
+      await State.init()
+      await action.main({
+        ...baseParams,
+        __ow_method: 'get',
+        PAGE_PATH: '/byom-page/jane',
+        ASYNC: 'true',
+        __ow_body: Buffer.from(JSON.stringify({ TOKEN: 'body-token', pagePath: '/byom-page/john' })).toString('base64')
+      })
+
+      const { params } = mockInvoke.mock.calls[0][0]
+      expect(params.BACKGROUND_BODY).toEqual({ PAGE_PATH: '/byom-page/john', ASYNC: 'true' })
+      expect(JSON.stringify(params)).not.toContain('token')
+    })
+
+    test('should run the background invocation and record each phase', async () => {
+      const store = await State.init()
+      const queued = await action.main({ ...baseParams, __ow_method: 'get', PAGE_ID: 'jane', ASYNC: 'true' })
+      const { jobId } = queued.body
+      const phases = []
+      const put = store.put.bind(store)
+      store.put = (key, value, options) => {
+        phases.push(JSON.parse(value).phase)
+        return put(key, value, options)
+      }
+
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+      // The default params, like TOKEN, are bound to the action and merged into the background invocation
+      const response = await action.main({ ...baseParams, ...mockInvoke.mock.calls[0][0].params })
+
+      expect(response.statusCode).toBe(200)
+      expect(phases).toEqual(['queued', 'preview', 'live', 'done'])
+      const job = await readJob(store, jobId)
+      expect(job).toEqual(expect.objectContaining({
+        state: 'succeeded',
+        phase: 'done',
+        errors: [],
+        pageUrl: 'https://main--repo--owner.aem.live/byom-page/jane',
+        attempts: {
+          preview: [{ attempt: 1, success: true, status: 200 }],
+          publish: [{ attempt: 1, success: true, status: 200 }]
+        }
+      }))
+    })
+
+    test('should ignore BACKGROUND_JOB_ID on web requests', async () => {
+      fetch
+        .mockResolvedValueOnce(previewSuccess)
+        .mockResolvedValueOnce(publishSuccess)
+      const response = await action.main({ ...baseParams, __ow_method: 'get', BACKGROUND_JOB_ID: 'x', WEBHOOK_SECRET: 'secret' })
+      expect(response.error.statusCode).toBe(401)
+    })
+
+    test('should always run bulk batches as async jobs', async () => {
+      await State.init()
+      const pages = [{ id: 'a' }, { id: 'b' }, { id: 'c' }]
+
+      const response = await action.main({ ...baseParams, __ow_method: 'post', BULK_THRESHOLD: 3, PAGES: pages })
+
+      expect(response.statusCode).toBe(202)
+      expect(response.body).toEqual({ jobId: expect.any(String), state: 'queued', operation: 'publish', pages: 3 })
+      expect(mockInvoke.mock.calls[0][0].params.BACKGROUND_BODY).toEqual({ PAGES: pages })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should mark the job failed when the background invocation cannot start', async () => {
+      const store = await State.init()
+      mockInvoke.mockRejectedValue(new Error('no api key'))
+
+      const response = await action.main({ ...baseParams, __ow_method: 'get', ASYNC: true })
+
+      expect(response.error.statusCode).toBe(500)
+      const job = await readJob(store, mockInvoke.mock.calls[0][0].params.BACKGROUND_JOB_ID)
+      expect(job).toEqual(expect.objectContaining({ state: 'failed', errors: ['background invocation failed: no api key'] }))
+      expect(mockLoggerInstance.error).toHaveBeenCalledWith(expect.stringContaining('Failed to start background run for job'), expect.any(Error))
+    })
+  })
+
+  describe('CloudEvents', () => {
+    const event = {
+      specversion: '1.0',
+      type: 'com.example.user.deleted',
+      source: '/crm/users',
+      id: 'evt-1',
+      data: { id: 'jane' }
+    }
+    const noContent = { ok: true, status: 204, json: () => Promise.reject(new Error('no body')) }
+
+    test('should answer the I/O Events challenge', async () => {
+      const response = await action.main({ ...baseParams, __ow_method: 'get', __ow_query: 'challenge=abc123' })
+      expect(response).toEqual({
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'x-correlation-id': expect.any(String) },
+        body: { challenge: 'abc123' }
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should run the operation mapped from a structured event', async () => {
+      fetch
+        .mockResolvedValueOnce(noContent)
+        .mockResolvedValueOnce(noContent)
+
+      const response = await action.main({
+        ...baseParams,
+        __ow_headers: { 'content-type': 'application/cloudevents+json' },
+        __ow_body: Buffer.from(JSON.stringify(event)).toString('base64')
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body).toEqual(expect.objectContaining({ operation: 'delete', pagePath: '/byom-page/jane' }))
+      expect(fetch.mock.calls.map(([, options]) => options.method)).toEqual(['DELETE', 'DELETE'])
+    })
+
+    test('should not run a redelivered event twice', async () => {
+      fetch.mockResolvedValue(noContent)
+      const params = {
+        ...baseParams,
+        __ow_headers: { 'content-type': 'application/json' },
+        __ow_body: Buffer.from(JSON.stringify(event)).toString('base64')
+      }
+
+      await action.main(params)
+      const second = await action.main(params)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(second.headers['Idempotent-Replayed']).toBe('true')
+    })
+
+    test('should run a publish from a binary event', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ preview: { status: 200 } }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) })
+
+      const response = await action.main({
+        ...baseParams,
+        __ow_headers: {
+          'content-type': 'application/json',
+          'ce-specversion': '1.0',
+          'ce-type': 'com.example.user.created',
+          'ce-source': '/crm/users',
+          'ce-id': 'evt-2'
+        },
+        __ow_body: Buffer.from(JSON.stringify({ username: 'john', nationality: 'FR' })).toString('base64')
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.pagePath).toBe('/byom-page/john')
+      expect(fetch.mock.calls[0][1].headers['x-content-source-location']).toBe('FR')
+    })
+
+    test('should use the default event types when EVENT_TYPE_MAP is malformed', async () => {
+      fetch.mockResolvedValue(noContent)
+
+      const response = await action.main({
+        ...baseParams,
+        EVENT_TYPE_MAP: '{"com.example.user.deleted":"unpublish"',
+        __ow_headers: { 'content-type': 'application/cloudevents+json' },
+        __ow_body: Buffer.from(JSON.stringify(event)).toString('base64')
+      })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.operation).toBe('delete')
+      expect(mockLoggerInstance.warn).toHaveBeenCalledWith(expect.stringContaining('EVENT_TYPE_MAP is not valid JSON'))
+    })
+
+    test('should acknowledge but ignore unmapped event types', async () => {
+      const response = await action.main({
+        ...baseParams,
+        __ow_body: Buffer.from(JSON.stringify({ ...event, type: 'com.example.user.viewed' })).toString('base64')
+      })
+      expect(response).toEqual({
+        statusCode: 200,
+        headers: { 'x-correlation-id': expect.any(String) },
+        body: { ignored: true, type: 'com.example.user.viewed', id: 'evt-1' }
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should return 400 for invalid events', async () => {
+      const response = await action.main({
+        ...baseParams,
+        __ow_headers: { 'content-type': 'application/cloudevents+json' },
+        __ow_body: Buffer.from(JSON.stringify({ specversion: '1.0', id: 'x', type: 'a.b.created' })).toString('base64')
+      })
+      expect(response.error.statusCode).toBe(400)
+      expect(response.error.body.detail).toContain('invalid CloudEvent')
+    })
   })
 })